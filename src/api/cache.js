@@ -0,0 +1,174 @@
+/**
+ * On-disk response cache for the CFBD client.
+ * Entries are keyed by path + params, expire per endpoint (see ENDPOINT_TTL_MS),
+ * and can be recorded as fixtures for offline replay. Concurrent misses for the
+ * same entry share one request, and entries are written through a temp file and
+ * rename so a reader never sees half a file.
+ */
+
+import { readFileSync, writeFileSync, existsSync, mkdirSync, renameSync } from 'fs';
+import { join } from 'path';
+import { createHash } from 'crypto';
+import { AsyncLocalStorage } from 'async_hooks';
+import { CfbdOfflineError } from './errors.js';
+import { CACHE_DIR, FIXTURES_DIR, CFBD_CACHE_DISABLED, CFBD_OFFLINE, CFBD_RECORD } from '../config.js';
+
+const HOUR = 60 * 60 * 1000;
+const DAY = 24 * HOUR;
+
+/** Time-to-live per endpoint path prefix. Rosters and recruiting rarely change; usage moves weekly. */
+export const ENDPOINT_TTL_MS = {
+  '/roster': 30 * DAY,
+  '/recruiting/players': 30 * DAY,
+  '/teams': 30 * DAY,
+  '/talent': 30 * DAY,
+  '/player/search': 7 * DAY,
+  '/player/usage': 7 * DAY,
+  '/stats/player/season': 7 * DAY,
+  '/coaches': 7 * DAY,
+  '/player/portal': DAY,
+  '/records': DAY,
+  '/games': DAY,
+};
+const DEFAULT_TTL_MS = DAY;
+
+const mode = {
+  disabled: CFBD_CACHE_DISABLED,
+  offline: CFBD_OFFLINE,
+  record: CFBD_RECORD,
+};
+
+/**
+ * Change cache mode at runtime (CLI --offline / --record / --no-cache).
+ * @param {{ disabled?: boolean, offline?: boolean, record?: boolean }} opts
+ */
+export function setCacheMode(opts) {
+  for (const key of ['disabled', 'offline', 'record']) {
+    if (opts[key] != null) mode[key] = Boolean(opts[key]);
+  }
+}
+
+export function getCacheMode() {
+  return { ...mode };
+}
+
+export function ttlFor(path) {
+  const prefix = Object.keys(ENDPOINT_TTL_MS)
+    .filter((p) => path === p || path.startsWith(`${p}/`))
+    .sort((a, b) => b.length - a.length)[0];
+  return prefix ? ENDPOINT_TTL_MS[prefix] : DEFAULT_TTL_MS;
+}
+
+/** File name for a request: readable path prefix plus a hash of the sorted params. */
+export function cacheKey(path, params = {}) {
+  const sorted = Object.keys(params)
+    .filter((k) => params[k] !== undefined && params[k] !== null && params[k] !== '')
+    .sort()
+    .map((k) => [k, String(params[k])]);
+  const hash = createHash('sha1').update(`${path}?${JSON.stringify(sorted)}`).digest('hex').slice(0, 16);
+  return `${path.replace(/^\//, '').replace(/\W+/g, '_')}-${hash}.json`;
+}
+
+function readEntry(dir, key) {
+  const file = join(dir, key);
+  if (!existsSync(file)) return null;
+  try {
+    return JSON.parse(readFileSync(file, 'utf8'));
+  } catch {
+    return null;
+  }
+}
+
+function writeEntry(dir, key, entry) {
+  mkdirSync(dir, { recursive: true });
+  const file = join(dir, key);
+  const tmp = `${file}.${process.pid}.tmp`;
+  writeFileSync(tmp, JSON.stringify(entry));
+  renameSync(tmp, file);
+}
+
+/** Requests in flight, by cache file: a second miss for the same entry waits on the first. */
+const pending = new Map();
+
+const usage = new AsyncLocalStorage();
+
+function record(status, path) {
+  const store = usage.getStore();
+  if (!store) return;
+  store[status === 'hit' ? 'hits' : 'misses']++;
+  store.requests.push({ path, status });
+}
+
+/**
+ * Run fn and collect the cache hits/misses of every CFBD request it makes.
+ * Nested calls also count toward the enclosing tracker.
+ *
+ * @template T
+ * @param {() => Promise<T>} fn
+ * @returns {Promise<{ value: T, cache: { hits: number, misses: number, offline: boolean, requests: Object[] } }>}
+ */
+export async function trackCacheUsage(fn) {
+  const store = { hits: 0, misses: 0, requests: [] };
+  const value = await usage.run(store, fn);
+  const parent = usage.getStore();
+  if (parent) {
+    parent.hits += store.hits;
+    parent.misses += store.misses;
+    parent.requests.push(...store.requests);
+  }
+  return { value, cache: { ...store, offline: mode.offline } };
+}
+
+/**
+ * Serve a request from cache or call fetchFn and store the result.
+ * Offline mode serves cached entries and recorded fixtures regardless of age,
+ * and throws on a miss. Record mode always fetches and also writes a fixture.
+ *
+ * @param {string} path
+ * @param {Object} params
+ * @param {() => Promise<any>} fetchFn - performs the network request
+ */
+export async function cachedFetch(path, params, fetchFn) {
+  const key = cacheKey(path, params);
+
+  if (mode.offline) {
+    const entry = readEntry(CACHE_DIR, key) ?? readEntry(FIXTURES_DIR, key);
+    if (!entry) {
+      record('miss', path);
+      throw new CfbdOfflineError(
+        `Offline mode: no cached CFBD response for ${path} ${JSON.stringify(params)}. Run once online (or with --record) to populate it.`,
+        { path }
+      );
+    }
+    record('hit', path);
+    return entry.data;
+  }
+
+  if (!mode.disabled && !mode.record) {
+    const entry = readEntry(CACHE_DIR, key);
+    if (entry && Date.now() - entry.fetchedAt < ttlFor(path)) {
+      record('hit', path);
+      return entry.data;
+    }
+  }
+
+  const file = join(CACHE_DIR, key);
+  if (pending.has(file)) {
+    record('hit', path);
+    return pending.get(file);
+  }
+  record('miss', path);
+  const request = (async () => {
+    const data = await fetchFn();
+    const entry = { path, params, fetchedAt: Date.now(), data };
+    if (!mode.disabled) writeEntry(CACHE_DIR, key, entry);
+    if (mode.record) writeEntry(FIXTURES_DIR, key, entry);
+    return data;
+  })();
+  pending.set(file, request);
+  try {
+    return await request;
+  } finally {
+    pending.delete(file);
+  }
+}
@@ -1,36 +1,106 @@
-import { CFBD_API_KEY, API_BASE } from '../config.js';
+import { CFBD_API_KEY, API_BASE, CFBD_MAX_RETRIES, CFBD_CONCURRENCY } from '../config.js';
+import { cachedFetch } from './cache.js';
+import { createLimiter } from './limiter.js';
+import {
+  CfbdAuthError,
+  CfbdRateLimitError,
+  CfbdNotFoundError,
+  CfbdUpstreamError,
+  isRetryable,
+} from './errors.js';
+
+/** First retry delay; doubles each attempt (plus jitter). */
+const RETRY_BASE_DELAY_MS = 500;
+/** Upper bound on any single wait, including a server-sent Retry-After. */
+const RETRY_MAX_DELAY_MS = 30_000;
+
+/** Global cap on in-flight CFBD requests so team and batch scoring don't flood the API. */
+const limit = createLimiter(CFBD_CONCURRENCY);
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
 
 /**
- * College Football Data API client.
+ * College Football Data API client. Responses go through the on-disk cache (cache.js);
+ * network requests are retried with exponential backoff and share a concurrency cap.
+ * Throws typed errors from errors.js.
  * @see https://api.collegefootballdata.com/
  */
 export async function cfbdFetch(path, params = {}) {
+  return cachedFetch(path, params, () => requestWithRetry(path, params));
+}
+
+/** Retry-After is either delta-seconds or an HTTP date. */
+function parseRetryAfter(header) {
+  if (!header) return null;
+  const seconds = Number(header);
+  if (!Number.isNaN(seconds)) return Math.max(0, seconds * 1000);
+  const date = Date.parse(header);
+  return Number.isNaN(date) ? null : Math.max(0, date - Date.now());
+}
+
+function backoffDelay(attempt, err) {
+  if (err instanceof CfbdRateLimitError && err.retryAfterMs != null) {
+    return Math.min(RETRY_MAX_DELAY_MS, err.retryAfterMs);
+  }
+  const exp = RETRY_BASE_DELAY_MS * 2 ** attempt;
+  return Math.min(RETRY_MAX_DELAY_MS, exp + Math.random() * RETRY_BASE_DELAY_MS);
+}
+
+async function requestWithRetry(path, params) {
+  for (let attempt = 0; ; attempt++) {
+    try {
+      return await limit(() => requestJson(path, params));
+    } catch (err) {
+      if (!isRetryable(err) || attempt >= CFBD_MAX_RETRIES) throw err;
+      await sleep(backoffDelay(attempt, err));
+    }
+  }
+}
+
+async function requestJson(path, params) {
   const url = new URL(path, API_BASE);
   Object.entries(params).forEach(([k, v]) => {
     if (v !== undefined && v !== null && v !== '') url.searchParams.set(k, String(v));
   });
   if (!CFBD_API_KEY || !String(CFBD_API_KEY).trim()) {
-    throw new Error(
+    throw new CfbdAuthError(
       'Missing CFBD API key. Add CFBD_API_KEY=your_key to a .env or key.env file in the project root. ' +
-      'Get a free key at https://collegefootballdata.com/key'
+      'Get a free key at https://collegefootballdata.com/key',
+      { path }
     );
   }
 
-  const res = await fetch(url.toString(), {
-    headers: {
-      Authorization: `Bearer ${CFBD_API_KEY.trim()}`,
-      Accept: 'application/json',
-    },
-  });
+  let res;
+  try {
+    res = await fetch(url.toString(), {
+      headers: {
+        Authorization: `Bearer ${CFBD_API_KEY.trim()}`,
+        Accept: 'application/json',
+      },
+    });
+  } catch (e) {
+    throw new CfbdUpstreamError(`CFBD API request failed: ${e.message}`, { path, cause: e });
+  }
   if (!res.ok) {
     const text = await res.text();
-    if (res.status === 401) {
-      throw new Error(
-        'CFBD API 401 Unauthorized. Check that your API key is correct in .env or key.env (variable: CFBD_API_KEY or API_KEY). ' +
-        'Get or regenerate a key at https://collegefootballdata.com/key'
+    const opts = { status: res.status, path };
+    if (res.status === 401 || res.status === 403) {
+      throw new CfbdAuthError(
+        `CFBD API ${res.status} Unauthorized. Check that your API key is correct in .env or key.env (variable: CFBD_API_KEY or API_KEY). ` +
+        'Get or regenerate a key at https://collegefootballdata.com/key',
+        opts
       );
     }
-    throw new Error(`CFBD API ${res.status}: ${text || res.statusText}`);
+    if (res.status === 429) {
+      throw new CfbdRateLimitError(`CFBD API 429: rate limit exceeded for ${path}`, {
+        ...opts,
+        retryAfterMs: parseRetryAfter(res.headers.get('retry-after')),
+      });
+    }
+    if (res.status === 404) {
+      throw new CfbdNotFoundError(`CFBD API 404: ${text || res.statusText}`, opts);
+    }
+    throw new CfbdUpstreamError(`CFBD API ${res.status}: ${text || res.statusText}`, opts);
   }
   return res.json();
 }
@@ -48,9 +118,9 @@ export async function getTransferPortal(year) {
   return cfbdFetch('/player/portal', { year });
 }
 
-/** GET /player/usage - player usage (snaps, etc.) by year/team */
-export async function getPlayerUsage(year, team) {
-  return cfbdFetch('/player/usage', { year, team });
+/** GET /player/usage - player usage (snaps, etc.) by year and team or conference */
+export async function getPlayerUsage(year, team, conference) {
+  return cfbdFetch('/player/usage', { year, team, conference });
 }
 
 /** GET /recruiting/players - recruiting rankings */
@@ -68,17 +138,32 @@ export async function getTeamGames(year, team, seasonType = 'regular') {
   return cfbdFetch('/games', { year, team, seasonType });
 }
 
-/** GET /records - team season records */
-export async function getTeamRecords(year, team) {
-  return cfbdFetch('/records', { year, team });
+/** GET /records - team season records (by team or conference) */
+export async function getTeamRecords(year, team, conference) {
+  return cfbdFetch('/records', { year, team, conference });
 }
 
-/** GET /stats/player/season - player season stats */
-export async function getPlayerSeasonStats(year, team) {
-  return cfbdFetch('/stats/player/season', { year, team });
+/** GET /stats/player/season - player season stats (one row per stat) by year and team or conference */
+export async function getPlayerSeasonStats(year, team, conference) {
+  return cfbdFetch('/stats/player/season', { year, team, conference });
 }
 
 /** GET /talent - team talent composite (optional context) */
 export async function getTalent(year) {
   return cfbdFetch('/talent', { year });
 }
+
+/** GET /teams - teams (optional conference, year) */
+export async function getTeams(conference, year) {
+  return cfbdFetch('/teams', { conference, year });
+}
+
+/** GET /coaches - head coaches with per-season records (team, minYear, maxYear) */
+export async function getCoaches(team, minYear, maxYear) {
+  return cfbdFetch('/coaches', { team, minYear, maxYear });
+}
+
+/** GET /teams/fbs - FBS teams for a year */
+export async function getFbsTeams(year) {
+  return cfbdFetch('/teams/fbs', { year });
+}
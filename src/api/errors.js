@@ -0,0 +1,72 @@
+/**
+ * Typed errors for CFBD requests, so callers can tell a bad key from a
+ * rate limit, a missing resource or an upstream outage.
+ */
+
+export class CfbdError extends Error {
+  /**
+   * @param {string} message
+   * @param {Object} [opts]
+   * @param {number} [opts.status] - HTTP status (absent for network errors)
+   * @param {string} [opts.path] - CFBD endpoint path
+   * @param {Error} [opts.cause]
+   */
+  constructor(message, { status, path, cause } = {}) {
+    super(message, cause ? { cause } : undefined);
+    this.name = 'CfbdError';
+    this.code = 'cfbd_error';
+    this.status = status ?? null;
+    this.path = path ?? null;
+  }
+}
+
+/** Missing, invalid or unauthorized API key (401/403). Not retried. */
+export class CfbdAuthError extends CfbdError {
+  constructor(message, opts) {
+    super(message, opts);
+    this.name = 'CfbdAuthError';
+    this.code = 'auth';
+  }
+}
+
+/** 429 Too Many Requests; retryAfterMs comes from the Retry-After header when present. */
+export class CfbdRateLimitError extends CfbdError {
+  constructor(message, { retryAfterMs, ...opts } = {}) {
+    super(message, opts);
+    this.name = 'CfbdRateLimitError';
+    this.code = 'rate_limit';
+    this.retryAfterMs = retryAfterMs ?? null;
+  }
+}
+
+/** 404 from CFBD. Not retried. */
+export class CfbdNotFoundError extends CfbdError {
+  constructor(message, opts) {
+    super(message, opts);
+    this.name = 'CfbdNotFoundError';
+    this.code = 'not_found';
+  }
+}
+
+/** 5xx, network failure or any other unexpected status. */
+export class CfbdUpstreamError extends CfbdError {
+  constructor(message, opts) {
+    super(message, opts);
+    this.name = 'CfbdUpstreamError';
+    this.code = 'upstream';
+  }
+}
+
+/** Offline mode and no cached response for the request. */
+export class CfbdOfflineError extends CfbdError {
+  constructor(message, opts) {
+    super(message, opts);
+    this.name = 'CfbdOfflineError';
+    this.code = 'offline_miss';
+  }
+}
+
+/** Whether a failed request is worth retrying. */
+export function isRetryable(err) {
+  return err instanceof CfbdRateLimitError || err instanceof CfbdUpstreamError;
+}
@@ -0,0 +1,31 @@
+/**
+ * Minimal concurrency limiter: at most `max` tasks run at once, the rest wait in FIFO order.
+ */
+
+/**
+ * @param {number} max - maximum concurrent tasks (>= 1)
+ * @returns {<T>(task: () => Promise<T>) => Promise<T>}
+ */
+export function createLimiter(max) {
+  const limit = Math.max(1, Math.floor(Number(max)) || 1);
+  let active = 0;
+  const queue = [];
+
+  function next() {
+    if (active >= limit || queue.length === 0) return;
+    active++;
+    const { task, resolve, reject } = queue.shift();
+    Promise.resolve()
+      .then(task)
+      .then(resolve, reject)
+      .finally(() => {
+        active--;
+        next();
+      });
+  }
+
+  return (task) => new Promise((resolve, reject) => {
+    queue.push({ task, resolve, reject });
+    next();
+  });
+}
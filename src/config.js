@@ -33,3 +33,59 @@ const env = loadEnv();
 // Prefer key from files (.env / key.env) so updates take effect; then process.env
 export const CFBD_API_KEY = (env.CFBD_API_KEY || env.API_KEY || process.env.CFBD_API_KEY || process.env.API_KEY || '').trim();
 export const API_BASE = 'https://api.collegefootballdata.com';
+
+// Trained model file (see `node src/index.js train`); scoring falls back to default weights when absent
+export const MODEL_PATH = (env.CFB_MODEL_PATH || process.env.CFB_MODEL_PATH || join(__dirname, '..', 'models', 'transfer-model.json')).trim();
+
+function envFlag(name) {
+  const v = String(env[name] ?? process.env[name] ?? '').trim().toLowerCase();
+  return v === '1' || v === 'true' || v === 'yes';
+}
+
+// CFBD response cache (see src/api/cache.js)
+export const CACHE_DIR = (env.CFBD_CACHE_DIR || process.env.CFBD_CACHE_DIR || join(__dirname, '..', '.cache', 'cfbd')).trim();
+export const FIXTURES_DIR = (env.CFBD_FIXTURES_DIR || process.env.CFBD_FIXTURES_DIR || join(__dirname, '..', 'fixtures', 'cfbd')).trim();
+export const CFBD_CACHE_DISABLED = envFlag('CFBD_NO_CACHE');
+export const CFBD_OFFLINE = envFlag('CFBD_OFFLINE');
+export const CFBD_RECORD = envFlag('CFBD_RECORD');
+
+function envNumber(name, fallback) {
+  const raw = String(env[name] ?? process.env[name] ?? '').trim();
+  const n = Number(raw);
+  return raw !== '' && Number.isFinite(n) ? n : fallback;
+}
+
+// CFBD request retries (429 / 5xx / network) and max concurrent requests
+export const CFBD_MAX_RETRIES = Math.max(0, envNumber('CFBD_MAX_RETRIES', 3));
+export const CFBD_CONCURRENCY = Math.max(1, envNumber('CFBD_CONCURRENCY', 4));
+
+// Default weight of the coachingChange factor (other weights are unchanged; the weighted average normalizes)
+export const COACHING_CHANGE_WEIGHT = Math.max(0, envNumber('CFB_COACHING_WEIGHT', 0.1));
+
+// Local factor modules (see src/scoring/registry.js) loaded after the built-in factors; empty = none
+export const FACTORS_DIR = (env.CFB_FACTORS_DIR || process.env.CFB_FACTORS_DIR || '').trim();
+
+// Manual per-player inputs (NIL, sentiment, distance) saved by `overrides` / /api/players/:id/overrides
+export const OVERRIDES_PATH = (env.CFB_OVERRIDES_PATH || process.env.CFB_OVERRIDES_PATH || join(__dirname, '..', 'data', 'overrides.json')).trim();
+
+// Watchlist and score history (see `watch`, `refresh`, `history`)
+export const WATCHLIST_PATH = (env.CFB_WATCHLIST_PATH || process.env.CFB_WATCHLIST_PATH || join(__dirname, '..', 'data', 'watchlist.json')).trim();
+export const HISTORY_PATH = (env.CFB_HISTORY_PATH || process.env.CFB_HISTORY_PATH || join(__dirname, '..', 'data', 'history.json')).trim();
+
+// Change alerts: default probability thresholds (0–100) and move size (points) for new watchlist entries
+export const ALERT_THRESHOLDS = String(env.CFB_ALERT_THRESHOLDS || process.env.CFB_ALERT_THRESHOLDS || '50')
+  .split(',').map(Number).filter((n) => Number.isFinite(n) && n > 0 && n < 100);
+export const ALERT_MOVE_POINTS = Math.max(0, envNumber('CFB_ALERT_MOVE', 15));
+// Alert delivery besides stdout: append JSON lines to a file and/or POST to a webhook
+export const ALERT_LOG_PATH = (env.CFB_ALERT_LOG || process.env.CFB_ALERT_LOG || '').trim();
+export const ALERT_WEBHOOK_URL = (env.CFB_ALERT_WEBHOOK || process.env.CFB_ALERT_WEBHOOK || '').trim();
+// server.js re-scores the watchlist every N minutes (0 = off)
+export const REFRESH_INTERVAL_MINUTES = Math.max(0, envNumber('CFB_REFRESH_MINUTES', 0));
+
+// Data completeness: results below CFB_MIN_COMPLETENESS (0–1, 0 = off) are flagged, or refused when CFB_INCOMPLETE_MODE=refuse
+export const MIN_COMPLETENESS = Math.max(0, Math.min(1, envNumber('CFB_MIN_COMPLETENESS', 0)));
+export const INCOMPLETE_MODE = String(env.CFB_INCOMPLETE_MODE || process.env.CFB_INCOMPLETE_MODE || 'flag').trim().toLowerCase() === 'refuse' ? 'refuse' : 'flag';
+
+// Named weight profiles: bundled ones (`--profile`, `profile` in the API) and profiles saved from the CLI / UI
+export const WEIGHT_PROFILES_PATH = (env.CFB_WEIGHT_PROFILES || process.env.CFB_WEIGHT_PROFILES || join(__dirname, '..', 'config', 'weight-profiles.json')).trim();
+export const SAVED_PROFILES_PATH = (env.CFB_SAVED_PROFILES_PATH || process.env.CFB_SAVED_PROFILES_PATH || join(__dirname, '..', 'data', 'weight-profiles.json')).trim();
@@ -4,33 +4,74 @@
  */
 
 import * as api from '../api/client.js';
-
-/** Rough average miles between state centers (for states that don't match). */
-const STATE_DISTANCE_APPROXIMATE_MILES = 800;
+import { trackCacheUsage } from '../api/cache.js';
+import { CfbdAuthError, CfbdUpstreamError } from '../api/errors.js';
+import { hometownDistance, parseHometown } from './distance.js';
+import { matchPlayer, indexRows, rowName, rowAthleteId, describeCandidate } from './identity.js';
+import { PlayerNotFoundError, AmbiguousPlayerError, InvalidRequestError } from './errors.js';
+import { recruitedUnderSeason, detectCoachingChange } from './coaching.js';
+import { positionRoomRisk } from './positionRoom.js';
+import { TRAJECTORY_SEASONS, indexSeason, buildTrajectory } from './trajectory.js';
+import { DEFAULT_GAMES, usageShare, seasonUsage, reportedUsage, snapCount, gamesPlayed } from './usage.js';
+import { buildBaselines, positionPercentiles } from './baselines.js';
+import { buildProductionBaselines, playerProduction } from './production.js';
+import { expectationGap } from './talent.js';
+import { assessEligibility } from './eligibility.js';
+import { latestOverrides } from './overrides.js';
+import { listFactors } from '../scoring/registry.js';
 
 /**
- * Resolve player by name only: call /player/search, return first match with team.
+ * Resolve player by name only: call /player/search and match the results by identity.
+ * Throws AmbiguousPlayerError (with candidates) when several players match equally well.
+ *
  * @param {number} year
  * @param {string} playerName
- * @returns {Promise<{ team: string, name: string }|null>}
+ * @param {Object} [hints] - position / hometown tie-breakers
+ * @returns {Promise<{ team: string, name: string, id: string|null }|null>}
  */
-export async function resolvePlayerByName(year, playerName) {
+export async function resolvePlayerByName(year, playerName, hints = {}) {
   if (!playerName || !String(playerName).trim()) return null;
   const list = await api.searchPlayers(year, String(playerName).trim());
   if (!Array.isArray(list) || list.length === 0) return null;
-  const nameLower = String(playerName).toLowerCase();
-  const exact = list.find((p) => (p.name || p.player || '').toLowerCase() === nameLower);
-  const match = exact || list.find((p) => (p.name || p.player || '').toLowerCase().includes(nameLower));
+  const withTeam = list.filter((p) => p.team || p.school);
+  const { match, ambiguous, candidates } = matchPlayer(withTeam, { name: playerName, ...hints });
+  if (ambiguous) {
+    throw new AmbiguousPlayerError(
+      `"${playerName}" matches ${candidates.length} players. Add a team, position or playerId to pick one.`,
+      { query: { playerName, year }, candidates: candidates.map(describeCandidate) }
+    );
+  }
   if (!match) return null;
-  const team = match.team || match.school;
-  if (!team) return null;
-  return { team: String(team), name: match.name || match.player || playerName };
+  return { team: String(match.team || match.school), name: rowName(match) || playerName, id: rowAthleteId(match) };
+}
+
+/**
+ * Catch handler for optional CFBD data: auth errors still throw (every call would fail),
+ * anything else is recorded in `warnings` and replaced by `fallback`.
+ */
+function warnAndFallback(warnings, source, fallback) {
+  return (err) => {
+    if (err instanceof CfbdAuthError) throw err;
+    warnings.push({ source, code: err.code ?? 'error', status: err.status ?? null, message: err.message });
+    return fallback;
+  };
+}
+
+/**
+ * One request per key across the teams of a run (leaderboard): conference- and
+ * season-wide lists are fetched once and every team reads the same promise.
+ * Callers attach their own catch, so each team still records its own warnings.
+ */
+function sharedRequest(shared, key, request) {
+  if (!shared) return request();
+  if (!shared.has(key)) shared.set(key, request());
+  return shared.get(key);
 }
 
 /**
- * Get team win rate for a season (regular season).
+ * Get team win rate for a season (regular season); null when neither records nor games are available.
  */
-async function getWinRate(year, team) {
+async function getWinRate(year, team, warnings = []) {
   try {
     const records = await api.getTeamRecords(year, team);
     const season = findTeamRecord(records, year, team);
@@ -41,9 +82,9 @@ async function getWinRate(year, team) {
     }
     const games = await api.getTeamGames(year, team, 'regular');
     const wins = games.filter((g) => (g.home_team === team ? g.home_points > g.away_points : g.away_points > g.home_points)).length;
-    return games.length > 0 ? wins / games.length : 0.5;
-  } catch {
-    return 0.5;
+    return games.length > 0 ? wins / games.length : null;
+  } catch (err) {
+    return warnAndFallback(warnings, 'games', null)(err);
   }
 }
 
@@ -88,43 +129,11 @@ function pickStr(obj, ...keys) {
 }
 
 /**
- * Fetch and aggregate all available inputs for a player/team/year.
- * If only playerName is provided (no team), resolves team via /player/search first.
- *
- * @param {Object} opts
- * @param {number} opts.year - season year
- * @param {string} [opts.team] - school (optional if playerName provided)
- * @param {string} [opts.playerName] - player name (can be used without team for name-only search)
- * @param {number} [opts.distanceFromHighSchoolMiles] - override (if known)
- * @param {number} [opts.nilScore] - 0–1 NIL strength (manual)
- * @param {number} [opts.socialSentiment] - 0–1 from quotes/social (manual)
- * @returns {Promise<Object>} input for computeTransferProbability
+ * Win rate from a /records response, falling back to /games when the record is missing.
+ * Null when neither has the season (scored as neutral and reported as defaulted).
  */
-export async function aggregatePlayerInput(opts) {
-  let { year, team, playerName, distanceFromHighSchoolMiles, nilScore, socialSentiment } = opts;
-
-  if ((!team || !String(team).trim()) && playerName) {
-    const resolved = await resolvePlayerByName(year, playerName);
-    if (resolved) {
-      team = resolved.team;
-      playerName = resolved.name;
-    } else {
-      throw new Error(`No player found for "${playerName}". Try a different name or year.`);
-    }
-  }
-
-  if (!team || !String(team).trim()) {
-    throw new Error('Provide either a player name or a team (or both).');
-  }
-
-  const [usageList, roster, recruiting, records] = await Promise.all([
-    api.getPlayerUsage(year, team).catch(() => []),
-    api.getRoster(team, year).catch(() => []),
-    api.getRecruitingPlayers(year, team).catch(() => []),
-    api.getTeamRecords(year, team).catch(() => []),
-  ]);
-
-  let winRate = 0.5;
+async function computeWinRate(records, year, team, warnings) {
+  let winRate = null;
   if (Array.isArray(records) && records.length) {
     const season = findTeamRecord(records, year, team);
     const total = season?.total ?? season;
@@ -136,53 +145,148 @@ export async function aggregatePlayerInput(opts) {
       if (games > 0) winRate = wins / games;
     }
   }
-  if (winRate === 0.5) {
-    winRate = await getWinRate(year, team);
+  if (winRate == null) {
+    winRate = await getWinRate(year, team, warnings);
   }
+  return winRate;
+}
 
-  let playerUsage = null;
-  let playerRecruiting = null;
-  let playerRoster = null;
+/**
+ * Fetch the team-level lists for a season (usage, roster, recruiting, record, coaches), usage
+ * and roster for prior seasons (trajectory factors), and next season's recruiting class and
+ * incoming transfers (position-room competition), conference usage and season stats for
+ * position baselines and production, and the talent composite for the expectation gap.
+ * Shared by single-player and full-roster aggregation so each list is fetched once.
+ * Failed requests (other than auth) become empty lists plus an entry in `warnings`.
+ * With `upcoming: false` the next-season lists (recruiting class, portal) are not fetched,
+ * so a labeled season's inputs never see the N+1 portal its labels come from. Those two
+ * lists are null when skipped or failed, so the room factor can tell "none" from "unknown".
+ *
+ * @param {number} year
+ * @param {string} team
+ * @param {Object} [opts]
+ * @param {number} [opts.priorSeasons=TRAJECTORY_SEASONS]
+ * @param {boolean} [opts.upcoming=true] - fetch next season's recruiting class and incoming transfers
+ * @param {Map} [opts.shared] - share conference- and season-wide requests (portal, talent,
+ *   conference usage/records/stats) across teams; see sharedRequest
+ * @returns {Promise<{ year: number, team: string, usageList: Object[], roster: Object[], recruiting: Object[], conference: string|null, gamesPlayed: number|null, baselines: Object, production: Object, coaches: Object[], nextRecruits: Object[]|null, incomingTransfers: Object[]|null, winRate: number|null, expectation: Object|null, current: Object, history: Object[], warnings: Object[] }>}
+ */
+export async function fetchTeamContext(year, team, { priorSeasons = TRAJECTORY_SEASONS, upcoming = true, shared } = {}) {
+  const warnings = [];
+  const priorYears = Array.from({ length: priorSeasons }, (_, i) => year - 1 - i);
+  const [usageList, roster, recruiting, records, coaches, nextRecruits, portal, stats, talent, history] = await Promise.all([
+    api.getPlayerUsage(year, team).catch(warnAndFallback(warnings, 'usage', [])),
+    api.getRoster(team, year).catch(warnAndFallback(warnings, 'roster', [])),
+    api.getRecruitingPlayers(year, team).catch(warnAndFallback(warnings, 'recruiting', [])),
+    api.getTeamRecords(year, team).catch(warnAndFallback(warnings, 'records', [])),
+    // Back far enough for the staff that recruited a 6th-year player.
+    api.getCoaches(team, year - 7, year).catch(warnAndFallback(warnings, 'coaches', [])),
+    upcoming ? api.getRecruitingPlayers(year + 1, team).catch(warnAndFallback(warnings, 'next recruiting class', null)) : null,
+    upcoming ? sharedRequest(shared, `portal|${year + 1}`, () => api.getTransferPortal(year + 1)).catch(warnAndFallback(warnings, 'portal', null)) : null,
+    api.getPlayerSeasonStats(year, team).catch(warnAndFallback(warnings, 'season stats', [])),
+    sharedRequest(shared, `talent|${year}`, () => api.getTalent(year)).catch(warnAndFallback(warnings, 'talent', [])),
+    Promise.all(priorYears.map(async (y) => {
+      const [u, r] = await Promise.all([
+        api.getPlayerUsage(y, team).catch(warnAndFallback(warnings, `usage ${y}`, [])),
+        api.getRoster(team, y).catch(warnAndFallback(warnings, `roster ${y}`, [])),
+      ]);
+      return indexSeason({ year: y, usageList: Array.isArray(u) ? u : [], roster: Array.isArray(r) ? r : [] });
+    })),
+  ]);
 
-  if (playerName) {
-    const nameLower = String(playerName).toLowerCase();
-    playerUsage = (usageList || []).find((p) => {
-      const n = (pickStr(p, 'player', 'name') || '').toLowerCase();
-      return n === nameLower || n.includes(nameLower) || nameLower.includes(n);
-    });
-    playerRecruiting = (recruiting || []).find((p) => {
-      const n = (pickStr(p, 'name', 'player') || '').toLowerCase();
-      return n === nameLower || n.includes(nameLower) || nameLower.includes(n);
-    });
-    playerRoster = (roster || []).find((p) => {
-      const n = (pickStr(p, 'name', 'player') || '').toLowerCase();
-      return n === nameLower || n.includes(nameLower) || nameLower.includes(n);
-    });
-  }
+  const lists = {
+    usageList: Array.isArray(usageList) ? usageList : [],
+    roster: Array.isArray(roster) ? roster : [],
+  };
+  const teamRecord = findTeamRecord(records, year, team);
+  const conference = teamRecord?.conference ?? null;
+  const games = gamesPlayed(teamRecord);
 
-  if (!playerUsage && Array.isArray(usageList) && usageList.length) {
-    playerUsage = usageList[0];
-  }
-  if (!playerRecruiting && Array.isArray(recruiting) && recruiting.length) {
-    playerRecruiting = recruiting[0];
-  }
-  if (!playerRoster && Array.isArray(roster) && roster.length) {
-    playerRoster = roster[0];
+  // Position baselines come from the whole conference when it is known, else the team alone.
+  const [confUsage, confRecords, confStats] = conference
+    ? await Promise.all([
+      sharedRequest(shared, `usage|${year}|${conference}`, () => api.getPlayerUsage(year, undefined, conference))
+        .catch(warnAndFallback(warnings, 'conference usage', [])),
+      sharedRequest(shared, `records|${year}|${conference}`, () => api.getTeamRecords(year, undefined, conference))
+        .catch(warnAndFallback(warnings, 'conference records', [])),
+      sharedRequest(shared, `stats|${year}|${conference}`, () => api.getPlayerSeasonStats(year, undefined, conference))
+        .catch(warnAndFallback(warnings, 'conference season stats', [])),
+    ])
+    : [[], [], []];
+  const gamesByTeam = new Map();
+  for (const r of Array.isArray(confRecords) ? confRecords : []) {
+    const g = gamesPlayed(r);
+    if (r.team && g) gamesByTeam.set(String(r.team).toLowerCase(), g);
   }
+  if (games) gamesByTeam.set(String(team).toLowerCase(), games);
+  const baselineRows = [
+    ...lists.usageList.map((row) => ({ team, ...row })),
+    ...(Array.isArray(confUsage) ? confUsage : []),
+  ];
+  const confStatRows = Array.isArray(confStats) ? confStats : [];
+  const winRate = await computeWinRate(records, year, team, warnings);
+
+  return {
+    year,
+    team,
+    conference,
+    gamesPlayed: games,
+    baselines: buildBaselines(baselineRows, gamesByTeam, { scope: Array.isArray(confUsage) && confUsage.length ? conference : team }),
+    production: buildProductionBaselines(stats, confStatRows, gamesByTeam, { team, scope: confStatRows.length ? conference : team }),
+    ...lists,
+    recruiting: Array.isArray(recruiting) ? recruiting : [],
+    coaches: Array.isArray(coaches) ? coaches : [],
+    nextRecruits: nextRecruits == null ? null : Array.isArray(nextRecruits) ? nextRecruits : [],
+    incomingTransfers: portal == null ? null : (Array.isArray(portal) ? portal : [])
+      .filter((p) => String(p.destination ?? '').toLowerCase() === String(team).toLowerCase()),
+    winRate,
+    expectation: expectationGap(talent, team, winRate),
+    current: indexSeason({ year, ...lists }),
+    history,
+    warnings,
+  };
+}
+
+/**
+ * Build scorer input for one player from the team context and the rows matched to them.
+ *
+ * @param {Object} ctx - from fetchTeamContext
+ * @param {Object} rows
+ * @param {Object} [rows.playerUsage]
+ * @param {Object} [rows.playerRecruiting]
+ * @param {Object} [rows.playerRoster]
+ * @param {Object} [overrides] - playerName, distanceFromHighSchoolMiles, nilScore, socialSentiment;
+ *   fields not given fall back to the player's stored overrides (see overrides.js)
+ * @param {Object} [opts]
+ * @param {boolean} [opts.storedOverrides=true] - apply stored overrides; off for past seasons,
+ *   since they hold today's values
+ * @returns {Object} input for computeTransferProbability, with `provenance` (input field → 'api' | 'override' | 'estimated')
+ */
+export function buildPlayerInput(ctx, { playerUsage, playerRecruiting, playerRoster }, overrides = {}, { storedOverrides = true } = {}) {
+  const { year, team, winRate } = ctx;
+  const { playerName } = overrides;
+
+  // Stored manual inputs fill in whatever the request didn't pass explicitly.
+  const stored = storedOverrides
+    ? latestOverrides(rowAthleteId(playerRoster) ?? rowAthleteId(playerUsage))
+    : { values: {}, used: [] };
+  const storedUsed = stored.used.filter((u) => overrides[u.field] == null);
+  const pick = (field) => overrides[field] ?? stored.values[field];
+  const distanceFromHighSchoolMiles = pick('distanceFromHighSchoolMiles');
+  const nilScore = pick('nilScore');
+  const socialSentiment = pick('socialSentiment');
 
   let playingTime = null;
   let snapsPlayed = null;
 
+  const games = ctx.gamesPlayed ?? DEFAULT_GAMES;
   if (playerUsage) {
-    playingTime = pickNum(playerUsage, 'usg_overall', 'usage_overall', 'usage', 'usageOverall');
-    if (playingTime != null && playingTime > 1) playingTime = playingTime / 100;
-    if (playingTime == null && playerUsage.snap_counts) {
-      const arr = Array.isArray(playerUsage.snap_counts) ? playerUsage.snap_counts : [playerUsage.snap_counts];
-      const total = arr.reduce((a, b) => a + (Number(b) || 0), 0);
-      snapsPlayed = total;
-      playingTime = Math.min(1, total / (70 * 12));
-    }
-    if (snapsPlayed == null) snapsPlayed = pickNum(playerUsage, 'snaps', 'snap_count', 'totalSnaps');
+    playingTime = usageShare(playerUsage, games);
+    snapsPlayed = snapCount(playerUsage);
+  } else {
+    // Same reading as the trajectory factors: on the roster but not in the usage list = no snaps.
+    playingTime = seasonUsage(null, { onRoster: Boolean(playerRoster), usageList: ctx.usageList ?? [], games });
+    snapsPlayed = playingTime === 0 ? 0 : null;
   }
 
   let recruitingRank = null;
@@ -192,55 +296,301 @@ export async function aggregatePlayerInput(opts) {
     );
   }
 
-  let distance = distanceFromHighSchoolMiles;
-  if (distance == null && playerRoster) {
-    const hometown = pickStr(playerRoster, 'hometown', 'home_town', 'city');
-    if (hometown) {
-      const teamState = inferTeamState(team);
-      const hometownState = hometown.split(',').pop()?.trim()?.slice(0, 2) || '';
-      if (teamState && hometownState && teamState.toUpperCase() === hometownState.toUpperCase()) {
-        distance = 100;
-      } else {
-        distance = STATE_DISTANCE_APPROXIMATE_MILES;
-      }
+  const distance = distanceFromHighSchoolMiles != null
+    ? {
+      miles: Number(distanceFromHighSchoolMiles),
+      method: overrides.distanceFromHighSchoolMiles != null ? 'override' : 'stored-override',
+      estimated: false,
+      hometown: null,
+      campus: team,
     }
-  }
+    : hometownDistance(team, playerRoster, playerRecruiting);
 
-  const displayName = pickStr(playerUsage, 'player', 'name') ?? pickStr(playerRoster, 'name', 'player') ?? playerName;
+  const displayName = rowName(playerUsage) || rowName(playerRoster) || playerName;
+  const position = pickStr(playerRoster, 'position') ?? pickStr(playerUsage, 'position') ?? undefined;
+  const trajectory = ctx.current && (playerUsage || playerRoster)
+    ? buildTrajectory(ctx.current, ctx.history ?? [], { id: rowAthleteId(playerRoster) ?? rowAthleteId(playerUsage), name: displayName, position })
+    : null;
+  // A player who arrived within the trajectory window (e.g. a transfer) was recruited by the staff of the season before.
+  const arrived = trajectory?.seasons.find((s, i, all) => s.onRoster && all[i + 1] && !all[i + 1].onRoster)?.year;
+  const fromYear = Math.max(recruitedUnderSeason(year, playerRecruiting, playerRoster), arrived != null ? arrived - 1 : -Infinity);
+  const coaching = ctx.coaches?.length
+    ? detectCoachingChange(ctx.coaches, { team, fromYear, toYear: year, position })
+    : null;
+  const percentiles = ctx.baselines
+    ? positionPercentiles(ctx.baselines, { position, usage: playingTime, snaps: snapsPlayed, games })
+    : null;
+  const production = ctx.production
+    ? playerProduction(ctx.production, { id: rowAthleteId(playerRoster) ?? rowAthleteId(playerUsage), name: displayName, position, games })
+    : null;
+  const eligibility = assessEligibility({ year, rosterRow: playerRoster, recruitingRow: playerRecruiting, missedSeasons: trajectory?.missedSeasons });
+  const room = ctx.current
+    ? positionRoomRisk(
+      {
+        usageList: ctx.usageList,
+        rosterIndex: ctx.current.rosterIndex,
+        nextRecruits: ctx.nextRecruits,
+        incomingTransfers: ctx.incomingTransfers,
+      },
+      { id: rowAthleteId(playerRoster) ?? rowAthleteId(playerUsage), name: displayName, position, usage: playingTime }
+    )
+    : null;
 
-  return {
+  // Where each value came from; fields left out are missing and get scored as 'defaulted'.
+  // Usage inferred from a missing row counts as estimated, like usage derived from snaps.
+  const usageSource = reportedUsage(playerUsage) != null ? 'api' : 'estimated';
+  const provenance = {
+    playingTime: playingTime != null ? usageSource : undefined,
+    playingTimePercentile: percentiles?.playingTime != null ? usageSource : undefined,
+    snapsPlayed: snapsPlayed != null ? (playerUsage ? 'api' : 'estimated') : undefined,
+    snapsPercentile: percentiles?.snaps != null ? (playerUsage ? 'api' : 'estimated') : undefined,
+    distanceFromHighSchoolMiles: distance.miles == null ? undefined
+      : distance.method === 'override' || distance.method === 'stored-override' ? 'override'
+        : distance.estimated ? 'estimated' : 'api',
+    recruitingRank: recruitingRank != null ? 'api' : undefined,
+    teamWinRate: winRate != null ? 'api' : undefined,
+    nilScore: nilScore != null ? 'override' : undefined,
+    socialSentiment: socialSentiment != null ? 'override' : undefined,
+    usageChange: trajectory?.usageChange != null ? 'api' : undefined,
+    newcomerShare: trajectory?.newcomerShare != null ? 'api' : undefined,
+    missedSeasons: trajectory?.missedSeasons != null ? 'api' : undefined,
+    coachingChange: coaching?.severity != null ? 'api' : undefined,
+    // Without next season's recruits or portal (skipped or failed) the room is only partly known.
+    positionRoom: room?.risk != null ? (ctx.nextRecruits && ctx.incomingTransfers ? 'api' : 'estimated') : undefined,
+    productionPercentile: production ? 'api' : undefined,
+    expectationGap: ctx.expectation ? 'api' : undefined,
+    classYear: eligibility ? (eligibility.estimated ? 'estimated' : 'api') : undefined,
+    eligibilityRemaining: eligibility?.eligibilityRemaining != null ? (eligibility.estimated ? 'estimated' : 'api') : undefined,
+  };
+
+  const input = {
     playingTime: playingTime ?? undefined,
-    distanceFromHighSchoolMiles: distance,
+    distanceFromHighSchoolMiles: distance.miles ?? undefined,
     recruitingRank: recruitingRank ?? undefined,
-    teamWinRate: winRate,
+    teamWinRate: winRate ?? undefined,
     nilScore: nilScore ?? undefined,
     snapsPlayed: snapsPlayed ?? undefined,
+    gamesPlayed: ctx.gamesPlayed ?? undefined,
+    playingTimePercentile: percentiles?.playingTime ?? undefined,
+    snapsPercentile: percentiles?.snaps ?? undefined,
+    positionBaseline: percentiles?.group ? `${percentiles.scope} ${percentiles.group}s` : undefined,
     socialSentiment: socialSentiment ?? undefined,
+    usageChange: trajectory?.usageChange ?? undefined,
+    newcomerShare: trajectory?.newcomerShare ?? undefined,
+    missedSeasons: trajectory?.missedSeasons ?? undefined,
+    coachingChange: coaching?.severity ?? undefined,
+    coachingChangeNote: coaching?.note ?? undefined,
+    positionRoom: room?.risk ?? undefined,
+    positionRoomCompetitors: room?.competitors ?? undefined,
+    positionRoomNote: room?.note ?? undefined,
+    productionPercentile: production?.percentile ?? undefined,
+    productionBaseline: production ? `${production.scope} ${production.group}s` : undefined,
+    productionNote: production?.note ?? undefined,
+    expectationGap: ctx.expectation?.gap ?? undefined,
+    expectationGapNote: ctx.expectation?.note ?? undefined,
+    classYear: eligibility?.classYear ?? undefined,
+    redshirted: eligibility?.redshirted ?? undefined,
+    eligibilityRemaining: eligibility?.eligibilityRemaining ?? undefined,
+    draftEligible: eligibility?.draftEligible ?? undefined,
+    eligibilityNote: eligibility?.note ?? undefined,
+    provenance: Object.fromEntries(Object.entries(provenance).filter(([, v]) => v)),
     _meta: {
       playerName: displayName,
+      position,
       team,
       year,
+      distance,
+      trajectory: trajectory && { seasons: trajectory.seasons, newcomers: trajectory.newcomers },
+      coaching,
+      baselines: percentiles,
+      production,
+      expectation: ctx.expectation ?? null,
+      eligibility,
+      storedOverrides: storedUsed,
+      warnings: ctx.warnings ?? [],
     },
   };
+  collectFactorInputs(input, {
+    year, team, conference: ctx.conference ?? null, playerId: rowAthleteId(playerRoster) ?? rowAthleteId(playerUsage), playerName: displayName, position,
+    roster: playerRoster ?? null, usage: playerUsage ?? null, recruiting: playerRecruiting ?? null,
+  }, overrides);
+  return input;
 }
 
-/** Very rough team state lookup for distance heuristic. */
-const TEAM_STATE = {
-  'Ohio State': 'OH', 'Michigan': 'MI', 'Alabama': 'AL', 'Georgia': 'GA',
-  'Texas': 'TX', 'Oklahoma': 'OK', 'Clemson': 'SC', 'Florida State': 'FL',
-  'Florida': 'FL', 'LSU': 'LA', 'Penn State': 'PA', 'Notre Dame': 'IN',
-  'Tennessee': 'TN', 'USC': 'CA', 'Oregon': 'OR', 'Washington': 'WA',
-  'Texas A&M': 'TX', 'Auburn': 'AL', 'Miami': 'FL', 'Nebraska': 'NE',
-  'Iowa': 'IA', 'Wisconsin': 'WI', 'Michigan State': 'MI', 'Kentucky': 'KY',
-  'South Carolina': 'SC', 'Arkansas': 'AR', 'Ole Miss': 'MS', 'Mississippi State': 'MS',
-  'Missouri': 'MO', 'North Carolina': 'NC', 'Virginia Tech': 'VA', 'West Virginia': 'WV',
-  'California': 'CA', 'Stanford': 'CA', 'UCLA': 'CA', 'Arizona': 'AZ',
-  'Arizona State': 'AZ', 'Utah': 'UT', 'Colorado': 'CO', 'Kansas': 'KS',
-  'Kansas State': 'KS', 'Oklahoma State': 'OK', 'Baylor': 'TX', 'TCU': 'TX',
-  'Texas Tech': 'TX', 'Houston': 'TX', 'SMU': 'TX', 'Tulane': 'LA',
-  'Maryland': 'MD', 'Rutgers': 'NJ', 'Indiana': 'IN', 'Purdue': 'IN',
-  'Illinois': 'IL', 'Northwestern': 'IL', 'Minnesota': 'MN',
-};
-function inferTeamState(team) {
-  return TEAM_STATE[team] || null;
+/**
+ * Inputs from registered factors that compute their own (a `collect` hook, e.g. a
+ * local factor reading an internal store). Values passed as overrides win; a hook
+ * that throws leaves its inputs missing and adds a warning.
+ */
+function collectFactorInputs(input, player, overrides) {
+  for (const factor of listFactors()) {
+    if (!factor.collect) continue;
+    let values;
+    try {
+      values = factor.collect({ ...player, input });
+    } catch (err) {
+      input._meta.warnings = [...input._meta.warnings, { source: `factor ${factor.name}`, code: 'factor_error', status: null, message: err.message }];
+      continue;
+    }
+    for (const [field, value] of Object.entries(values ?? {})) {
+      if (value == null || overrides[field] != null) continue;
+      input[field] = value;
+      input.provenance[field] = 'api';
+    }
+  }
+}
+
+/**
+ * Fetch and aggregate all available inputs for a player/team/year.
+ * If only playerName is provided (no team), resolves team via /player/search first.
+ *
+ * @param {Object} opts
+ * @param {number} opts.year - season year
+ * @param {string} [opts.team] - school (optional if playerName provided)
+ * @param {string} [opts.playerName] - player name (can be used without team for name-only search)
+ * @param {number} [opts.distanceFromHighSchoolMiles] - override (if known)
+ * @param {number} [opts.nilScore] - 0–1 NIL strength (manual)
+ * @param {number} [opts.socialSentiment] - 0–1 from quotes/social (manual)
+ * @param {Object} [shared]
+ * @param {Map} [shared.teamContexts] - reuse team-season data across calls (batch scoring)
+ * @returns {Promise<Object>} input for computeTransferProbability (_meta.cache has CFBD cache hits/misses)
+ */
+export async function aggregatePlayerInput(opts, { teamContexts } = {}) {
+  const { value, cache } = await trackCacheUsage(() => aggregateOnePlayer(opts, teamContexts));
+  value._meta.cache = cache;
+  return value;
+}
+
+/**
+ * Team context, shared through `contexts` (a Map) so a batch fetches each
+ * team-season once. Each caller gets its own warnings list.
+ */
+async function loadTeamContext(year, team, contexts) {
+  if (!contexts) return fetchTeamContext(year, team);
+  const key = `${year}|${String(team).trim().toLowerCase()}`;
+  if (!contexts.has(key)) contexts.set(key, fetchTeamContext(year, team));
+  const ctx = await contexts.get(key);
+  return { ...ctx, warnings: [...ctx.warnings] };
+}
+
+async function aggregateOnePlayer(opts, teamContexts) {
+  let { year, team, playerName, playerId, distanceFromHighSchoolMiles, nilScore, socialSentiment } = opts;
+  const hints = {
+    position: opts.position || undefined,
+    hometown: opts.hometown ? parseHometown({ hometown: opts.hometown }) ?? undefined : undefined,
+  };
+
+  if ((!team || !String(team).trim()) && playerName) {
+    const resolved = await resolvePlayerByName(year, playerName, hints);
+    if (resolved) {
+      team = resolved.team;
+      playerName = resolved.name;
+      playerId = playerId ?? resolved.id ?? undefined;
+    } else {
+      throw new PlayerNotFoundError(`No player found for "${playerName}". Try a different name or year.`, { query: { playerName, year } });
+    }
+  }
+
+  if (!team || !String(team).trim()) {
+    throw new InvalidRequestError('Provide either a player name or a team (or both).', {
+      errors: [{ field: 'playerName', message: 'a player name or team is required' }, { field: 'team', message: 'a player name or team is required' }],
+    });
+  }
+
+  const ctx = await loadTeamContext(year, team, teamContexts);
+  const { usageList, roster, recruiting } = ctx;
+
+  if (!playerName && playerId == null) {
+    throw new AmbiguousPlayerError(
+      `No player given for ${team}: choose one of ${roster.length} rostered players, or use the team report for the whole roster.`,
+      { query: { team, year }, candidates: roster.map(describeCandidate) }
+    );
+  }
+
+  const query = { id: playerId, name: playerName, ...hints };
+  const query404 = { playerName, playerId, team, year };
+
+  // The roster row anchors identity; its athlete id is then used to join usage and recruiting.
+  const rosterMatch = matchPlayer(roster, query);
+  if (rosterMatch.ambiguous) {
+    throw new AmbiguousPlayerError(
+      `"${playerName ?? playerId}" matches ${rosterMatch.candidates.length} players on ${team}. Add position, hometown or playerId to pick one.`,
+      { query: query404, candidates: rosterMatch.candidates.map(describeCandidate) }
+    );
+  }
+  const playerRoster = rosterMatch.match;
+  const athleteId = rowAthleteId(playerRoster) ?? (playerId != null ? String(playerId) : null);
+  const joinQuery = { ...query, id: athleteId ?? undefined, name: playerName ?? rowName(playerRoster), position: hints.position ?? playerRoster?.position };
+
+  const pick = (rows, source, extra = {}) => {
+    const m = matchPlayer(rows, { ...joinQuery, ...extra });
+    if (m.ambiguous) {
+      ctx.warnings.push({ source, code: 'ambiguous_match', status: null, message: `${m.candidates.length} ${source} rows match equally well; ${source} data not used.` });
+      return null;
+    }
+    return m.match;
+  };
+  const playerUsage = pick(usageList, 'usage');
+  const playerRecruiting = pick(recruiting, 'recruiting', { hometown: hints.hometown ?? parseHometown(playerRoster) ?? undefined });
+
+  if (!playerRoster && !playerUsage) {
+    // With neither list fetched, "not found" would blame the query for a CFBD outage.
+    const failed = ctx.warnings.filter((w) => w.source === 'roster' || w.source === 'usage');
+    if (failed.length === 2) {
+      throw new CfbdUpstreamError(`CFBD roster and usage requests failed for ${team} ${year}, so the player can't be looked up: ${failed[0].message}`, { status: failed[0].status });
+    }
+    throw new PlayerNotFoundError(
+      `No player "${playerName ?? playerId}" found on ${team} in ${year}. Check the spelling, team or year.`,
+      { query: query404 }
+    );
+  }
+
+  const input = buildPlayerInput(
+    ctx,
+    { playerUsage, playerRecruiting, playerRoster },
+    { playerName, distanceFromHighSchoolMiles, nilScore, socialSentiment }
+  );
+  input._meta.playerId = athleteId ?? rowAthleteId(playerUsage);
+  input._meta.matched = { roster: Boolean(playerRoster), usage: Boolean(playerUsage), recruiting: Boolean(playerRecruiting) };
+  return input;
+}
+
+/**
+ * Aggregate scorer inputs for every rostered player on a team.
+ * The roster is the base list; usage and recruiting rows are joined by CFBD athlete id,
+ * then by unique canonical name (see identity.js).
+ * Falls back to the usage list when the roster endpoint returns nothing.
+ *
+ * @param {Object} opts
+ * @param {number} opts.year
+ * @param {string} opts.team
+ * @param {boolean} [opts.historical=false] - a labeled past season (backtest, training): use only
+ *   season-N data, without next season's recruiting class or portal or today's stored overrides
+ * @param {Map} [opts.shared] - requests shared across teams (see fetchTeamContext)
+ * @returns {Promise<{ inputs: Object[], warnings: Object[] }>} one computeTransferProbability input per player,
+ *   plus warnings for CFBD requests that failed
+ */
+export async function aggregateTeamInputs({ year, team, historical = false, shared }) {
+  if (!team || !String(team).trim()) {
+    throw new InvalidRequestError('Provide a team for a team report.', { errors: [{ field: 'team', message: 'is required' }] });
+  }
+  const ctx = await fetchTeamContext(year, team, { upcoming: !historical, shared });
+  const { usageList, roster, recruiting } = ctx;
+
+  const usageIndex = indexRows(usageList);
+  const recruitingIndex = indexRows(recruiting);
+
+  const base = roster.length ? roster : usageList;
+  const inputs = base.map((row) => {
+    const id = rowAthleteId(row);
+    const name = rowName(row);
+    const input = buildPlayerInput(ctx, {
+      playerUsage: roster.length ? usageIndex.find(id, name) : row,
+      playerRecruiting: recruitingIndex.find(id, name),
+      playerRoster: roster.length ? row : null,
+    }, { playerName: name }, { storedOverrides: !historical });
+    input._meta.playerId = id;
+    return input;
+  });
+  return { inputs, warnings: ctx.warnings };
 }
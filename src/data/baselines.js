@@ -0,0 +1,83 @@
+/**
+ * Per-position usage and snap baselines for one season, built from the team's
+ * and its conference's CFBD usage rows, so playing time and snaps are scored as
+ * percentiles within the position instead of against fixed constants.
+ */
+
+import { positionGroup } from './positionRoom.js';
+import { DEFAULT_GAMES, usageShare, snapCount } from './usage.js';
+
+/** Fewer rows than this at a position and the scorer falls back to its fixed scales. */
+const MIN_BASELINE_ROWS = 8;
+
+/**
+ * Baselines by position group: sorted usage shares and snaps per game.
+ *
+ * @param {Object[]} rows - usage rows for the season (team + conference; duplicates by id are dropped)
+ * @param {Map<string, number>} gamesByTeam - lowercase team → games played
+ * @param {Object} [opts]
+ * @param {string} [opts.scope] - label for notes, e.g. "SEC" or the team name
+ * @returns {{ scope: string|null, groups: Object }}
+ */
+export function buildBaselines(rows, gamesByTeam, { scope } = {}) {
+  const groups = {};
+  const seen = new Set();
+  for (const row of rows || []) {
+    const key = row.id != null ? `id:${row.id}` : `${row.team}|${row.name}`;
+    if (seen.has(key)) continue;
+    seen.add(key);
+    const group = positionGroup(row.position);
+    if (!group) continue;
+    const g = (groups[group] ??= { usage: [], snapsPerGame: [] });
+    const games = gamesByTeam.get(String(row.team ?? '').toLowerCase()) ?? DEFAULT_GAMES;
+    const usage = usageShare(row, games);
+    if (usage != null) g.usage.push(usage);
+    const snaps = snapCount(row);
+    if (snaps != null) g.snapsPerGame.push(snaps / games);
+  }
+  for (const g of Object.values(groups)) {
+    g.usage.sort((a, b) => a - b);
+    g.snapsPerGame.sort((a, b) => a - b);
+  }
+  return { scope: scope ?? null, groups };
+}
+
+/** Mid-rank percentile (0–1) of value within a sorted list. */
+export function percentile(sorted, value) {
+  let below = 0;
+  let equal = 0;
+  for (const v of sorted) {
+    if (v < value) below++;
+    else if (v === value) equal++;
+  }
+  return (below + equal / 2) / sorted.length;
+}
+
+/**
+ * Position percentiles for one player; null where the position has too few rows.
+ *
+ * @param {Object} baselines - from buildBaselines
+ * @param {{ position?: string, usage?: number|null, snaps?: number|null, games: number }} player
+ * @returns {{ group: string|null, playingTime: number|null, snaps: number|null, usageRows: number, snapRows: number, scope: string|null,
+ *   distribution: { usage: number[]|null, snapsPerGame: number[]|null } }} distribution: the sorted baseline values the
+ *   percentiles came from (null below MIN_BASELINE_ROWS), so what-if scenarios can re-rank a changed usage or snap count
+ */
+export function positionPercentiles(baselines, { position, usage, snaps, games }) {
+  const group = positionGroup(position);
+  const g = group ? baselines?.groups[group] : null;
+  const round = (p) => Math.round(p * 100) / 100;
+  const usageBaseline = g && g.usage.length >= MIN_BASELINE_ROWS ? g.usage : null;
+  const snapBaseline = g && g.snapsPerGame.length >= MIN_BASELINE_ROWS ? g.snapsPerGame : null;
+  const playingTime = usageBaseline && usage != null ? round(percentile(usageBaseline, usage)) : null;
+  const snapsPct = snapBaseline && snaps != null ? round(percentile(snapBaseline, snaps / (games || DEFAULT_GAMES))) : null;
+  const compact = (list) => list && list.map((v) => Math.round(v * 1000) / 1000);
+  return {
+    group,
+    playingTime,
+    snaps: snapsPct,
+    usageRows: g?.usage.length ?? 0,
+    snapRows: g?.snapsPerGame.length ?? 0,
+    scope: baselines?.scope ?? null,
+    distribution: { usage: compact(usageBaseline), snapsPerGame: compact(snapBaseline) },
+  };
+}
@@ -0,0 +1,127 @@
+/**
+ * Coaching change between the staff that recruited a player and the staff in the
+ * scored season. CFBD /coaches lists head coaches; rows that carry a title
+ * (coordinator or position coach) are used too when present.
+ */
+
+/** Severity (0–1) of each kind of change, fed to the coachingChange factor. */
+export const CHANGE_SEVERITY = {
+  head: 1,
+  coordinator: 0.7,
+  position: 0.5,
+};
+
+/** "Head Coach" / "Interim Head Coach", not "Assistant Head Coach". */
+const HEAD_COACH = /^(interim )?head coach/i;
+
+const OFFENSE = new Set(['QB', 'RB', 'FB', 'WR', 'TE', 'OL', 'OT', 'OG', 'C', 'IOL']);
+const DEFENSE = new Set(['DL', 'DE', 'DT', 'NT', 'EDGE', 'LB', 'ILB', 'OLB', 'DB', 'CB', 'S', 'FS', 'SS']);
+const SPECIAL = new Set(['K', 'P', 'LS', 'PK']);
+
+/** Title keywords for each position's position coach. */
+const POSITION_COACH = {
+  QB: /quarterback/i, RB: /running back/i, FB: /running back|fullback/i, WR: /receiver/i, TE: /tight end/i,
+  OL: /offensive line/i, OT: /offensive line/i, OG: /offensive line/i, C: /offensive line/i, IOL: /offensive line/i,
+  DL: /defensive line|interior/i, DE: /defensive end|defensive line|edge/i, DT: /defensive (line|tackle)|interior/i,
+  NT: /defensive line|interior/i, EDGE: /edge|outside linebacker|defensive end/i, LB: /linebacker/i,
+  ILB: /linebacker/i, OLB: /linebacker|edge/i, DB: /secondary|defensive back|cornerback|safet/i,
+  CB: /secondary|defensive back|cornerback/i, S: /secondary|defensive back|safet/i, FS: /secondary|defensive back|safet/i,
+  SS: /secondary|defensive back|safet/i, K: /special teams|kicker/i, P: /special teams|punter/i, LS: /special teams/i,
+};
+
+function coachName(row) {
+  return `${row.first_name ?? row.firstName ?? ''} ${row.last_name ?? row.lastName ?? ''}`.trim() || row.name || 'Unknown';
+}
+
+/** Head coach unless the row carries a title. */
+function coachRole(row) {
+  return row.position ?? row.title ?? row.role ?? 'Head Coach';
+}
+
+function coordinatorPattern(position) {
+  if (OFFENSE.has(position)) return /offensive coordinator/i;
+  if (DEFENSE.has(position)) return /defensive coordinator/i;
+  if (SPECIAL.has(position)) return /special teams coordinator/i;
+  return null;
+}
+
+/** Names of the coaches at `team` in `year` whose role matches `pattern`. */
+function staffIn(coaches, team, year, pattern) {
+  const t = String(team).toLowerCase();
+  const names = new Set();
+  for (const row of coaches) {
+    if (!pattern.test(coachRole(row))) continue;
+    const seasons = Array.isArray(row.seasons) ? row.seasons : [];
+    if (seasons.some((s) => String(s.school ?? s.team ?? '').toLowerCase() === t && Number(s.year) === year)) {
+      names.add(coachName(row));
+    }
+  }
+  return names;
+}
+
+function sameStaff(a, b) {
+  return a.size === b.size && [...a].every((n) => b.has(n));
+}
+
+/**
+ * Season whose staff recruited the player: the season before their recruiting class,
+ * else the season before they enrolled (from roster class year), else the prior season.
+ *
+ * @param {number} year - scored season
+ * @param {Object} [recruitingRow] - CFBD recruiting row (year = signing class)
+ * @param {Object} [rosterRow] - CFBD roster row (year = class, 1 = freshman)
+ * @returns {number}
+ */
+export function recruitedUnderSeason(year, recruitingRow, rosterRow) {
+  const classYear = Number(recruitingRow?.year);
+  if (classYear > 1900 && classYear <= year) return classYear - 1;
+  const cls = Number(rosterRow?.year);
+  if (cls >= 1 && cls <= 6) return year - cls;
+  return year - 1;
+}
+
+/**
+ * Detect a coaching change at `team` between `fromYear` and `toYear`.
+ * Checks head coach first, then the player's coordinator, then their position coach.
+ *
+ * @param {Object[]} coaches - CFBD /coaches rows
+ * @param {Object} opts
+ * @param {string} opts.team
+ * @param {number} opts.fromYear - season of the staff that recruited the player
+ * @param {number} opts.toYear - scored season
+ * @param {string} [opts.position]
+ * @returns {{ severity: number|null, type: string|null, from: string[], to: string[], fromYear: number, toYear: number, note: string }}
+ *   severity is null when the head coach for either season is unknown.
+ */
+export function detectCoachingChange(coaches, { team, fromYear, toYear, position }) {
+  const result = (severity, type, from, to, note) => ({ severity, type, from: [...from], to: [...to], fromYear, toYear, note });
+  const list = Array.isArray(coaches) ? coaches : [];
+
+  const headFrom = staffIn(list, team, fromYear, HEAD_COACH);
+  const headTo = staffIn(list, team, toYear, HEAD_COACH);
+  if (!headFrom.size || !headTo.size) {
+    return result(null, null, headFrom, headTo, `Head coach unknown for ${headFrom.size ? toYear : fromYear}`);
+  }
+  if (!sameStaff(headFrom, headTo)) {
+    return result(CHANGE_SEVERITY.head, 'head', headFrom, headTo,
+      `Head coach change: ${[...headFrom].join(' / ')} (${fromYear}) → ${[...headTo].join(' / ')} (${toYear})`);
+  }
+
+  const pos = position ? String(position).toUpperCase() : null;
+  const checks = [
+    ['coordinator', coordinatorPattern(pos), 'Coordinator'],
+    ['position', POSITION_COACH[pos], 'Position coach'],
+  ];
+  for (const [type, pattern, label] of checks) {
+    if (!pattern) continue;
+    const from = staffIn(list, team, fromYear, pattern);
+    const to = staffIn(list, team, toYear, pattern);
+    if (from.size && to.size && !sameStaff(from, to)) {
+      return result(CHANGE_SEVERITY[type], type, from, to,
+        `${label} change: ${[...from].join(' / ')} (${fromYear}) → ${[...to].join(' / ')} (${toYear})`);
+    }
+  }
+
+  return result(0, null, headFrom, headTo,
+    fromYear === toYear ? `No change: ${[...headTo].join(' / ')}` : `No change since ${fromYear}: ${[...headTo].join(' / ')}`);
+}
@@ -0,0 +1,146 @@
+/**
+ * Hometown-to-campus distance from the bundled gazetteer (src/data/geo/).
+ * Prefers CFBD hometown coordinates, then a gazetteer city match, then the
+ * state center; the last is flagged as estimated.
+ */
+
+import { CITIES } from './geo/cities.js';
+import { CAMPUSES, CAMPUS_ALIASES } from './geo/campuses.js';
+import { STATES, stateCode } from './geo/states.js';
+
+const EARTH_RADIUS_MILES = 3958.8;
+
+/** Lowercase, drop accents/punctuation and expand St./Ft./Mt. so spellings line up. */
+function normalizePlace(name) {
+  return String(name || '')
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .replace(/['’.]/g, '')
+    .replace(/\bst\b/g, 'saint')
+    .replace(/\bft\b/g, 'fort')
+    .replace(/\bmt\b/g, 'mount')
+    .replace(/[^a-z0-9&()]+/g, ' ')
+    .trim();
+}
+
+const CITY_INDEX = new Map(CITIES.map(([city, state, lat, lon]) => [`${normalizePlace(city)}|${state}`, { city, state, lat, lon }]));
+
+const CAMPUS_INDEX = new Map(CAMPUSES.map(([school, state, lat, lon, division]) => [normalizePlace(school), { school, state, lat, lon, division }]));
+for (const [alias, school] of Object.entries(CAMPUS_ALIASES)) {
+  const campus = CAMPUS_INDEX.get(normalizePlace(school));
+  if (campus) CAMPUS_INDEX.set(normalizePlace(alias), campus);
+}
+
+/**
+ * Great-circle distance in miles between two { lat, lon } points.
+ */
+export function haversineMiles(a, b) {
+  const toRad = (d) => (d * Math.PI) / 180;
+  const dLat = toRad(b.lat - a.lat);
+  const dLon = toRad(b.lon - a.lon);
+  const h = Math.sin(dLat / 2) ** 2 + Math.cos(toRad(a.lat)) * Math.cos(toRad(b.lat)) * Math.sin(dLon / 2) ** 2;
+  return 2 * EARTH_RADIUS_MILES * Math.asin(Math.min(1, Math.sqrt(h)));
+}
+
+/**
+ * Campus location for a CFBD school name (or a known alias).
+ * @returns {{ school: string, state: string, lat: number, lon: number, division: string }|null}
+ */
+export function findCampus(team) {
+  return CAMPUS_INDEX.get(normalizePlace(team)) ?? null;
+}
+
+/** Gazetteer lookup for a city + state (code or name). */
+export function findCity(city, state) {
+  const code = stateCode(state);
+  if (!city || !code) return null;
+  return CITY_INDEX.get(`${normalizePlace(city)}|${code}`) ?? null;
+}
+
+/**
+ * Map point for a hometown `{ city, state }` (as in `_meta.distance.hometown`): the
+ * gazetteer city, else the state center (estimated).
+ * @returns {{ lat: number, lon: number, estimated: boolean }|null}
+ */
+export function locateHometown(hometown) {
+  if (!hometown) return null;
+  const city = findCity(hometown.city, hometown.state);
+  if (city) return { lat: city.lat, lon: city.lon, estimated: false };
+  const code = stateCode(hometown.state);
+  return code ? { lat: STATES[code].lat, lon: STATES[code].lon, estimated: true } : null;
+}
+
+function num(v) {
+  return v != null && v !== '' && !Number.isNaN(Number(v)) ? Number(v) : null;
+}
+
+/**
+ * Hometown fields from a CFBD roster row (home_city/home_state/home_latitude/...,
+ * or a "City, ST" hometown string) or recruiting row (city/stateProvince/hometownInfo).
+ * @returns {{ city: string|null, state: string|null, lat: number|null, lon: number|null }|null}
+ */
+export function parseHometown(row) {
+  if (!row) return null;
+  let city = row.home_city ?? row.homeCity ?? row.city ?? null;
+  let state = row.home_state ?? row.homeState ?? row.stateProvince ?? row.state_province ?? null;
+  const hometown = row.hometown ?? row.home_town ?? null;
+  if ((!city || !state) && hometown) {
+    const parts = String(hometown).replace(/\(.*?\)/g, '').split(',').map((s) => s.trim()).filter(Boolean);
+    if (parts.length >= 2) {
+      city = city || parts[0];
+      state = state || parts[parts.length - 1];
+    } else if (parts.length === 1) {
+      const m = parts[0].match(/^(.*)\s+([A-Za-z]{2})$/);
+      if (m) {
+        city = city || m[1];
+        state = state || m[2];
+      } else {
+        state = state || parts[0];
+      }
+    }
+  }
+  const lat = num(row.home_latitude ?? row.homeLatitude ?? row.hometownInfo?.latitude ?? row.hometown_info?.latitude);
+  const lon = num(row.home_longitude ?? row.homeLongitude ?? row.hometownInfo?.longitude ?? row.hometown_info?.longitude);
+  if (!city && !state && lat == null) return null;
+  return { city: city ? String(city).trim() : null, state: state ? String(state).trim() : null, lat, lon };
+}
+
+/**
+ * Distance from a player's hometown to their campus.
+ *
+ * method: 'coordinates' (CFBD hometown lat/long), 'gazetteer' (bundled city match),
+ * 'state-center' (hometown state center – estimated) or 'unavailable'.
+ *
+ * @param {string} team - CFBD school name
+ * @param {...Object} rows - roster / recruiting rows to read the hometown from, in priority order
+ * @returns {{ miles: number|null, method: string, estimated: boolean, hometown: Object|null, campus: string|null }}
+ */
+export function hometownDistance(team, ...rows) {
+  const campus = findCampus(team);
+  const hometowns = rows.map(parseHometown).filter(Boolean);
+  const hometown = hometowns[0] ?? null;
+  const result = (miles, method, estimated) => ({
+    miles: miles != null ? Math.round(miles) : null,
+    method,
+    estimated,
+    hometown: hometown ? { city: hometown.city, state: stateCode(hometown.state) ?? hometown.state } : null,
+    campus: campus?.school ?? null,
+  });
+
+  if (!campus || !hometown) return result(null, 'unavailable', false);
+
+  const withCoords = hometowns.find((h) => h.lat != null && h.lon != null);
+  if (withCoords) return result(haversineMiles(withCoords, campus), 'coordinates', false);
+
+  for (const h of hometowns) {
+    const city = findCity(h.city, h.state);
+    if (city) return result(haversineMiles(city, campus), 'gazetteer', false);
+  }
+
+  for (const h of hometowns) {
+    const code = stateCode(h.state);
+    if (code) return result(haversineMiles(STATES[code], campus), 'state-center', true);
+  }
+  return result(null, 'unavailable', false);
+}
@@ -0,0 +1,105 @@
+/**
+ * Eligibility from CFBD roster data: class year (1 = freshman), redshirt status
+ * and seasons of eligibility left after the scored season, under the usual
+ * four-seasons-in-five rule. CFBD rosters have no redshirt flag, so a redshirt is
+ * inferred from a prior season on the roster without playing (trajectory.js) or
+ * a fifth-year class.
+ */
+
+/** Seasons a player may play, and the years they have to play them in. */
+export const PLAYING_SEASONS = 4;
+export const ELIGIBILITY_CLOCK = 5;
+
+/** Class year from which a player is three seasons out of high school (NFL draft rule). */
+export const DRAFT_CLASS = 3;
+
+const CLASS_LABELS = { 1: 'FR', 2: 'SO', 3: 'JR', 4: 'SR', 5: '5th', 6: '6th' };
+const CLASS_NAMES = { FR: 1, FRESHMAN: 1, SO: 2, SOPHOMORE: 2, JR: 3, JUNIOR: 3, SR: 4, SENIOR: 4, GR: 5, GRADUATE: 5 };
+
+/**
+ * Class year (1–6) from a roster row (a number or FR/SO/JR/SR), else from the
+ * recruiting class (scored season − signing class + 1). Null when neither has it.
+ * @returns {{ classYear: number, from: 'roster'|'recruiting' }|null}
+ */
+export function classYearOf(rosterRow, recruitingRow, year) {
+  const raw = rosterRow?.year;
+  const n = Number(raw);
+  if (Number.isInteger(n) && n >= 1 && n <= 6) return { classYear: n, from: 'roster' };
+  const named = CLASS_NAMES[String(raw ?? '').trim().toUpperCase()];
+  if (named) return { classYear: named, from: 'roster' };
+  const signed = Number(recruitingRow?.year);
+  if (signed > 1900 && signed <= year) return { classYear: Math.min(6, year - signed + 1), from: 'recruiting' };
+  return null;
+}
+
+function seasonsLeft(classYear, redshirted) {
+  const used = classYear - (redshirted ? 1 : 0);
+  return Math.max(0, Math.min(PLAYING_SEASONS - used, ELIGIBILITY_CLOCK - classYear));
+}
+
+/**
+ * Seasons of eligibility left after this one: playing seasons not yet used, capped
+ * by the years left on the clock. A redshirt season doesn't use a playing season.
+ * @returns {{ min: number, max: number }|null} null when the class year is unknown;
+ *   min and max differ when the redshirt status is unknown and changes the answer
+ */
+export function eligibilityRange(classYear, redshirted) {
+  if (classYear == null) return null;
+  if (redshirted != null) {
+    const left = seasonsLeft(classYear, redshirted);
+    return { min: left, max: left };
+  }
+  return { min: seasonsLeft(classYear, false), max: seasonsLeft(classYear, true) };
+}
+
+/**
+ * Seasons of eligibility left after this one (see eligibilityRange).
+ * @returns {number|null} null when the class year is unknown, or the redshirt status is and it matters
+ */
+export function remainingEligibility(classYear, redshirted) {
+  const range = eligibilityRange(classYear, redshirted);
+  return range && range.min === range.max ? range.min : null;
+}
+
+/**
+ * Eligibility for one player.
+ *
+ * @param {Object} opts
+ * @param {number} opts.year - scored season
+ * @param {Object} [opts.rosterRow]
+ * @param {Object} [opts.recruitingRow]
+ * @param {number|null} [opts.missedSeasons] - prior seasons on the roster without playing (trajectory.js)
+ * @returns {{ classYear: number, classLabel: string, redshirted: boolean|null, eligibilityRemaining: number|null,
+ *   eligibilityRange: { min: number, max: number }, draftEligible: boolean, estimated: boolean, note: string }|null}
+ *   null when the class year is unknown; estimated when the class year came from the recruiting class or
+ *   the redshirt status is unknown. An unknown redshirt isn't assumed either way: eligibilityRemaining is
+ *   null when it would change the answer, and eligibilityRange has both readings.
+ */
+export function assessEligibility({ year, rosterRow, recruitingRow, missedSeasons }) {
+  const cls = classYearOf(rosterRow, recruitingRow, year);
+  if (!cls) return null;
+  const { classYear } = cls;
+  const flag = rosterRow?.redshirt ?? rosterRow?.redshirted;
+  let redshirted = null;
+  if (typeof flag === 'boolean') redshirted = flag;
+  else if (classYear >= ELIGIBILITY_CLOCK || missedSeasons > 0) redshirted = true;
+  // With every prior season on the trajectory window played, there was no redshirt.
+  else if (missedSeasons === 0 && classYear <= 3) redshirted = false;
+  const range = eligibilityRange(classYear, redshirted);
+  const eligibilityRemaining = range.min === range.max ? range.min : null;
+  const draftEligible = classYear >= DRAFT_CLASS;
+  const classLabel = CLASS_LABELS[classYear];
+  const status = redshirted ? ', redshirted' : redshirted == null ? ', redshirt unknown' : '';
+  const seasons = eligibilityRemaining ?? `${range.min}–${range.max}`;
+  const left = `${seasons} season${eligibilityRemaining === 1 ? '' : 's'} of eligibility left after ${year}`;
+  return {
+    classYear,
+    classLabel,
+    redshirted,
+    eligibilityRemaining,
+    eligibilityRange: range,
+    draftEligible,
+    estimated: cls.from !== 'roster' || redshirted == null,
+    note: `${classLabel}${status}: ${left}${draftEligible && range.max > 0 ? '; draft-eligible' : ''}`,
+  };
+}
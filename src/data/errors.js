@@ -0,0 +1,138 @@
+/**
+ * Errors raised while resolving which player (or which teams) a request refers to, by the
+ * local stores (manual overrides, watchlist, weight profiles), for malformed batch-scoring,
+ * what-if, weight or HTTP request input, and when a player has too little real data to score.
+ */
+
+/** No player matched the given name (and team/year). */
+export class PlayerNotFoundError extends Error {
+  constructor(message, { query } = {}) {
+    super(message);
+    this.name = 'PlayerNotFoundError';
+    this.code = 'player_not_found';
+    this.query = query ?? null;
+  }
+}
+
+/** More than one player matched equally well; `candidates` lists them so the caller can pick one. */
+export class AmbiguousPlayerError extends Error {
+  constructor(message, { query, candidates = [] } = {}) {
+    super(message);
+    this.name = 'AmbiguousPlayerError';
+    this.code = 'ambiguous_player';
+    this.query = query ?? null;
+    this.candidates = candidates;
+  }
+}
+
+/** A stored override request had an unknown field, an out-of-range value or no values. */
+export class InvalidOverrideError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'InvalidOverrideError';
+    this.code = 'invalid_override';
+  }
+}
+
+/** No stored override with that id for the player. */
+export class OverrideNotFoundError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'OverrideNotFoundError';
+    this.code = 'override_not_found';
+  }
+}
+
+/** A batch file or request could not be read (bad CSV/JSON, no rows, too many rows) or a row has an invalid value. */
+export class InvalidBatchError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'InvalidBatchError';
+    this.code = 'invalid_batch';
+  }
+}
+
+/** A watchlist request had no player id or an invalid threshold / move size. */
+export class InvalidWatchError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'InvalidWatchError';
+    this.code = 'invalid_watch';
+  }
+}
+
+/** The player is not on the watchlist. */
+export class WatchNotFoundError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'WatchNotFoundError';
+    this.code = 'watch_not_found';
+  }
+}
+
+/** A what-if request changed an unknown input, set a value outside its range or asked to solve for an unknown target. */
+export class InvalidScenarioError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'InvalidScenarioError';
+    this.code = 'invalid_scenario';
+  }
+}
+
+/** Too many factors were defaulted to score the player at the requested minimum completeness. */
+export class InsufficientDataError extends Error {
+  constructor(message, { completeness } = {}) {
+    super(message);
+    this.name = 'InsufficientDataError';
+    this.code = 'insufficient_data';
+    this.completeness = completeness ?? null;
+  }
+}
+
+/** Custom weights had an unknown factor, a non-numeric or negative value or no weight above 0, or a profile name was invalid. */
+export class InvalidWeightsError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'InvalidWeightsError';
+    this.code = 'invalid_weights';
+  }
+}
+
+/** No weight profile with that name. */
+export class ProfileNotFoundError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'ProfileNotFoundError';
+    this.code = 'profile_not_found';
+  }
+}
+
+/** An HTTP request failed its route schema; `errors` lists each field and what's wrong with it. */
+export class InvalidRequestError extends Error {
+  constructor(message, { errors = [] } = {}) {
+    super(message);
+    this.name = 'InvalidRequestError';
+    this.code = 'invalid_request';
+    this.errors = errors;
+  }
+}
+
+/** An HTTP request body could not be parsed at all (e.g. broken JSON). */
+export class MalformedRequestError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'MalformedRequestError';
+    this.code = 'malformed_request';
+  }
+}
+
+/** A conference (or FBS) lookup for a leaderboard returned no teams for the season. */
+export class TeamsNotFoundError extends Error {
+  constructor(message, { conference = null, year = null } = {}) {
+    super(message);
+    this.name = 'TeamsNotFoundError';
+    this.code = 'teams_not_found';
+    this.conference = conference;
+    this.year = year;
+  }
+}
@@ -0,0 +1,223 @@
+/**
+ * Campus coordinates for FBS and FCS programs, keyed by CFBD school name:
+ * [school, state, latitude, longitude, division].
+ * CAMPUS_ALIASES maps common alternate names to the CFBD name.
+ */
+
+export const CAMPUSES = [
+  // FBS – ACC
+  ['Boston College', 'MA', 42.335, -71.168, 'fbs'], ['California', 'CA', 37.872, -122.259, 'fbs'],
+  ['Clemson', 'SC', 34.678, -82.839, 'fbs'], ['Duke', 'NC', 36.001, -78.938, 'fbs'],
+  ['Florida State', 'FL', 30.441, -84.298, 'fbs'], ['Georgia Tech', 'GA', 33.776, -84.398, 'fbs'],
+  ['Louisville', 'KY', 38.212, -85.759, 'fbs'], ['Miami', 'FL', 25.721, -80.279, 'fbs'],
+  ['NC State', 'NC', 35.785, -78.682, 'fbs'], ['North Carolina', 'NC', 35.905, -79.047, 'fbs'],
+  ['Pittsburgh', 'PA', 40.444, -79.960, 'fbs'], ['SMU', 'TX', 32.842, -96.784, 'fbs'],
+  ['Stanford', 'CA', 37.428, -122.169, 'fbs'], ['Syracuse', 'NY', 43.038, -76.134, 'fbs'],
+  ['Virginia', 'VA', 38.034, -78.508, 'fbs'], ['Virginia Tech', 'VA', 37.227, -80.422, 'fbs'],
+  ['Wake Forest', 'NC', 36.135, -80.277, 'fbs'],
+  // FBS – Big Ten
+  ['Illinois', 'IL', 40.102, -88.227, 'fbs'], ['Indiana', 'IN', 39.168, -86.523, 'fbs'],
+  ['Iowa', 'IA', 41.661, -91.536, 'fbs'], ['Maryland', 'MD', 38.987, -76.943, 'fbs'],
+  ['Michigan', 'MI', 42.278, -83.738, 'fbs'], ['Michigan State', 'MI', 42.701, -84.482, 'fbs'],
+  ['Minnesota', 'MN', 44.974, -93.228, 'fbs'], ['Nebraska', 'NE', 40.820, -96.701, 'fbs'],
+  ['Northwestern', 'IL', 42.056, -87.675, 'fbs'], ['Ohio State', 'OH', 40.007, -83.030, 'fbs'],
+  ['Oregon', 'OR', 44.045, -123.072, 'fbs'], ['Penn State', 'PA', 40.798, -77.860, 'fbs'],
+  ['Purdue', 'IN', 40.424, -86.921, 'fbs'], ['Rutgers', 'NJ', 40.501, -74.448, 'fbs'],
+  ['UCLA', 'CA', 34.069, -118.445, 'fbs'], ['USC', 'CA', 34.022, -118.285, 'fbs'],
+  ['Washington', 'WA', 47.655, -122.303, 'fbs'], ['Wisconsin', 'WI', 43.076, -89.412, 'fbs'],
+  // FBS – Big 12
+  ['Arizona', 'AZ', 32.232, -110.951, 'fbs'], ['Arizona State', 'AZ', 33.424, -111.928, 'fbs'],
+  ['Baylor', 'TX', 31.547, -97.114, 'fbs'], ['BYU', 'UT', 40.252, -111.649, 'fbs'],
+  ['Cincinnati', 'OH', 39.133, -84.515, 'fbs'], ['Colorado', 'CO', 40.007, -105.266, 'fbs'],
+  ['Houston', 'TX', 29.720, -95.344, 'fbs'], ['Iowa State', 'IA', 42.027, -93.648, 'fbs'],
+  ['Kansas', 'KS', 38.954, -95.253, 'fbs'], ['Kansas State', 'KS', 39.191, -96.582, 'fbs'],
+  ['Oklahoma State', 'OK', 36.127, -97.069, 'fbs'], ['TCU', 'TX', 32.710, -97.363, 'fbs'],
+  ['Texas Tech', 'TX', 33.584, -101.875, 'fbs'], ['UCF', 'FL', 28.602, -81.200, 'fbs'],
+  ['Utah', 'UT', 40.764, -111.842, 'fbs'], ['West Virginia', 'WV', 39.635, -79.955, 'fbs'],
+  // FBS – SEC
+  ['Alabama', 'AL', 33.214, -87.539, 'fbs'], ['Arkansas', 'AR', 36.068, -94.175, 'fbs'],
+  ['Auburn', 'AL', 32.603, -85.486, 'fbs'], ['Florida', 'FL', 29.644, -82.355, 'fbs'],
+  ['Georgia', 'GA', 33.948, -83.377, 'fbs'], ['Kentucky', 'KY', 38.031, -84.504, 'fbs'],
+  ['LSU', 'LA', 30.413, -91.180, 'fbs'], ['Mississippi State', 'MS', 33.455, -88.789, 'fbs'],
+  ['Missouri', 'MO', 38.940, -92.328, 'fbs'], ['Oklahoma', 'OK', 35.206, -97.446, 'fbs'],
+  ['Ole Miss', 'MS', 34.365, -89.538, 'fbs'], ['South Carolina', 'SC', 33.994, -81.030, 'fbs'],
+  ['Tennessee', 'TN', 35.951, -83.930, 'fbs'], ['Texas', 'TX', 30.284, -97.733, 'fbs'],
+  ['Texas A&M', 'TX', 30.619, -96.339, 'fbs'], ['Vanderbilt', 'TN', 36.144, -86.803, 'fbs'],
+  // FBS – Pac-12
+  ['Oregon State', 'OR', 44.564, -123.279, 'fbs'], ['Washington State', 'WA', 46.731, -117.160, 'fbs'],
+  // FBS – American
+  ['Army', 'NY', 41.391, -73.956, 'fbs'], ['Charlotte', 'NC', 35.307, -80.733, 'fbs'],
+  ['East Carolina', 'NC', 35.607, -77.366, 'fbs'], ['Florida Atlantic', 'FL', 26.372, -80.102, 'fbs'],
+  ['Memphis', 'TN', 35.119, -89.938, 'fbs'], ['Navy', 'MD', 38.983, -76.485, 'fbs'],
+  ['North Texas', 'TX', 33.211, -97.148, 'fbs'], ['Rice', 'TX', 29.717, -95.403, 'fbs'],
+  ['South Florida', 'FL', 28.059, -82.414, 'fbs'], ['Temple', 'PA', 39.981, -75.155, 'fbs'],
+  ['Tulane', 'LA', 29.940, -90.121, 'fbs'], ['Tulsa', 'OK', 36.152, -95.944, 'fbs'],
+  ['UAB', 'AL', 33.502, -86.806, 'fbs'], ['UTSA', 'TX', 29.583, -98.619, 'fbs'],
+  // FBS – Conference USA
+  ['Florida International', 'FL', 25.757, -80.374, 'fbs'], ['Jacksonville State', 'AL', 33.820, -85.766, 'fbs'],
+  ['Kennesaw State', 'GA', 34.038, -84.582, 'fbs'], ['Liberty', 'VA', 37.352, -79.179, 'fbs'],
+  ['Louisiana Tech', 'LA', 32.528, -92.648, 'fbs'], ['Middle Tennessee', 'TN', 35.849, -86.367, 'fbs'],
+  ['New Mexico State', 'NM', 32.283, -106.748, 'fbs'], ['Sam Houston', 'TX', 30.714, -95.547, 'fbs'],
+  ['UTEP', 'TX', 31.771, -106.505, 'fbs'], ['Western Kentucky', 'KY', 36.985, -86.457, 'fbs'],
+  ['Delaware', 'DE', 39.678, -75.752, 'fbs'], ['Missouri State', 'MO', 37.197, -93.281, 'fbs'],
+  // FBS – MAC
+  ['Akron', 'OH', 41.076, -81.511, 'fbs'], ['Ball State', 'IN', 40.206, -85.408, 'fbs'],
+  ['Bowling Green', 'OH', 41.378, -83.638, 'fbs'], ['Buffalo', 'NY', 43.000, -78.789, 'fbs'],
+  ['Central Michigan', 'MI', 43.590, -84.775, 'fbs'], ['Eastern Michigan', 'MI', 42.250, -83.624, 'fbs'],
+  ['Kent State', 'OH', 41.149, -81.341, 'fbs'], ['Miami (OH)', 'OH', 39.510, -84.735, 'fbs'],
+  ['Northern Illinois', 'IL', 41.934, -88.775, 'fbs'], ['Ohio', 'OH', 39.324, -82.101, 'fbs'],
+  ['Toledo', 'OH', 41.657, -83.614, 'fbs'], ['Western Michigan', 'MI', 42.283, -85.614, 'fbs'],
+  // FBS – Mountain West
+  ['Air Force', 'CO', 38.998, -104.862, 'fbs'], ['Boise State', 'ID', 43.603, -116.200, 'fbs'],
+  ['Colorado State', 'CO', 40.573, -105.085, 'fbs'], ['Fresno State', 'CA', 36.813, -119.746, 'fbs'],
+  ["Hawai'i", 'HI', 21.297, -157.817, 'fbs'], ['Nevada', 'NV', 39.545, -119.818, 'fbs'],
+  ['New Mexico', 'NM', 35.084, -106.620, 'fbs'], ['San Diego State', 'CA', 32.775, -117.071, 'fbs'],
+  ['San José State', 'CA', 37.335, -121.881, 'fbs'], ['UNLV', 'NV', 36.108, -115.143, 'fbs'],
+  ['Utah State', 'UT', 41.745, -111.810, 'fbs'], ['Wyoming', 'WY', 41.315, -105.569, 'fbs'],
+  // FBS – Sun Belt
+  ['App State', 'NC', 36.214, -81.685, 'fbs'], ['Arkansas State', 'AR', 35.842, -90.677, 'fbs'],
+  ['Coastal Carolina', 'SC', 33.795, -79.012, 'fbs'], ['Georgia Southern', 'GA', 32.422, -81.783, 'fbs'],
+  ['Georgia State', 'GA', 33.753, -84.386, 'fbs'], ['James Madison', 'VA', 38.435, -78.870, 'fbs'],
+  ['Louisiana', 'LA', 30.213, -92.020, 'fbs'], ['Marshall', 'WV', 38.424, -82.425, 'fbs'],
+  ['Old Dominion', 'VA', 36.886, -76.306, 'fbs'], ['South Alabama', 'AL', 30.696, -88.178, 'fbs'],
+  ['Southern Miss', 'MS', 31.329, -89.334, 'fbs'], ['Texas State', 'TX', 29.889, -97.941, 'fbs'],
+  ['Troy', 'AL', 31.800, -85.958, 'fbs'], ['UL Monroe', 'LA', 32.528, -92.074, 'fbs'],
+  // FBS – Independents
+  ['Notre Dame', 'IN', 41.700, -86.238, 'fbs'], ['UConn', 'CT', 41.807, -72.254, 'fbs'],
+  ['Massachusetts', 'MA', 42.389, -72.528, 'fbs'],
+
+  // FCS – Big Sky
+  ['Cal Poly', 'CA', 35.305, -120.663, 'fcs'], ['Eastern Washington', 'WA', 47.490, -117.584, 'fcs'],
+  ['Idaho', 'ID', 46.727, -117.014, 'fcs'], ['Idaho State', 'ID', 42.863, -112.431, 'fcs'],
+  ['Montana', 'MT', 46.860, -113.985, 'fcs'], ['Montana State', 'MT', 45.667, -111.055, 'fcs'],
+  ['Northern Arizona', 'AZ', 35.189, -111.654, 'fcs'], ['Northern Colorado', 'CO', 40.404, -104.698, 'fcs'],
+  ['Portland State', 'OR', 45.512, -122.685, 'fcs'], ['Sacramento State', 'CA', 38.561, -121.424, 'fcs'],
+  ['UC Davis', 'CA', 38.538, -121.762, 'fcs'], ['Weber State', 'UT', 41.192, -111.944, 'fcs'],
+  // FCS – Big South-OVC
+  ['Charleston Southern', 'SC', 32.981, -80.071, 'fcs'], ['Eastern Illinois', 'IL', 39.484, -88.176, 'fcs'],
+  ['Gardner-Webb', 'NC', 35.247, -81.667, 'fcs'], ['Lindenwood', 'MO', 38.788, -90.499, 'fcs'],
+  ['Southeast Missouri State', 'MO', 37.312, -89.531, 'fcs'], ['Tennessee State', 'TN', 36.167, -86.829, 'fcs'],
+  ['Tennessee Tech', 'TN', 36.176, -85.507, 'fcs'], ['UT Martin', 'TN', 36.343, -88.865, 'fcs'],
+  ['Western Illinois', 'IL', 40.471, -90.685, 'fcs'],
+  // FCS – CAA
+  ['Albany', 'NY', 42.686, -73.823, 'fcs'], ['Bryant', 'RI', 41.921, -71.537, 'fcs'],
+  ['Campbell', 'NC', 35.408, -78.739, 'fcs'], ['Elon', 'NC', 36.103, -79.503, 'fcs'],
+  ['Hampton', 'VA', 37.022, -76.336, 'fcs'], ['Maine', 'ME', 44.901, -68.668, 'fcs'],
+  ['Monmouth', 'NJ', 40.279, -74.005, 'fcs'], ['New Hampshire', 'NH', 43.135, -70.934, 'fcs'],
+  ['North Carolina A&T', 'NC', 36.077, -79.773, 'fcs'], ['Rhode Island', 'RI', 41.486, -71.531, 'fcs'],
+  ['Stony Brook', 'NY', 40.912, -73.123, 'fcs'], ['Towson', 'MD', 39.393, -76.609, 'fcs'],
+  ['Villanova', 'PA', 40.037, -75.343, 'fcs'], ['William & Mary', 'VA', 37.271, -76.713, 'fcs'],
+  ['Richmond', 'VA', 37.576, -77.540, 'fcs'],
+  // FCS – Ivy
+  ['Brown', 'RI', 41.827, -71.403, 'fcs'], ['Columbia', 'NY', 40.808, -73.962, 'fcs'],
+  ['Cornell', 'NY', 42.453, -76.474, 'fcs'], ['Dartmouth', 'NH', 43.704, -72.289, 'fcs'],
+  ['Harvard', 'MA', 42.377, -71.117, 'fcs'], ['Pennsylvania', 'PA', 39.952, -75.193, 'fcs'],
+  ['Princeton', 'NJ', 40.343, -74.651, 'fcs'], ['Yale', 'CT', 41.316, -72.922, 'fcs'],
+  // FCS – MEAC
+  ['Delaware State', 'DE', 39.186, -75.542, 'fcs'], ['Howard', 'DC', 38.922, -77.019, 'fcs'],
+  ['Morgan State', 'MD', 39.344, -76.584, 'fcs'], ['Norfolk State', 'VA', 36.848, -76.262, 'fcs'],
+  ['North Carolina Central', 'NC', 35.974, -78.898, 'fcs'], ['South Carolina State', 'SC', 33.497, -80.849, 'fcs'],
+  // FCS – Missouri Valley
+  ['Illinois State', 'IL', 40.511, -88.994, 'fcs'], ['Indiana State', 'IN', 39.471, -87.408, 'fcs'],
+  ['Murray State', 'KY', 36.615, -88.318, 'fcs'], ['North Dakota', 'ND', 47.922, -97.077, 'fcs'],
+  ['North Dakota State', 'ND', 46.897, -96.802, 'fcs'], ['Northern Iowa', 'IA', 42.514, -92.463, 'fcs'],
+  ['South Dakota', 'SD', 42.788, -96.925, 'fcs'], ['South Dakota State', 'SD', 44.319, -96.784, 'fcs'],
+  ['Southern Illinois', 'IL', 37.710, -89.219, 'fcs'], ['Youngstown State', 'OH', 41.106, -80.646, 'fcs'],
+  // FCS – Northeast
+  ['Central Connecticut', 'CT', 41.691, -72.766, 'fcs'], ['Duquesne', 'PA', 40.436, -79.992, 'fcs'],
+  ['Long Island University', 'NY', 40.818, -73.593, 'fcs'], ['Mercyhurst', 'PA', 42.106, -80.055, 'fcs'],
+  ['Robert Morris', 'PA', 40.519, -80.221, 'fcs'], ['Saint Francis (PA)', 'PA', 40.503, -78.638, 'fcs'],
+  ['Stonehill', 'MA', 42.058, -71.079, 'fcs'], ['Wagner', 'NY', 40.615, -74.094, 'fcs'],
+  ['Merrimack', 'MA', 42.668, -71.122, 'fcs'], ['Sacred Heart', 'CT', 41.221, -73.243, 'fcs'],
+  // FCS – Patriot
+  ['Bucknell', 'PA', 40.955, -76.884, 'fcs'], ['Colgate', 'NY', 42.818, -75.538, 'fcs'],
+  ['Fordham', 'NY', 40.861, -73.885, 'fcs'], ['Georgetown', 'DC', 38.908, -77.072, 'fcs'],
+  ['Holy Cross', 'MA', 42.238, -71.808, 'fcs'], ['Lafayette', 'PA', 40.698, -75.210, 'fcs'],
+  ['Lehigh', 'PA', 40.607, -75.378, 'fcs'],
+  // FCS – Pioneer
+  ['Butler', 'IN', 39.840, -86.171, 'fcs'], ['Davidson', 'NC', 35.500, -80.846, 'fcs'],
+  ['Dayton', 'OH', 39.740, -84.179, 'fcs'], ['Drake', 'IA', 41.602, -93.654, 'fcs'],
+  ['Marist', 'NY', 41.722, -73.934, 'fcs'], ['Morehead State', 'KY', 38.188, -83.433, 'fcs'],
+  ['Presbyterian', 'SC', 34.474, -81.877, 'fcs'], ['San Diego', 'CA', 32.771, -117.188, 'fcs'],
+  ['Stetson', 'FL', 29.035, -81.303, 'fcs'], ['St. Thomas (MN)', 'MN', 44.942, -93.192, 'fcs'],
+  ['Valparaiso', 'IN', 41.463, -87.044, 'fcs'],
+  // FCS – Southern
+  ['Chattanooga', 'TN', 35.046, -85.300, 'fcs'], ['East Tennessee State', 'TN', 36.302, -82.370, 'fcs'],
+  ['Furman', 'SC', 34.925, -82.439, 'fcs'], ['Mercer', 'GA', 32.829, -83.649, 'fcs'],
+  ['Samford', 'AL', 33.464, -86.792, 'fcs'], ['The Citadel', 'SC', 32.797, -79.960, 'fcs'],
+  ['VMI', 'VA', 37.790, -79.437, 'fcs'], ['Western Carolina', 'NC', 35.309, -83.185, 'fcs'],
+  ['Wofford', 'SC', 34.960, -81.935, 'fcs'],
+  // FCS – Southland
+  ['Houston Christian', 'TX', 29.693, -95.515, 'fcs'], ['Incarnate Word', 'TX', 29.468, -98.467, 'fcs'],
+  ['Lamar', 'TX', 30.040, -94.074, 'fcs'], ['McNeese', 'LA', 30.178, -93.216, 'fcs'],
+  ['Nicholls', 'LA', 29.792, -90.802, 'fcs'], ['Northwestern State', 'LA', 31.750, -93.098, 'fcs'],
+  ['Southeastern Louisiana', 'LA', 30.515, -90.469, 'fcs'], ['East Texas A&M', 'TX', 33.243, -95.910, 'fcs'],
+  ['UTRGV', 'TX', 26.306, -98.174, 'fcs'],
+  // FCS – SWAC
+  ['Alabama A&M', 'AL', 34.783, -86.572, 'fcs'], ['Alabama State', 'AL', 32.364, -86.295, 'fcs'],
+  ['Alcorn State', 'MS', 31.876, -91.135, 'fcs'], ['Arkansas-Pine Bluff', 'AR', 34.244, -92.017, 'fcs'],
+  ['Bethune-Cookman', 'FL', 29.210, -81.034, 'fcs'], ['Florida A&M', 'FL', 30.425, -84.285, 'fcs'],
+  ['Grambling', 'LA', 32.525, -92.714, 'fcs'], ['Jackson State', 'MS', 32.296, -90.208, 'fcs'],
+  ['Mississippi Valley State', 'MS', 33.497, -90.327, 'fcs'], ['Prairie View A&M', 'TX', 30.093, -95.987, 'fcs'],
+  ['Southern', 'LA', 30.524, -91.191, 'fcs'], ['Texas Southern', 'TX', 29.722, -95.360, 'fcs'],
+  // FCS – United Athletic
+  ['Abilene Christian', 'TX', 32.468, -99.709, 'fcs'], ['Austin Peay', 'TN', 36.534, -87.354, 'fcs'],
+  ['Central Arkansas', 'AR', 35.077, -92.457, 'fcs'], ['Eastern Kentucky', 'KY', 37.735, -84.299, 'fcs'],
+  ['North Alabama', 'AL', 34.808, -87.681, 'fcs'], ['Southern Utah', 'UT', 37.676, -113.067, 'fcs'],
+  ['Tarleton State', 'TX', 32.216, -98.217, 'fcs'], ['Utah Tech', 'UT', 37.103, -113.566, 'fcs'],
+  ['Stephen F. Austin', 'TX', 31.620, -94.647, 'fcs'], ['West Georgia', 'GA', 33.573, -85.099, 'fcs'],
+];
+
+/** Alternate names (other data sources, older CFBD names) → CFBD school name. */
+export const CAMPUS_ALIASES = {
+  'Appalachian State': 'App State',
+  'Connecticut': 'UConn',
+  'UMass': 'Massachusetts',
+  'Miami (FL)': 'Miami',
+  'Miami FL': 'Miami',
+  'Miami OH': 'Miami (OH)',
+  'Miami (Ohio)': 'Miami (OH)',
+  'FIU': 'Florida International',
+  'FAU': 'Florida Atlantic',
+  'USF': 'South Florida',
+  'Louisiana Monroe': 'UL Monroe',
+  'Louisiana-Monroe': 'UL Monroe',
+  'ULM': 'UL Monroe',
+  'Louisiana-Lafayette': 'Louisiana',
+  'Louisiana Lafayette': 'Louisiana',
+  'Southern Mississippi': 'Southern Miss',
+  'Sam Houston State': 'Sam Houston',
+  'Pitt': 'Pittsburgh',
+  'Mississippi': 'Ole Miss',
+  'North Carolina State': 'NC State',
+  'Cal': 'California',
+  'Southern California': 'USC',
+  'Central Florida': 'UCF',
+  'Brigham Young': 'BYU',
+  'Texas Christian': 'TCU',
+  'Southern Methodist': 'SMU',
+  'Texas-San Antonio': 'UTSA',
+  'Texas-El Paso': 'UTEP',
+  'Nevada-Las Vegas': 'UNLV',
+  'Alabama-Birmingham': 'UAB',
+  'Middle Tennessee State': 'Middle Tennessee',
+  'Penn': 'Pennsylvania',
+  'LIU': 'Long Island University',
+  'St. Thomas': 'St. Thomas (MN)',
+  'Saint Francis': 'Saint Francis (PA)',
+  'St. Francis (PA)': 'Saint Francis (PA)',
+  'Texas A&M-Commerce': 'East Texas A&M',
+  'Texas A&M–Commerce': 'East Texas A&M',
+  'McNeese State': 'McNeese',
+  'Nicholls State': 'Nicholls',
+  'Grambling State': 'Grambling',
+  'Southern University': 'Southern',
+  'Tennessee-Martin': 'UT Martin',
+  'Dixie State': 'Utah Tech',
+  'Houston Baptist': 'Houston Christian',
+  'Texas-Rio Grande Valley': 'UTRGV',
+  'Citadel': 'The Citadel',
+  'Virginia Military Institute': 'VMI',
+  'UT Chattanooga': 'Chattanooga',
+  'Central Connecticut State': 'Central Connecticut',
+};
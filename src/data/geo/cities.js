@@ -0,0 +1,249 @@
+/**
+ * Offline gazetteer of US cities: [city, state, latitude, longitude].
+ * Covers large metros and the cities/suburbs that produce the most FBS and FCS
+ * recruits. Hometowns not listed here fall back to the state center (estimated).
+ */
+
+export const CITIES = [
+  // Alabama
+  ['Birmingham', 'AL', 33.519, -86.810], ['Montgomery', 'AL', 32.367, -86.300], ['Mobile', 'AL', 30.695, -88.040],
+  ['Huntsville', 'AL', 34.730, -86.586], ['Tuscaloosa', 'AL', 33.210, -87.569], ['Auburn', 'AL', 32.610, -85.481],
+  ['Dothan', 'AL', 31.223, -85.390], ['Hoover', 'AL', 33.405, -86.811], ['Thompson', 'AL', 33.375, -86.786],
+  ['Enterprise', 'AL', 31.315, -85.855], ['Gadsden', 'AL', 34.014, -86.007],
+  // Alaska
+  ['Anchorage', 'AK', 61.218, -149.900], ['Fairbanks', 'AK', 64.838, -147.716],
+  // Arizona
+  ['Phoenix', 'AZ', 33.448, -112.074], ['Tucson', 'AZ', 32.222, -110.975], ['Mesa', 'AZ', 33.415, -111.831],
+  ['Chandler', 'AZ', 33.306, -111.841], ['Scottsdale', 'AZ', 33.494, -111.926], ['Gilbert', 'AZ', 33.353, -111.789],
+  ['Glendale', 'AZ', 33.539, -112.186], ['Tempe', 'AZ', 33.425, -111.940], ['Peoria', 'AZ', 33.581, -112.237],
+  ['Queen Creek', 'AZ', 33.249, -111.634], ['Flagstaff', 'AZ', 35.198, -111.651],
+  // Arkansas
+  ['Little Rock', 'AR', 34.747, -92.290], ['Fayetteville', 'AR', 36.063, -94.157], ['Fort Smith', 'AR', 35.386, -94.398],
+  ['Jonesboro', 'AR', 35.842, -90.704], ['Bentonville', 'AR', 36.373, -94.209], ['Pine Bluff', 'AR', 34.228, -92.003],
+  // California
+  ['Los Angeles', 'CA', 34.052, -118.244], ['San Diego', 'CA', 32.716, -117.161], ['San Jose', 'CA', 37.339, -121.895],
+  ['San Francisco', 'CA', 37.775, -122.419], ['Fresno', 'CA', 36.738, -119.787], ['Sacramento', 'CA', 38.582, -121.494],
+  ['Long Beach', 'CA', 33.770, -118.194], ['Oakland', 'CA', 37.804, -122.271], ['Bakersfield', 'CA', 35.373, -119.019],
+  ['Anaheim', 'CA', 33.837, -117.914], ['Santa Ana', 'CA', 33.746, -117.868], ['Riverside', 'CA', 33.953, -117.396],
+  ['Stockton', 'CA', 37.958, -121.291], ['Irvine', 'CA', 33.684, -117.827], ['Corona', 'CA', 33.875, -117.566],
+  ['Mission Viejo', 'CA', 33.600, -117.672], ['Bellflower', 'CA', 33.882, -118.117], ['Gardena', 'CA', 33.888, -118.309],
+  ['Torrance', 'CA', 33.836, -118.341], ['Inglewood', 'CA', 33.962, -118.353], ['Pasadena', 'CA', 34.148, -118.145],
+  ['Rancho Cucamonga', 'CA', 34.106, -117.593], ['Ontario', 'CA', 34.063, -117.651], ['San Bernardino', 'CA', 34.108, -117.290],
+  ['Concord', 'CA', 37.978, -122.031], ['Elk Grove', 'CA', 38.409, -121.372], ['Folsom', 'CA', 38.678, -121.176],
+  ['Oxnard', 'CA', 34.198, -119.177], ['Santa Clara', 'CA', 37.354, -121.955], ['Chula Vista', 'CA', 32.640, -117.084],
+  ['Downey', 'CA', 33.940, -118.133], ['Encino', 'CA', 34.159, -118.501], ['Westlake Village', 'CA', 34.146, -118.806],
+  ['Sherman Oaks', 'CA', 34.151, -118.449], ['Calabasas', 'CA', 34.158, -118.638], ['Murrieta', 'CA', 33.554, -117.214],
+  ['Temecula', 'CA', 33.494, -117.148], ['Vacaville', 'CA', 38.357, -121.988], ['Pittsburg', 'CA', 38.028, -121.885],
+  ['Modesto', 'CA', 37.639, -120.997], ['Santa Barbara', 'CA', 34.421, -119.698], ['Berkeley', 'CA', 37.872, -122.273],
+  // Colorado
+  ['Denver', 'CO', 39.739, -104.990], ['Colorado Springs', 'CO', 38.834, -104.821], ['Aurora', 'CO', 39.729, -104.832],
+  ['Fort Collins', 'CO', 40.585, -105.084], ['Boulder', 'CO', 40.015, -105.271], ['Pueblo', 'CO', 38.254, -104.609],
+  ['Littleton', 'CO', 39.613, -105.017], ['Highlands Ranch', 'CO', 39.554, -104.969],
+  // Connecticut
+  ['Hartford', 'CT', 41.764, -72.685], ['New Haven', 'CT', 41.308, -72.928], ['Bridgeport', 'CT', 41.187, -73.195],
+  ['Stamford', 'CT', 41.053, -73.539],
+  // Delaware
+  ['Wilmington', 'DE', 39.746, -75.547], ['Dover', 'DE', 39.158, -75.524], ['Newark', 'DE', 39.684, -75.750],
+  // District of Columbia
+  ['Washington', 'DC', 38.907, -77.037],
+  // Florida
+  ['Miami', 'FL', 25.762, -80.192], ['Orlando', 'FL', 28.538, -81.379], ['Tampa', 'FL', 27.951, -82.457],
+  ['Jacksonville', 'FL', 30.332, -81.656], ['Tallahassee', 'FL', 30.438, -84.281], ['Gainesville', 'FL', 29.652, -82.325],
+  ['Fort Lauderdale', 'FL', 26.122, -80.137], ['St. Petersburg', 'FL', 27.768, -82.640], ['Hialeah', 'FL', 25.858, -80.278],
+  ['Miami Gardens', 'FL', 25.942, -80.246], ['Hollywood', 'FL', 26.011, -80.149], ['Pembroke Pines', 'FL', 26.008, -80.296],
+  ['Plantation', 'FL', 26.127, -80.233], ['Davie', 'FL', 26.076, -80.252], ['Fort Myers', 'FL', 26.640, -81.872],
+  ['Cape Coral', 'FL', 26.563, -81.950], ['Naples', 'FL', 26.142, -81.795], ['Pensacola', 'FL', 30.421, -87.217],
+  ['Daytona Beach', 'FL', 29.211, -81.023], ['Lakeland', 'FL', 28.040, -81.950], ['Ocala', 'FL', 29.187, -82.140],
+  ['Sarasota', 'FL', 27.336, -82.531], ['Bradenton', 'FL', 27.499, -82.575], ['West Palm Beach', 'FL', 26.715, -80.053],
+  ['Boca Raton', 'FL', 26.368, -80.128], ['Delray Beach', 'FL', 26.461, -80.073], ['Belle Glade', 'FL', 26.684, -80.668],
+  ['Homestead', 'FL', 25.469, -80.478], ['Kissimmee', 'FL', 28.292, -81.408], ['Sanford', 'FL', 28.801, -81.273],
+  ['Winter Park', 'FL', 28.600, -81.339], ['Apopka', 'FL', 28.676, -81.512], ['Lake Mary', 'FL', 28.759, -81.318],
+  ['Port St. Lucie', 'FL', 27.273, -80.358], ['Fort Pierce', 'FL', 27.447, -80.326],
+  ['Panama City', 'FL', 30.159, -85.660], ['Coral Gables', 'FL', 25.721, -80.268], ['Pahokee', 'FL', 26.820, -80.665],
+  // Georgia
+  ['Atlanta', 'GA', 33.749, -84.388], ['Savannah', 'GA', 32.081, -81.091], ['Augusta', 'GA', 33.471, -81.975],
+  ['Columbus', 'GA', 32.461, -84.988], ['Macon', 'GA', 32.841, -83.632], ['Athens', 'GA', 33.951, -83.357],
+  ['Valdosta', 'GA', 30.833, -83.280], ['Albany', 'GA', 31.578, -84.156], ['Marietta', 'GA', 33.953, -84.550],
+  ['Buford', 'GA', 34.121, -84.004], ['Lawrenceville', 'GA', 33.956, -83.988], ['Alpharetta', 'GA', 34.075, -84.294],
+  ['Warner Robins', 'GA', 32.621, -83.600], ['Carrollton', 'GA', 33.580, -85.077], ['Rome', 'GA', 34.257, -85.165],
+  ['Suwanee', 'GA', 34.052, -84.071], ['Kennesaw', 'GA', 34.023, -84.616], ['Douglasville', 'GA', 33.751, -84.748],
+  ['Statesboro', 'GA', 32.449, -81.783], ['Milton', 'GA', 34.132, -84.301], ['Norcross', 'GA', 33.941, -84.213],
+  ['Stone Mountain', 'GA', 33.808, -84.170], ['Decatur', 'GA', 33.775, -84.296], ['Fairburn', 'GA', 33.567, -84.581],
+  // Hawaii
+  ['Honolulu', 'HI', 21.307, -157.858], ['Kapolei', 'HI', 21.336, -158.058], ['Kahuku', 'HI', 21.680, -157.951],
+  ['Hilo', 'HI', 19.707, -155.089], ['Ewa Beach', 'HI', 21.316, -158.007], ['Mililani', 'HI', 21.450, -158.015],
+  // Idaho
+  ['Boise', 'ID', 43.615, -116.202], ['Meridian', 'ID', 43.612, -116.391], ['Idaho Falls', 'ID', 43.492, -112.034],
+  ['Pocatello', 'ID', 42.871, -112.446], ['Coeur d\'Alene', 'ID', 47.678, -116.780], ['Moscow', 'ID', 46.732, -117.000],
+  // Illinois
+  ['Chicago', 'IL', 41.878, -87.630], ['Springfield', 'IL', 39.781, -89.650], ['Peoria', 'IL', 40.694, -89.589],
+  ['Rockford', 'IL', 42.271, -89.094], ['Naperville', 'IL', 41.750, -88.153], ['Joliet', 'IL', 41.525, -88.082],
+  ['Champaign', 'IL', 40.116, -88.243], ['Evanston', 'IL', 42.045, -87.688], ['Wheaton', 'IL', 41.866, -88.107],
+  ['Bolingbrook', 'IL', 41.699, -88.068], ['Aurora', 'IL', 41.761, -88.320], ['East St. Louis', 'IL', 38.625, -90.151],
+  // Indiana
+  ['Indianapolis', 'IN', 39.768, -86.158], ['Fort Wayne', 'IN', 41.079, -85.139], ['Evansville', 'IN', 37.975, -87.571],
+  ['South Bend', 'IN', 41.676, -86.252], ['Bloomington', 'IN', 39.165, -86.526], ['Carmel', 'IN', 39.978, -86.118],
+  ['Fishers', 'IN', 39.957, -86.013], ['Gary', 'IN', 41.593, -87.346], ['Lafayette', 'IN', 40.417, -86.875],
+  // Iowa
+  ['Des Moines', 'IA', 41.587, -93.625], ['Cedar Rapids', 'IA', 41.978, -91.666], ['Iowa City', 'IA', 41.661, -91.530],
+  ['Davenport', 'IA', 41.524, -90.578], ['Ames', 'IA', 42.034, -93.620], ['Sioux City', 'IA', 42.500, -96.400],
+  ['Dubuque', 'IA', 42.501, -90.665], ['Cedar Falls', 'IA', 42.528, -92.445],
+  // Kansas
+  ['Wichita', 'KS', 37.687, -97.330], ['Kansas City', 'KS', 39.114, -94.627], ['Overland Park', 'KS', 38.982, -94.671],
+  ['Olathe', 'KS', 38.881, -94.819], ['Topeka', 'KS', 39.048, -95.678], ['Lawrence', 'KS', 38.972, -95.235],
+  ['Manhattan', 'KS', 39.184, -96.572],
+  // Kentucky
+  ['Louisville', 'KY', 38.253, -85.759], ['Lexington', 'KY', 38.040, -84.503], ['Bowling Green', 'KY', 36.990, -86.444],
+  ['Owensboro', 'KY', 37.774, -87.113], ['Covington', 'KY', 39.084, -84.509],
+  // Louisiana
+  ['New Orleans', 'LA', 29.951, -90.072], ['Baton Rouge', 'LA', 30.451, -91.187], ['Shreveport', 'LA', 32.525, -93.750],
+  ['Lafayette', 'LA', 30.224, -92.020], ['Lake Charles', 'LA', 30.226, -93.217], ['Monroe', 'LA', 32.509, -92.119],
+  ['Alexandria', 'LA', 31.311, -92.445], ['Metairie', 'LA', 29.984, -90.153], ['Kenner', 'LA', 29.994, -90.242],
+  ['Marrero', 'LA', 29.900, -90.100], ['Ruston', 'LA', 32.523, -92.638], ['Hammond', 'LA', 30.505, -90.462],
+  ['Destrehan', 'LA', 29.943, -90.354], ['Zachary', 'LA', 30.649, -91.156],
+  // Maine
+  ['Portland', 'ME', 43.659, -70.257], ['Bangor', 'ME', 44.801, -68.778],
+  // Maryland
+  ['Baltimore', 'MD', 39.290, -76.612], ['Annapolis', 'MD', 38.978, -76.492], ['Silver Spring', 'MD', 38.991, -77.026],
+  ['Bowie', 'MD', 39.007, -76.779], ['Upper Marlboro', 'MD', 38.816, -76.750], ['Olney', 'MD', 39.153, -77.067],
+  ['Frederick', 'MD', 39.414, -77.411], ['Hyattsville', 'MD', 38.956, -76.946], ['Rockville', 'MD', 39.084, -77.153],
+  ['Towson', 'MD', 39.402, -76.602],
+  // Massachusetts
+  ['Boston', 'MA', 42.360, -71.059], ['Worcester', 'MA', 42.263, -71.802], ['Springfield', 'MA', 42.101, -72.590],
+  ['Cambridge', 'MA', 42.374, -71.106], ['Lowell', 'MA', 42.634, -71.316],
+  // Michigan
+  ['Detroit', 'MI', 42.331, -83.046], ['Grand Rapids', 'MI', 42.963, -85.668], ['Lansing', 'MI', 42.733, -84.556],
+  ['Ann Arbor', 'MI', 42.281, -83.743], ['Flint', 'MI', 43.013, -83.687], ['Kalamazoo', 'MI', 42.292, -85.587],
+  ['Southfield', 'MI', 42.473, -83.222], ['West Bloomfield', 'MI', 42.568, -83.383], ['Saginaw', 'MI', 43.419, -83.951],
+  ['Belleville', 'MI', 42.205, -83.485], ['Muskegon', 'MI', 43.234, -86.248], ['Orchard Lake', 'MI', 42.583, -83.359],
+  // Minnesota
+  ['Minneapolis', 'MN', 44.978, -93.265], ['St. Paul', 'MN', 44.954, -93.090], ['Rochester', 'MN', 44.012, -92.480],
+  ['Duluth', 'MN', 46.787, -92.100], ['Eden Prairie', 'MN', 44.855, -93.471],
+  // Mississippi
+  ['Jackson', 'MS', 32.299, -90.185], ['Gulfport', 'MS', 30.368, -89.093], ['Hattiesburg', 'MS', 31.327, -89.290],
+  ['Tupelo', 'MS', 34.258, -88.703], ['Oxford', 'MS', 34.366, -89.519], ['Starkville', 'MS', 33.450, -88.818],
+  ['Meridian', 'MS', 32.364, -88.704], ['Biloxi', 'MS', 30.396, -88.885], ['Columbus', 'MS', 33.496, -88.427],
+  ['Southaven', 'MS', 34.989, -90.013], ['Brandon', 'MS', 32.273, -89.986], ['Laurel', 'MS', 31.694, -89.131],
+  // Missouri
+  ['Kansas City', 'MO', 39.100, -94.579], ['St. Louis', 'MO', 38.627, -90.199], ['Springfield', 'MO', 37.209, -93.292],
+  ['Columbia', 'MO', 38.952, -92.334], ['Independence', 'MO', 39.091, -94.415], ['Lee\'s Summit', 'MO', 38.911, -94.382],
+  ['Jefferson City', 'MO', 38.577, -92.173],
+  // Montana
+  ['Billings', 'MT', 45.784, -108.501], ['Missoula', 'MT', 46.872, -113.994], ['Bozeman', 'MT', 45.677, -111.043],
+  ['Great Falls', 'MT', 47.500, -111.300], ['Helena', 'MT', 46.589, -112.039],
+  // Nebraska
+  ['Omaha', 'NE', 41.257, -95.935], ['Lincoln', 'NE', 40.814, -96.703], ['Grand Island', 'NE', 40.925, -98.342],
+  // Nevada
+  ['Las Vegas', 'NV', 36.170, -115.140], ['Henderson', 'NV', 36.040, -114.982], ['Reno', 'NV', 39.530, -119.814],
+  ['North Las Vegas', 'NV', 36.199, -115.118],
+  // New Hampshire
+  ['Manchester', 'NH', 42.995, -71.455], ['Nashua', 'NH', 42.765, -71.468],
+  // New Jersey
+  ['Newark', 'NJ', 40.736, -74.172], ['Jersey City', 'NJ', 40.718, -74.043], ['Paterson', 'NJ', 40.917, -74.172],
+  ['Trenton', 'NJ', 40.220, -74.760], ['Camden', 'NJ', 39.926, -75.120], ['Montclair', 'NJ', 40.826, -74.209],
+  ['Paramus', 'NJ', 40.945, -74.071], ['Bergen', 'NJ', 40.959, -74.074], ['Toms River', 'NJ', 39.954, -74.198],
+  ['New Brunswick', 'NJ', 40.487, -74.445],
+  // New Mexico
+  ['Albuquerque', 'NM', 35.084, -106.651], ['Las Cruces', 'NM', 32.312, -106.778], ['Santa Fe', 'NM', 35.687, -105.938],
+  // New York
+  ['New York', 'NY', 40.713, -74.006], ['Brooklyn', 'NY', 40.678, -73.944], ['Bronx', 'NY', 40.845, -73.865],
+  ['Queens', 'NY', 40.728, -73.795], ['Staten Island', 'NY', 40.580, -74.152], ['Buffalo', 'NY', 42.886, -78.878],
+  ['Rochester', 'NY', 43.157, -77.616], ['Syracuse', 'NY', 43.048, -76.147], ['Albany', 'NY', 42.653, -73.757],
+  ['Yonkers', 'NY', 40.931, -73.899], ['Long Island', 'NY', 40.789, -73.135],
+  // North Carolina
+  ['Charlotte', 'NC', 35.227, -80.843], ['Raleigh', 'NC', 35.780, -78.639], ['Greensboro', 'NC', 36.073, -79.792],
+  ['Durham', 'NC', 35.994, -78.899], ['Winston-Salem', 'NC', 36.100, -80.244], ['Fayetteville', 'NC', 35.053, -78.878],
+  ['Wilmington', 'NC', 34.226, -77.945], ['High Point', 'NC', 35.956, -80.005], ['Greenville', 'NC', 35.613, -77.366],
+  ['Asheville', 'NC', 35.595, -82.551], ['Concord', 'NC', 35.409, -80.579], ['Matthews', 'NC', 35.117, -80.724],
+  ['Gastonia', 'NC', 35.262, -81.187], ['Rocky Mount', 'NC', 35.938, -77.791],
+  // North Dakota
+  ['Fargo', 'ND', 46.877, -96.790], ['Bismarck', 'ND', 46.809, -100.784], ['Grand Forks', 'ND', 47.925, -97.033],
+  // Ohio
+  ['Columbus', 'OH', 39.961, -82.999], ['Cleveland', 'OH', 41.499, -81.694], ['Cincinnati', 'OH', 39.103, -84.512],
+  ['Toledo', 'OH', 41.654, -83.537], ['Akron', 'OH', 41.081, -81.519], ['Dayton', 'OH', 39.759, -84.192],
+  ['Youngstown', 'OH', 41.100, -80.650], ['Canton', 'OH', 40.799, -81.378], ['Massillon', 'OH', 40.797, -81.522],
+  ['Lakewood', 'OH', 41.482, -81.798], ['Westerville', 'OH', 40.126, -82.929], ['Pickerington', 'OH', 39.884, -82.754],
+  ['Dublin', 'OH', 40.099, -83.114], ['Mentor', 'OH', 41.666, -81.340], ['Springfield', 'OH', 39.924, -83.809],
+  ['Lima', 'OH', 40.743, -84.105], ['Hilliard', 'OH', 40.033, -83.158], ['Warren', 'OH', 41.238, -80.818],
+  // Oklahoma
+  ['Oklahoma City', 'OK', 35.468, -97.516], ['Tulsa', 'OK', 36.154, -95.993], ['Norman', 'OK', 35.223, -97.439],
+  ['Broken Arrow', 'OK', 36.053, -95.791], ['Edmond', 'OK', 35.653, -97.478], ['Lawton', 'OK', 34.603, -98.395],
+  ['Stillwater', 'OK', 36.116, -97.058], ['Jenks', 'OK', 36.023, -95.968], ['Owasso', 'OK', 36.270, -95.855],
+  // Oregon
+  ['Portland', 'OR', 45.515, -122.679], ['Eugene', 'OR', 44.052, -123.087], ['Salem', 'OR', 44.943, -123.035],
+  ['Corvallis', 'OR', 44.565, -123.262], ['Beaverton', 'OR', 45.487, -122.804], ['Lake Oswego', 'OR', 45.421, -122.671],
+  ['Medford', 'OR', 42.327, -122.876], ['Bend', 'OR', 44.058, -121.315],
+  // Pennsylvania
+  ['Philadelphia', 'PA', 39.953, -75.165], ['Pittsburgh', 'PA', 40.441, -79.996], ['Allentown', 'PA', 40.608, -75.490],
+  ['Erie', 'PA', 42.129, -80.085], ['Harrisburg', 'PA', 40.274, -76.884], ['Scranton', 'PA', 41.409, -75.662],
+  ['State College', 'PA', 40.793, -77.860], ['Lancaster', 'PA', 40.038, -76.306], ['Aliquippa', 'PA', 40.637, -80.240],
+  ['Bethlehem', 'PA', 40.626, -75.370], ['Reading', 'PA', 40.336, -75.927],
+  // Rhode Island
+  ['Providence', 'RI', 41.824, -71.413],
+  // South Carolina
+  ['Columbia', 'SC', 34.001, -81.035], ['Charleston', 'SC', 32.777, -79.931], ['Greenville', 'SC', 34.853, -82.394],
+  ['Spartanburg', 'SC', 34.950, -81.932], ['Rock Hill', 'SC', 34.925, -81.025], ['Myrtle Beach', 'SC', 33.689, -78.887],
+  ['Florence', 'SC', 34.195, -79.763], ['Summerville', 'SC', 33.019, -80.176], ['Sumter', 'SC', 33.920, -80.341],
+  ['Gaffney', 'SC', 35.072, -81.650], ['Clemson', 'SC', 34.683, -82.837], ['Orangeburg', 'SC', 33.492, -80.856],
+  // South Dakota
+  ['Sioux Falls', 'SD', 43.545, -96.731], ['Rapid City', 'SD', 44.081, -103.231], ['Brookings', 'SD', 44.311, -96.798],
+  // Tennessee
+  ['Nashville', 'TN', 36.163, -86.782], ['Memphis', 'TN', 35.150, -90.049], ['Knoxville', 'TN', 35.961, -83.921],
+  ['Chattanooga', 'TN', 35.046, -85.309], ['Clarksville', 'TN', 36.530, -87.359], ['Murfreesboro', 'TN', 35.846, -86.390],
+  ['Franklin', 'TN', 35.925, -86.869], ['Brentwood', 'TN', 36.033, -86.783], ['Jackson', 'TN', 35.615, -88.814],
+  ['Johnson City', 'TN', 36.313, -82.354], ['Cleveland', 'TN', 35.160, -84.877], ['Oak Ridge', 'TN', 36.010, -84.270],
+  // Texas
+  ['Houston', 'TX', 29.760, -95.370], ['Dallas', 'TX', 32.777, -96.797], ['San Antonio', 'TX', 29.424, -98.494],
+  ['Austin', 'TX', 30.267, -97.743], ['Fort Worth', 'TX', 32.755, -97.331], ['El Paso', 'TX', 31.762, -106.485],
+  ['Arlington', 'TX', 32.736, -97.108], ['Corpus Christi', 'TX', 27.801, -97.396], ['Plano', 'TX', 33.020, -96.699],
+  ['Lubbock', 'TX', 33.578, -101.855], ['Laredo', 'TX', 27.531, -99.480], ['Irving', 'TX', 32.814, -96.949],
+  ['Garland', 'TX', 32.913, -96.639], ['Frisco', 'TX', 33.151, -96.824], ['McKinney', 'TX', 33.198, -96.615],
+  ['Amarillo', 'TX', 35.222, -101.831], ['Grand Prairie', 'TX', 32.746, -96.998], ['Brownsville', 'TX', 25.901, -97.497],
+  ['Pasadena', 'TX', 29.691, -95.209], ['Mesquite', 'TX', 32.767, -96.599], ['Killeen', 'TX', 31.117, -97.728],
+  ['Waco', 'TX', 31.549, -97.147], ['Denton', 'TX', 33.215, -97.133], ['Midland', 'TX', 31.997, -102.078],
+  ['Odessa', 'TX', 31.846, -102.368], ['Beaumont', 'TX', 30.080, -94.127], ['Tyler', 'TX', 32.351, -95.301],
+  ['Katy', 'TX', 29.786, -95.824], ['Cypress', 'TX', 29.969, -95.697], ['Spring', 'TX', 30.080, -95.417],
+  ['Humble', 'TX', 29.999, -95.262], ['Sugar Land', 'TX', 29.620, -95.635], ['Missouri City', 'TX', 29.619, -95.538],
+  ['Pearland', 'TX', 29.564, -95.286], ['Conroe', 'TX', 30.312, -95.456], ['The Woodlands', 'TX', 30.166, -95.461],
+  ['Allen', 'TX', 33.103, -96.671], ['Southlake', 'TX', 32.941, -97.134], ['Mansfield', 'TX', 32.563, -97.142],
+  ['DeSoto', 'TX', 32.590, -96.857], ['Duncanville', 'TX', 32.652, -96.908], ['Cedar Hill', 'TX', 32.588, -96.956],
+  ['Lancaster', 'TX', 32.592, -96.756], ['Round Rock', 'TX', 30.508, -97.679], ['Pflugerville', 'TX', 30.439, -97.620],
+  ['College Station', 'TX', 30.628, -96.334], ['Bryan', 'TX', 30.674, -96.370], ['Temple', 'TX', 31.098, -97.343],
+  ['Longview', 'TX', 32.501, -94.740], ['Abilene', 'TX', 32.449, -99.733], ['San Angelo', 'TX', 31.464, -100.437],
+  ['Wichita Falls', 'TX', 33.914, -98.493], ['Galveston', 'TX', 29.301, -94.798], ['Aledo', 'TX', 32.696, -97.602],
+  ['Carthage', 'TX', 32.157, -94.337], ['North Richland Hills', 'TX', 32.834, -97.229], ['Rockwall', 'TX', 32.931, -96.460],
+  ['Richardson', 'TX', 32.948, -96.730], ['Lewisville', 'TX', 33.046, -96.994], ['Coppell', 'TX', 32.955, -97.015],
+  ['Prosper', 'TX', 33.236, -96.801], ['Flower Mound', 'TX', 33.015, -97.097], ['Keller', 'TX', 32.935, -97.252],
+  ['Manvel', 'TX', 29.463, -95.358], ['Baytown', 'TX', 29.736, -94.977], ['Harlingen', 'TX', 26.191, -97.696],
+  ['McAllen', 'TX', 26.203, -98.230], ['Edinburg', 'TX', 26.302, -98.163], ['New Braunfels', 'TX', 29.703, -98.124],
+  // Utah
+  ['Salt Lake City', 'UT', 40.761, -111.891], ['Provo', 'UT', 40.234, -111.659], ['Ogden', 'UT', 41.223, -111.974],
+  ['West Jordan', 'UT', 40.610, -111.939], ['Orem', 'UT', 40.297, -111.695], ['St. George', 'UT', 37.096, -113.568],
+  ['Logan', 'UT', 41.737, -111.834], ['Sandy', 'UT', 40.565, -111.839], ['Lehi', 'UT', 40.392, -111.851],
+  ['Bountiful', 'UT', 40.889, -111.881],
+  // Vermont
+  ['Burlington', 'VT', 44.476, -73.212],
+  // Virginia
+  ['Virginia Beach', 'VA', 36.853, -75.978], ['Norfolk', 'VA', 36.851, -76.286], ['Richmond', 'VA', 37.541, -77.436],
+  ['Chesapeake', 'VA', 36.768, -76.287], ['Newport News', 'VA', 37.087, -76.473], ['Hampton', 'VA', 37.030, -76.345],
+  ['Alexandria', 'VA', 38.805, -77.047], ['Arlington', 'VA', 38.880, -77.107], ['Roanoke', 'VA', 37.271, -79.941],
+  ['Lynchburg', 'VA', 37.414, -79.142], ['Charlottesville', 'VA', 38.029, -78.477], ['Fairfax', 'VA', 38.846, -77.306],
+  ['Woodbridge', 'VA', 38.658, -77.250], ['Suffolk', 'VA', 36.728, -76.584], ['Blacksburg', 'VA', 37.230, -80.414],
+  ['Harrisonburg', 'VA', 38.449, -78.869],
+  // Washington
+  ['Seattle', 'WA', 47.606, -122.332], ['Spokane', 'WA', 47.659, -117.426], ['Tacoma', 'WA', 47.253, -122.444],
+  ['Vancouver', 'WA', 45.639, -122.661], ['Bellevue', 'WA', 47.610, -122.201], ['Kent', 'WA', 47.381, -122.235],
+  ['Everett', 'WA', 47.979, -122.202], ['Kennewick', 'WA', 46.211, -119.137], ['Yakima', 'WA', 46.602, -120.506],
+  ['Pullman', 'WA', 46.731, -117.180], ['Federal Way', 'WA', 47.322, -122.313], ['Puyallup', 'WA', 47.185, -122.293],
+  // West Virginia
+  ['Charleston', 'WV', 38.350, -81.633], ['Huntington', 'WV', 38.419, -82.445], ['Morgantown', 'WV', 39.630, -79.956],
+  ['Parkersburg', 'WV', 39.267, -81.562], ['Wheeling', 'WV', 40.064, -80.721],
+  // Wisconsin
+  ['Milwaukee', 'WI', 43.039, -87.906], ['Madison', 'WI', 43.073, -89.401], ['Green Bay', 'WI', 44.519, -88.020],
+  ['Kenosha', 'WI', 42.585, -87.821], ['Racine', 'WI', 42.726, -87.783], ['Appleton', 'WI', 44.262, -88.415],
+  ['Waukesha', 'WI', 43.012, -88.231], ['Eau Claire', 'WI', 44.811, -91.498], ['La Crosse', 'WI', 43.801, -91.240],
+  // Wyoming
+  ['Cheyenne', 'WY', 41.140, -104.820], ['Casper', 'WY', 42.867, -106.313], ['Laramie', 'WY', 41.312, -105.591],
+  // Territories
+  ['San Juan', 'PR', 18.466, -66.106], ['Pago Pago', 'AS', -14.279, -170.700], ['Hagatna', 'GU', 13.476, 144.749],
+];
@@ -0,0 +1,73 @@
+/**
+ * Score history: one snapshot per scoring of a player (watchlist refresh,
+ * watch add), in a local JSON file keyed by CFBD athlete id, for trend charts
+ * and change alerts.
+ */
+
+import { HISTORY_PATH } from '../config.js';
+import { createJsonStore } from './jsonStore.js';
+
+/** Oldest snapshots beyond this many per player are dropped. */
+const MAX_SNAPSHOTS = 1000;
+
+const file = createJsonStore(() => ({ players: {} }));
+
+/**
+ * Compact snapshot of a scoring result.
+ *
+ * @param {Object} input - aggregated input (with _meta)
+ * @param {Object} result - computeTransferProbability output
+ * @param {string} source - what produced it, e.g. "refresh"
+ * @returns {{ at: string, year: number, team: string, probability: number, model: string, risks: Object, source: string }}
+ */
+export function toSnapshot(input, result, source) {
+  return {
+    at: new Date().toISOString(),
+    year: input._meta?.year ?? null,
+    team: input._meta?.team ?? null,
+    probability: result.transferProbability,
+    model: result.model?.version ?? null,
+    risks: Object.fromEntries(Object.entries(result.breakdown).map(([key, v]) => [key, v.risk])),
+    source,
+  };
+}
+
+/**
+ * Append a snapshot to a player's history.
+ * @returns {Object} the snapshot
+ */
+export function recordSnapshot(playerId, snapshot, { playerName, team } = {}, path = HISTORY_PATH) {
+  const key = String(playerId);
+  const store = file.load(path);
+  const entry = (store.players[key] ??= { playerName: null, team: null, snapshots: [] });
+  entry.playerName = playerName ?? entry.playerName;
+  entry.team = team ?? entry.team;
+  entry.snapshots.push(snapshot);
+  if (entry.snapshots.length > MAX_SNAPSHOTS) entry.snapshots.splice(0, entry.snapshots.length - MAX_SNAPSHOTS);
+  file.save(store, path);
+  return snapshot;
+}
+
+/** Most recent snapshot for a player, or null. */
+export function lastSnapshot(playerId, path = HISTORY_PATH) {
+  const snapshots = file.load(path).players[String(playerId)]?.snapshots;
+  return snapshots?.length ? snapshots[snapshots.length - 1] : null;
+}
+
+/**
+ * A player's snapshots, oldest first.
+ *
+ * @param {string|number} playerId
+ * @param {Object} [opts]
+ * @param {string} [opts.since] - ISO date/time; only snapshots at or after it
+ * @param {number} [opts.limit] - keep only the most recent N
+ * @returns {{ playerId: string, playerName: string|null, team: string|null, snapshots: Object[] }}
+ */
+export function getHistory(playerId, { since, limit } = {}, path = HISTORY_PATH) {
+  const key = String(playerId);
+  const entry = file.load(path).players[key];
+  let snapshots = entry?.snapshots ?? [];
+  if (since) snapshots = snapshots.filter((s) => s.at >= since);
+  if (limit > 0) snapshots = snapshots.slice(-limit);
+  return { playerId: key, playerName: entry?.playerName ?? null, team: entry?.team ?? null, snapshots };
+}
@@ -0,0 +1,195 @@
+/**
+ * Player identity matching across CFBD datasets (search, roster, usage,
+ * recruiting, portal). Matches on CFBD athlete IDs where both sides have one,
+ * otherwise on normalized names with position and hometown as tie-breakers.
+ */
+
+import { parseHometown } from './distance.js';
+import { stateCode } from './geo/states.js';
+
+const SUFFIXES = new Set(['jr', 'sr', 'ii', 'iii', 'iv', 'v', 'vi']);
+
+/** Nickname → canonical first name. */
+const NICKNAMES = {
+  mike: 'michael', mikey: 'michael', chris: 'christopher', josh: 'joshua', matt: 'matthew',
+  nick: 'nicholas', nico: 'nicholas', tony: 'anthony', will: 'william', bill: 'william',
+  billy: 'william', willie: 'william', bob: 'robert', rob: 'robert', bobby: 'robert',
+  robbie: 'robert', jim: 'james', jimmy: 'james', jamie: 'james', joe: 'joseph', joey: 'joseph',
+  dan: 'daniel', danny: 'daniel', dave: 'david', davey: 'david', tom: 'thomas', tommy: 'thomas',
+  ben: 'benjamin', benny: 'benjamin', sam: 'samuel', sammy: 'samuel', alex: 'alexander',
+  zach: 'zachary', zack: 'zachary', jake: 'jacob', cam: 'cameron', jon: 'jonathan',
+  johnny: 'john', nate: 'nathaniel', andy: 'andrew',
+  drew: 'andrew', greg: 'gregory', steve: 'steven', stephen: 'steven', ken: 'kenneth',
+  kenny: 'kenneth', ed: 'edward', eddie: 'edward', rick: 'richard', ricky: 'richard',
+  rich: 'richard', dick: 'richard', charlie: 'charles', chuck: 'charles', pat: 'patrick',
+  tim: 'timothy', timmy: 'timothy', jeff: 'jeffrey', ron: 'ronald', ronnie: 'ronald',
+  don: 'donald', donnie: 'donald', larry: 'lawrence', gabe: 'gabriel', eli: 'elijah',
+  zeke: 'ezekiel', abe: 'abraham', fred: 'frederick', freddie: 'frederick', ted: 'theodore',
+  teddy: 'theodore', theo: 'theodore', jerry: 'gerald', gerry: 'gerald', manny: 'emmanuel',
+  vince: 'vincent', mo: 'mohamed', mohammed: 'mohamed', muhammad: 'mohamed', kam: 'kameron',
+  kamron: 'kameron',
+};
+
+function tokens(name) {
+  return String(name || '')
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .replace(/['’.]/g, '')
+    .replace(/[^a-z0-9]+/g, ' ')
+    .trim()
+    .split(' ')
+    .filter(Boolean);
+}
+
+/**
+ * Lowercase name without accents, punctuation or generational suffixes (Jr, III, ...).
+ * "A.J. Brown Jr." → "aj brown"
+ */
+export function normalizeName(name) {
+  const t = tokens(name);
+  while (t.length > 1 && SUFFIXES.has(t[t.length - 1])) t.pop();
+  return t.join(' ');
+}
+
+/**
+ * Normalized name with the first name mapped through NICKNAMES ("Mike Smith" → "michael smith").
+ */
+export function canonicalName(name) {
+  const t = normalizeName(name).split(' ').filter(Boolean);
+  if (t.length === 0) return '';
+  t[0] = NICKNAMES[t[0]] ?? t[0];
+  return t.join(' ');
+}
+
+function lastName(name) {
+  const t = normalizeName(name).split(' ');
+  return t.length > 1 ? t.slice(1).join(' ') : '';
+}
+
+/** Name for any CFBD row shape (name/player, or first/last). */
+export function rowName(row) {
+  if (row == null) return '';
+  const direct = row.name ?? row.player ?? row.athlete;
+  if (direct && String(direct).trim()) return String(direct).trim();
+  const first = row.first_name ?? row.firstName ?? '';
+  const last = row.last_name ?? row.lastName ?? '';
+  return `${first} ${last}`.trim();
+}
+
+/** CFBD athlete id for a row; recruiting rows carry it as athleteId (their own id is the recruit id). */
+export function rowAthleteId(row) {
+  if (row == null) return null;
+  const id = row.athleteId ?? row.athlete_id ?? (row.recruitType != null || row.recruit_type != null ? null : row.id);
+  return id != null && id !== '' ? String(id) : null;
+}
+
+function normalizePosition(pos) {
+  return pos ? String(pos).trim().toUpperCase() : null;
+}
+
+/**
+ * Score how well a row matches the query. 0 = no match.
+ *   id match 100; exact name 50; nickname-equivalent 40; same last name + first initial 20;
+ *   last-name-only query 10. Position and hometown each add 5 as tie-breakers.
+ */
+function scoreRow(row, query) {
+  const qId = query.id != null ? String(query.id) : null;
+  const rId = rowAthleteId(row);
+  if (qId && rId) return qId === rId ? 100 : 0;
+
+  const qName = normalizeName(query.name);
+  const rName = normalizeName(rowName(row));
+  if (!qName || !rName) return 0;
+
+  let score = 0;
+  if (qName === rName) score = 50;
+  else if (canonicalName(query.name) === canonicalName(rowName(row))) score = 40;
+  else if (!qName.includes(' ')) score = rName.split(' ').slice(1).join(' ') === qName ? 10 : 0;
+  else if (lastName(query.name) === lastName(rowName(row)) && qName[0] === rName[0]) score = 20;
+  if (score === 0) return 0;
+
+  const qPos = normalizePosition(query.position);
+  const rPos = normalizePosition(row.position);
+  if (qPos && rPos && qPos === rPos) score += 5;
+
+  if (query.hometown) {
+    const h = parseHometown(row);
+    const sameState = h?.state && stateCode(h.state) === stateCode(query.hometown.state);
+    const sameCity = h?.city && query.hometown.city && normalizeName(h.city) === normalizeName(query.hometown.city);
+    if (sameState && (sameCity || !query.hometown.city)) score += 5;
+  }
+  return score;
+}
+
+/** Compact description of a row for candidate lists. */
+export function describeCandidate(row) {
+  const h = parseHometown(row);
+  return {
+    id: rowAthleteId(row),
+    name: rowName(row),
+    team: row.team ?? row.school ?? row.committedTo ?? null,
+    position: row.position ?? null,
+    hometown: h ? [h.city, h.state].filter(Boolean).join(', ') || null : null,
+  };
+}
+
+/**
+ * Find the row in `rows` that is the queried player.
+ *
+ * @param {Object[]} rows - CFBD rows (any dataset)
+ * @param {Object} query
+ * @param {string|number} [query.id] - CFBD athlete id (decisive when the rows have ids)
+ * @param {string} [query.name]
+ * @param {string} [query.position]
+ * @param {{ city?: string, state?: string }} [query.hometown]
+ * @returns {{ match: Object|null, ambiguous: boolean, candidates: Object[] }}
+ *   candidates are the tied best rows when ambiguous, otherwise all rows that matched at all
+ */
+export function matchPlayer(rows, query) {
+  if (!Array.isArray(rows) || rows.length === 0) return { match: null, ambiguous: false, candidates: [] };
+  const scored = rows
+    .map((row) => ({ row, score: scoreRow(row, query) }))
+    .filter((s) => s.score > 0)
+    .sort((a, b) => b.score - a.score);
+  if (scored.length === 0) return { match: null, ambiguous: false, candidates: [] };
+
+  const best = scored[0].score;
+  const top = scored.filter((s) => s.score === best);
+  // Same athlete listed twice (e.g. usage split by week) is not ambiguity.
+  const distinctIds = new Set(top.map((s) => rowAthleteId(s.row) ?? `${rowName(s.row)}|${s.row.team ?? ''}`));
+  if (distinctIds.size > 1) {
+    return { match: null, ambiguous: true, candidates: top.map((s) => s.row) };
+  }
+  return { match: top[0].row, ambiguous: false, candidates: scored.map((s) => s.row) };
+}
+
+/**
+ * Index rows by athlete id and canonical name for bulk joins (team reports).
+ * Names shared by more than one athlete are left out of the name index.
+ */
+export function indexRows(rows) {
+  const byId = new Map();
+  const byName = new Map();
+  const dupes = new Set();
+  for (const row of rows || []) {
+    const id = rowAthleteId(row);
+    if (id && !byId.has(id)) byId.set(id, row);
+    const key = canonicalName(rowName(row));
+    if (!key) continue;
+    const existing = byName.get(key);
+    if (existing && (rowAthleteId(existing) ?? '') !== (id ?? '')) dupes.add(key);
+    else if (!existing) byName.set(key, row);
+  }
+  for (const key of dupes) byName.delete(key);
+  return {
+    /** Row for an athlete: by id when given, else by unique canonical name. */
+    find(id, name) {
+      if (id != null && byId.has(String(id))) return byId.get(String(id));
+      const row = byName.get(canonicalName(name)) ?? null;
+      const rowId = rowAthleteId(row);
+      // A name hit carrying a different athlete id is a namesake, not this player.
+      return row && id != null && rowId != null && rowId !== String(id) ? null : row;
+    },
+  };
+}
@@ -0,0 +1,35 @@
+/**
+ * Local JSON-file stores (overrides, watchlist, score history): reads are cached
+ * by file mtime and writes go through a temp file and rename so a crash never
+ * leaves half a file.
+ */
+
+import { readFileSync, writeFileSync, existsSync, mkdirSync, renameSync, statSync } from 'fs';
+import { dirname } from 'path';
+
+/**
+ * @param {() => Object} empty - shape of a store whose file doesn't exist yet
+ * @returns {{ load: (path: string) => Object, save: (store: Object, path: string) => void }}
+ */
+export function createJsonStore(empty) {
+  let cached = null;
+
+  function load(path) {
+    if (!existsSync(path)) return empty();
+    const mtime = statSync(path).mtimeMs;
+    if (cached?.path === path && cached.mtime === mtime) return cached.store;
+    const store = { ...empty(), ...JSON.parse(readFileSync(path, 'utf8')) };
+    cached = { path, mtime, store };
+    return store;
+  }
+
+  function save(store, path) {
+    mkdirSync(dirname(path), { recursive: true });
+    const tmp = `${path}.${process.pid}.tmp`;
+    writeFileSync(tmp, JSON.stringify(store, null, 2) + '\n');
+    renameSync(tmp, path);
+    cached = null;
+  }
+
+  return { load, save };
+}
@@ -0,0 +1,139 @@
+/**
+ * Persistent store of manual per-player inputs (NIL strength, social sentiment,
+ * hometown distance) in a local JSON file, keyed by CFBD athlete id. Each entry
+ * keeps its source, note, author and timestamps; the newest entry that sets a
+ * field is the value aggregation uses.
+ */
+
+import { randomUUID } from 'crypto';
+import { OVERRIDES_PATH } from '../config.js';
+import { InvalidOverrideError, OverrideNotFoundError } from './errors.js';
+import { createJsonStore } from './jsonStore.js';
+
+/** Fields an override may set, with their allowed range. */
+export const OVERRIDE_FIELDS = {
+  nilScore: { min: 0, max: 1 },
+  socialSentiment: { min: 0, max: 1 },
+  distanceFromHighSchoolMiles: { min: 0, max: 10000 },
+};
+
+const META_FIELDS = ['source', 'note', 'author', 'playerName', 'team'];
+
+const file = createJsonStore(() => ({ players: {} }));
+
+function load(path = OVERRIDES_PATH) {
+  return file.load(path);
+}
+
+function save(store, path = OVERRIDES_PATH) {
+  file.save(store, path);
+}
+
+function playerKey(playerId) {
+  const key = playerId != null ? String(playerId).trim() : '';
+  if (!key) throw new InvalidOverrideError('A CFBD player id is required for stored overrides.');
+  return key;
+}
+
+/** Validated { values, meta } from a request body; values may be partial on update. */
+function parseInput(body, { requireValues }) {
+  if (body == null || typeof body !== 'object') throw new InvalidOverrideError('Override body must be a JSON object.');
+  const input = body.values && typeof body.values === 'object' ? { ...body, ...body.values } : body;
+  const values = {};
+  for (const [field, { min, max }] of Object.entries(OVERRIDE_FIELDS)) {
+    if (input[field] == null || input[field] === '') continue;
+    const n = Number(input[field]);
+    if (!Number.isFinite(n) || n < min || n > max) {
+      throw new InvalidOverrideError(`${field} must be a number from ${min} to ${max} (got ${input[field]}).`);
+    }
+    values[field] = n;
+  }
+  if (requireValues && Object.keys(values).length === 0) {
+    throw new InvalidOverrideError(`Set at least one of: ${Object.keys(OVERRIDE_FIELDS).join(', ')}.`);
+  }
+  const meta = {};
+  for (const key of META_FIELDS) {
+    if (input[key] != null) meta[key] = String(input[key]);
+  }
+  return { values, meta };
+}
+
+/**
+ * All stored overrides for a player, newest first.
+ * @returns {Object[]}
+ */
+export function listOverrides(playerId, path = OVERRIDES_PATH) {
+  const entries = load(path).players[playerKey(playerId)] ?? [];
+  return [...entries].sort((a, b) => b.updatedAt.localeCompare(a.updatedAt));
+}
+
+/**
+ * Store a new override entry.
+ *
+ * @param {string|number} playerId - CFBD athlete id
+ * @param {Object} body - nilScore / socialSentiment / distanceFromHighSchoolMiles plus source, note, author (playerName, team optional)
+ * @returns {Object} the stored entry
+ */
+export function addOverride(playerId, body, path = OVERRIDES_PATH) {
+  const key = playerKey(playerId);
+  const { values, meta } = parseInput(body, { requireValues: true });
+  const now = new Date().toISOString();
+  const entry = { id: randomUUID(), playerId: key, values, source: null, note: null, author: null, ...meta, createdAt: now, updatedAt: now };
+  const store = load(path);
+  (store.players[key] ??= []).push(entry);
+  save(store, path);
+  return entry;
+}
+
+/**
+ * Update an entry's values or metadata. A value set to null removes that field.
+ * @returns {Object} the updated entry
+ */
+export function updateOverride(playerId, overrideId, body, path = OVERRIDES_PATH) {
+  const key = playerKey(playerId);
+  const store = load(path);
+  const entry = (store.players[key] ?? []).find((e) => e.id === overrideId);
+  if (!entry) throw new OverrideNotFoundError(`No override ${overrideId} for player ${key}.`);
+  const { values, meta } = parseInput(body, { requireValues: false });
+  const cleared = Object.keys(OVERRIDE_FIELDS).filter((f) => body && Object.hasOwn(body, f) && body[f] === null);
+  entry.values = { ...entry.values, ...values };
+  for (const f of cleared) delete entry.values[f];
+  if (Object.keys(entry.values).length === 0) {
+    throw new InvalidOverrideError('An override must keep at least one value; delete it instead.');
+  }
+  Object.assign(entry, meta, { updatedAt: new Date().toISOString() });
+  save(store, path);
+  return entry;
+}
+
+/** Delete an entry. */
+export function removeOverride(playerId, overrideId, path = OVERRIDES_PATH) {
+  const key = playerKey(playerId);
+  const store = load(path);
+  const entries = store.players[key] ?? [];
+  const i = entries.findIndex((e) => e.id === overrideId);
+  if (i === -1) throw new OverrideNotFoundError(`No override ${overrideId} for player ${key}.`);
+  entries.splice(i, 1);
+  if (entries.length === 0) delete store.players[key];
+  save(store, path);
+}
+
+/**
+ * Latest stored value per field for a player, with the entry each came from.
+ * Returns empty results when the player has no id or nothing stored.
+ *
+ * @returns {{ values: Object, used: Object[] }} used: { field, value, overrideId, source, author, note, updatedAt }
+ */
+export function latestOverrides(playerId, path = OVERRIDES_PATH) {
+  if (playerId == null || String(playerId).trim() === '') return { values: {}, used: [] };
+  const values = {};
+  const used = [];
+  for (const entry of listOverrides(playerId, path)) {
+    for (const [field, value] of Object.entries(entry.values)) {
+      if (field in values) continue;
+      values[field] = value;
+      used.push({ field, value, overrideId: entry.id, source: entry.source, author: entry.author, note: entry.note, updatedAt: entry.updatedAt });
+    }
+  }
+  return { values, used };
+}
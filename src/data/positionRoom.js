@@ -0,0 +1,110 @@
+/**
+ * Position-room competition: who the player is competing with for snaps next
+ * season – returning teammates ahead of them in usage, the incoming recruiting
+ * class and incoming transfers at the same position group.
+ */
+
+import { rowName, rowAthleteId } from './identity.js';
+import { usageShare } from './usage.js';
+
+/** CFBD roster / recruiting / portal position → position group. */
+const POSITION_GROUPS = {
+  QB: 'QB', PRO: 'QB', DUAL: 'QB',
+  RB: 'RB', APB: 'RB', FB: 'RB', HB: 'RB',
+  WR: 'WR',
+  TE: 'TE',
+  OL: 'OL', OT: 'OL', OG: 'OL', G: 'OL', T: 'OL', C: 'OL', IOL: 'OL',
+  DL: 'DL', DE: 'DL', DT: 'DL', NT: 'DL', EDGE: 'DL', WDE: 'DL', SDE: 'DL',
+  LB: 'LB', ILB: 'LB', OLB: 'LB', MLB: 'LB',
+  CB: 'CB', DB: 'CB',
+  S: 'S', FS: 'S', SS: 'S',
+  K: 'K', PK: 'K',
+  P: 'P',
+  LS: 'LS',
+};
+
+/** Typical starters per group; competitors are measured against this. */
+export const STARTERS = { QB: 1, RB: 1, WR: 3, TE: 1, OL: 5, DL: 4, LB: 3, CB: 2, S: 2, K: 1, P: 1, LS: 1 };
+
+/** Competitor count (per starter slot) at which the room scores as fully crowded. */
+const FULL_ROOM_PER_STARTER = 2;
+
+/** Roster class year (1 = freshman) at or above which a player is assumed to be leaving. */
+const DEPARTING_CLASS = 4;
+
+/**
+ * Position group for a CFBD position ("OT" → "OL", "DUAL" → "QB").
+ * @returns {string|null}
+ */
+export function positionGroup(position) {
+  if (!position) return null;
+  return POSITION_GROUPS[String(position).trim().toUpperCase()] ?? null;
+}
+
+/** Competitor weight from stars (5★ = 1) or a 0–1 rating; unknown = 0.6. */
+function talentWeight(row) {
+  const stars = Number(row?.stars);
+  if (stars >= 1 && stars <= 5) return stars / 5;
+  const rating = Number(row?.rating);
+  if (rating > 0 && rating <= 1) return rating;
+  return 0.6;
+}
+
+/**
+ * Crowded-room risk for one player.
+ *
+ * @param {Object} room
+ * @param {Object[]} room.usageList - current season usage rows (team)
+ * @param {Object} room.rosterIndex - indexRows() over the current roster (class years)
+ * @param {Object[]|null} room.nextRecruits - next season's recruiting class (team); null = not fetched
+ * @param {Object[]|null} room.incomingTransfers - portal rows with this team as destination; null = not fetched
+ * @param {Object} player
+ * @param {string|null} [player.id]
+ * @param {string} player.name
+ * @param {string} [player.position]
+ * @param {number|null} [player.usage] - current usage share (0–1)
+ * @returns {{ risk: number, group: string, competitors: Object[], note: string }|null}
+ *   null when the position is unknown
+ */
+export function positionRoomRisk({ usageList, rosterIndex, nextRecruits, incomingTransfers }, { id, name, position, usage }) {
+  const group = positionGroup(position);
+  if (!group) return null;
+  const own = usage ?? 0;
+  const competitors = [];
+
+  for (const row of usageList) {
+    if (positionGroup(row.position) !== group) continue;
+    const rid = rowAthleteId(row);
+    const rname = rowName(row);
+    if ((id && rid === String(id)) || (!id && rname === name)) continue;
+    const share = usageShare(row) ?? 0;
+    if (share <= own) continue;
+    const cls = Number(rosterIndex?.find(rid, rname)?.year);
+    if (cls >= DEPARTING_CLASS) continue;
+    competitors.push({ type: 'returning', name: rname, position: row.position ?? group, usage: Math.round(share * 1000) / 1000, weight: 1 });
+  }
+  for (const row of nextRecruits ?? []) {
+    if (positionGroup(row.position) !== group) continue;
+    competitors.push({ type: 'recruit', name: rowName(row), position: row.position, stars: row.stars ?? null, weight: talentWeight(row) });
+  }
+  for (const row of incomingTransfers ?? []) {
+    if (positionGroup(row.position) !== group) continue;
+    competitors.push({ type: 'transfer', name: rowName(row), position: row.position, from: row.origin ?? null, stars: row.stars ?? null, weight: talentWeight(row) });
+  }
+
+  const pressure = competitors.reduce((sum, c) => sum + c.weight, 0);
+  const risk = Math.min(1, pressure / (FULL_ROOM_PER_STARTER * (STARTERS[group] ?? 1)));
+  const label = (c) => {
+    if (c.type === 'returning') return `${c.name} (returning, ${Math.round(c.usage * 100)}% usage)`;
+    const stars = c.stars ? `${c.stars}★ ` : '';
+    return c.type === 'recruit' ? `${c.name} (${stars}recruit)` : `${c.name} (${stars}transfer${c.from ? ` from ${c.from}` : ''})`;
+  };
+  const unknown = [nextRecruits == null && 'recruiting class', incomingTransfers == null && 'transfers'].filter(Boolean);
+  const caveat = unknown.length ? ` (incoming ${unknown.join(' and ')} unknown)` : '';
+  const note = competitors.length
+    ? `${group} room: ${competitors.map(label).join('; ')}${caveat}`
+    : unknown.length
+      ? `${group} room: no returning player ahead${caveat}`
+      : `${group} room: no returning player ahead and no incoming ${group}s`;
+  return { risk: Math.round(risk * 100) / 100, group, competitors, note };
+}
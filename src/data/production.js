@@ -0,0 +1,120 @@
+/**
+ * Production: position-appropriate output from CFBD season stats
+ * (/stats/player/season) – yards and touchdowns for skill players, tackles,
+ * pressures and takeaways on defense, points for kickers – ranked per game within
+ * the position group across the team and its conference, like the usage baselines.
+ */
+
+import { percentile } from './baselines.js';
+import { indexRows } from './identity.js';
+import { positionGroup } from './positionRoom.js';
+import { DEFAULT_GAMES } from './usage.js';
+
+/**
+ * Points per stat ("category.statType" as CFBD reports it), roughly in yards.
+ * Groups without a line here (OL, LS, P) have no production measure and their
+ * players score as neutral.
+ */
+export const PRODUCTION_FORMULAS = {
+  QB: { 'passing.YDS': 1, 'passing.TD': 20, 'passing.INT': -45, 'rushing.YDS': 1, 'rushing.TD': 20 },
+  RB: { 'rushing.YDS': 1, 'rushing.TD': 20, 'receiving.YDS': 1, 'receiving.TD': 20, 'receiving.REC': 5 },
+  WR: { 'receiving.YDS': 1, 'receiving.TD': 20, 'receiving.REC': 5, 'rushing.YDS': 1, 'rushing.TD': 20 },
+  TE: { 'receiving.YDS': 1, 'receiving.TD': 20, 'receiving.REC': 5 },
+  DL: { 'defensive.TOT': 1, 'defensive.TFL': 3, 'defensive.SACKS': 5, 'defensive.QB HUR': 3, 'defensive.PD': 2 },
+  LB: { 'defensive.TOT': 1, 'defensive.TFL': 3, 'defensive.SACKS': 4, 'defensive.QB HUR': 2, 'defensive.PD': 3, 'interceptions.INT': 6 },
+  CB: { 'defensive.TOT': 1, 'defensive.TFL': 2, 'defensive.PD': 4, 'interceptions.INT': 6 },
+  S: { 'defensive.TOT': 1, 'defensive.TFL': 2, 'defensive.PD': 4, 'interceptions.INT': 6 },
+  K: { 'kicking.PTS': 1 },
+};
+
+/** Fewer players than this in a group and production is left unscored. */
+const MIN_PRODUCTION_ROWS = 8;
+
+/**
+ * One line per player from CFBD's one-row-per-stat response:
+ * { id, name, team, position, stats: { 'receiving.YDS': 812, ... } }.
+ */
+export function collectStatLines(rows) {
+  const lines = new Map();
+  for (const row of Array.isArray(rows) ? rows : []) {
+    const id = row.playerId ?? row.athleteId ?? null;
+    const name = row.player ?? row.name ?? null;
+    if (id == null && !name) continue;
+    const key = id != null ? `id:${id}` : `${row.team}|${name}`;
+    if (!lines.has(key)) lines.set(key, { id: id != null ? String(id) : null, name, team: row.team ?? null, position: row.position ?? null, stats: {} });
+    const value = Number(row.stat);
+    if (row.category && row.statType && Number.isFinite(value)) lines.get(key).stats[`${row.category}.${row.statType}`] = value;
+  }
+  return [...lines.values()];
+}
+
+/** Season production score for a stat line at a position group; null when the group has no formula. */
+export function productionScore(stats, group) {
+  const formula = PRODUCTION_FORMULAS[group];
+  if (!formula) return null;
+  return Object.entries(formula).reduce((sum, [stat, points]) => sum + (stats[stat] ?? 0) * points, 0);
+}
+
+/**
+ * Per-game production by position group for one season.
+ *
+ * @param {Object[]} teamRows - the team's /stats/player/season rows (the player's own line and team rank)
+ * @param {Object[]} conferenceRows - the conference's rows (duplicates of team rows are dropped)
+ * @param {Map<string, number>} gamesByTeam - lowercase team → games played
+ * @param {Object} opts
+ * @param {string} opts.team
+ * @param {string} [opts.scope] - label for notes, e.g. "SEC" or the team name
+ * @returns {{ scope: string|null, team: string, groups: Object, teamLines: Object[], index: Object }}
+ */
+export function buildProductionBaselines(teamRows, conferenceRows, gamesByTeam, { team, scope } = {}) {
+  const teamLines = collectStatLines(teamRows).map((l) => ({ ...l, team: l.team ?? team }));
+  const groups = {};
+  const seen = new Set();
+  for (const line of [...teamLines, ...collectStatLines(conferenceRows)]) {
+    const key = line.id != null ? `id:${line.id}` : `${line.team}|${line.name}`;
+    if (seen.has(key)) continue;
+    seen.add(key);
+    const group = positionGroup(line.position);
+    const score = productionScore(line.stats, group);
+    if (score == null) continue;
+    const games = gamesByTeam.get(String(line.team ?? '').toLowerCase()) ?? DEFAULT_GAMES;
+    (groups[group] ??= []).push(score / games);
+  }
+  for (const list of Object.values(groups)) list.sort((a, b) => a - b);
+  return { scope: scope ?? null, team, groups, teamLines, index: indexRows(teamLines) };
+}
+
+/**
+ * Production percentile for one player, plus where they rank among teammates at
+ * the position. Null when they have no stat line, their position has no production
+ * measure, or the group has fewer than MIN_PRODUCTION_ROWS players.
+ *
+ * @param {Object} baselines - from buildProductionBaselines
+ * @param {{ id?: string|null, name: string, position?: string, games: number }} player
+ * @returns {{ group: string, percentile: number, perGame: number, rows: number, scope: string|null, teamRank: number, teamCount: number, note: string }|null}
+ */
+export function playerProduction(baselines, { id, name, position, games }) {
+  const line = baselines?.index.find(id, name);
+  if (!line) return null;
+  const group = positionGroup(position ?? line.position);
+  const score = productionScore(line.stats, group);
+  const list = baselines.groups[group];
+  if (score == null || !list || list.length < MIN_PRODUCTION_ROWS) return null;
+  const perGame = score / (games || DEFAULT_GAMES);
+  const teammates = baselines.teamLines
+    .filter((l) => positionGroup(l.position) === group)
+    .map((l) => productionScore(l.stats, group));
+  const teamRank = 1 + teammates.filter((s) => s > score).length;
+  const teamCount = Math.max(teammates.length, teamRank);
+  const pct = Math.round(percentile(list, perGame) * 100) / 100;
+  return {
+    group,
+    percentile: pct,
+    perGame: Math.round(perGame * 10) / 10,
+    rows: list.length,
+    scope: baselines.scope,
+    teamRank,
+    teamCount,
+    note: `rank ${teamRank} of ${teamCount} ${baselines.team} ${group}s`,
+  };
+}
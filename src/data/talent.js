@@ -0,0 +1,52 @@
+/**
+ * Expectation gap: how a team's win rate compares with what its roster talent
+ * (CFBD /talent, the 247 composite) predicts. The team's composite is ranked
+ * among every team with one that season and the expected win rate is that
+ * percentile, so the most talented roster is expected to win nearly every game
+ * and the median roster half of them.
+ */
+
+import { percentile } from './baselines.js';
+
+/** Fewer teams with a composite than this and the ranking is not used. */
+const MIN_TALENT_TEAMS = 20;
+
+function round(n, places = 3) {
+  const f = 10 ** places;
+  return Math.round(n * f) / f;
+}
+
+/**
+ * @param {Object[]} talentRows - CFBD /talent rows for the season ({ team|school, talent })
+ * @param {string} team
+ * @param {number|null} winRate - the team's win rate, 0–1
+ * @returns {{ gap: number, talent: number, talentRank: number, teams: number, expectedWinRate: number, winRate: number, note: string }|null}
+ *   gap is expected minus actual win rate (positive = winning less than the roster should);
+ *   null when the team has no composite, there are too few teams or the win rate is unknown
+ */
+export function expectationGap(talentRows, team, winRate) {
+  if (winRate == null) return null;
+  const values = new Map();
+  for (const row of Array.isArray(talentRows) ? talentRows : []) {
+    const value = Number(row.talent);
+    const name = row.school ?? row.team;
+    if (name && Number.isFinite(value)) values.set(String(name).toLowerCase(), value);
+  }
+  const talent = values.get(String(team).toLowerCase());
+  if (talent == null || values.size < MIN_TALENT_TEAMS) return null;
+  const sorted = [...values.values()].sort((a, b) => a - b);
+  const expectedWinRate = round(percentile(sorted, talent));
+  const gap = round(expectedWinRate - winRate, 2);
+  const talentRank = 1 + sorted.filter((v) => v > talent).length;
+  const points = Math.round(Math.abs(gap) * 100);
+  const verdict = points === 0 ? 'as expected' : `${points} points ${gap > 0 ? 'below' : 'above'} expectation`;
+  return {
+    gap,
+    talent,
+    talentRank,
+    teams: values.size,
+    expectedWinRate,
+    winRate: round(winRate),
+    note: `Talent rank ${talentRank} of ${values.size} (expected ${Math.round(expectedWinRate * 100)}% wins), won ${Math.round(winRate * 100)}%: ${verdict}`,
+  };
+}
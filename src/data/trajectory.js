@@ -0,0 +1,102 @@
+/**
+ * Multi-season trajectory for a player on one team: usage change from the prior
+ * season, usage lost to newcomers at the same position, and seasons on the
+ * roster with no usage (redshirt or injury).
+ */
+
+import { indexRows, rowName, rowAthleteId } from './identity.js';
+import { usageShare, seasonUsage } from './usage.js';
+
+/** Prior seasons fetched for trajectory factors. */
+export const TRAJECTORY_SEASONS = 2;
+
+/** A season below this usage share counts as missed (redshirt or injury). */
+const MISSED_SEASON_USAGE = 0.01;
+
+/** Usage drop (share points) below which newcomer displacement isn't measured. */
+const MIN_USAGE_LOSS = 0.05;
+
+function position(row) {
+  return row?.position ? String(row.position).toUpperCase() : null;
+}
+
+/**
+ * One season's lists with identity indexes built once (shared across a team's players).
+ * @param {{ year: number, usageList: Object[], roster: Object[] }} season
+ */
+export function indexSeason({ year, usageList, roster }) {
+  return { year, usageList, roster, usageIndex: indexRows(usageList), rosterIndex: indexRows(roster) };
+}
+
+/**
+ * The player's usage share and depth (usage rank among teammates at the position, 1 = top)
+ * in one season, or onRoster false when they weren't on the team.
+ * Usage is 0 for a rostered player missing from a non-empty usage list (see seasonUsage).
+ */
+function seasonLine(season, id, name, pos) {
+  const rosterRow = season.rosterIndex.find(id, name);
+  const usageRow = season.usageIndex.find(id, name);
+  const onRoster = Boolean(rosterRow || usageRow);
+  const usage = seasonUsage(usageRow, { onRoster, usageList: season.usageList });
+
+  let depth = null;
+  const p = pos ?? position(rosterRow) ?? position(usageRow);
+  if (usage != null && usage > 0 && p) {
+    depth = 1 + season.usageList.filter((r) => position(r) === p && r !== usageRow && (usageShare(r) ?? 0) > usage).length;
+  }
+  return { year: season.year, onRoster, usage: usage != null ? Math.round(usage * 1000) / 1000 : null, depth };
+}
+
+/**
+ * Trajectory factors for one player.
+ *
+ * @param {Object} current - indexSeason() for the scored season
+ * @param {Object[]} history - indexSeason() for prior seasons, most recent first
+ * @param {{ id?: string|null, name: string, position?: string|null }} player
+ * @returns {{ usageChange: number|null, newcomerShare: number|null, missedSeasons: number|null,
+ *   seasons: Object[], newcomers: string[] }}
+ *   usageChange is current minus prior-season usage share (-1..1); newcomerShare is the
+ *   fraction of lost usage now held by newcomers at the same position (0–1);
+ *   missedSeasons counts prior seasons on the roster with no usage.
+ */
+export function buildTrajectory(current, history, { id, name, position: pos }) {
+  const p = pos ? String(pos).toUpperCase() : null;
+  const now = seasonLine(current, id, name, p);
+  const prior = history.map((s) => seasonLine(s, id, name, p));
+  const seasons = [now, ...prior];
+
+  const last = prior[0];
+  const usageChange = last?.onRoster && last.usage != null && now.usage != null
+    ? Math.round((now.usage - last.usage) * 1000) / 1000
+    : null;
+
+  // Newcomers: teammates at the same position who weren't on last season's roster or usage list.
+  let newcomerShare = null;
+  const newcomers = [];
+  if (usageChange != null && p) {
+    const prev = history[0];
+    let newcomerUsage = 0;
+    for (const row of current.usageList) {
+      if (position(row) !== p) continue;
+      const rid = rowAthleteId(row);
+      const rname = rowName(row);
+      if (rid === (id ?? null) || (!id && rname === name)) continue;
+      if (prev.rosterIndex.find(rid, rname) || prev.usageIndex.find(rid, rname)) continue;
+      const share = usageShare(row) ?? 0;
+      if (share > 0) {
+        newcomerUsage += share;
+        newcomers.push(rname);
+      }
+    }
+    const lost = -usageChange;
+    newcomerShare = lost >= MIN_USAGE_LOSS ? Math.round(Math.min(1, newcomerUsage / lost) * 100) / 100 : 0;
+  }
+
+  // Unknown (null) when no prior season's lists could be fetched; 0 for a player new to the team.
+  const fetched = history.some((s) => s.roster.length || s.usageList.length);
+  const missedSeasons = fetched
+    ? prior.filter((s) => s.onRoster && s.usage != null && s.usage < MISSED_SEASON_USAGE).length
+    : null;
+
+  return { usageChange, newcomerShare, missedSeasons, seasons, newcomers };
+}
@@ -0,0 +1,79 @@
+/**
+ * Reading usage, snaps and games played from CFBD rows (shapes vary by endpoint and season).
+ */
+
+/** Regular season length assumed when a team's games-played count is unknown. */
+export const DEFAULT_GAMES = 12;
+
+/** Snaps per game used to turn a snap count into a usage share. */
+const SNAPS_PER_GAME = 70;
+
+/**
+ * Games played from a CFBD /records row (total.games, else wins + losses + ties).
+ * @returns {number|null}
+ */
+export function gamesPlayed(record) {
+  const total = record?.total ?? record;
+  if (!total) return null;
+  const games = Number(total.games);
+  if (games > 0) return games;
+  const sum = Number(total.wins ?? 0) + Number(total.losses ?? 0) + Number(total.ties ?? 0);
+  return sum > 0 ? sum : null;
+}
+
+/** Snap count from a usage row (snap_counts array or a snaps field). */
+export function snapCount(row) {
+  if (!row) return null;
+  if (row.snap_counts != null) {
+    const arr = Array.isArray(row.snap_counts) ? row.snap_counts : [row.snap_counts];
+    return arr.reduce((a, b) => a + (Number(b) || 0), 0);
+  }
+  for (const v of [row.snaps, row.snap_count, row.totalSnaps]) {
+    if (v != null && !Number.isNaN(Number(v))) return Number(v);
+  }
+  return null;
+}
+
+/**
+ * Usage share (0–1) from a CFBD usage row: usage.overall when present, else
+ * snap counts over the team's games played. Null when the row has neither.
+ *
+ * @param {Object} row
+ * @param {number} [games=DEFAULT_GAMES] - team games played that season
+ */
+export function usageShare(row, games = DEFAULT_GAMES) {
+  if (!row) return null;
+  const reported = reportedUsage(row);
+  if (reported != null) return reported;
+  if (row.snap_counts) {
+    return Math.min(1, snapCount(row) / (SNAPS_PER_GAME * games));
+  }
+  return null;
+}
+
+/**
+ * Usage share for a player in one season. A rostered player missing from a non-empty
+ * usage list played no snaps (CFBD lists only players with snaps), so that is 0, not unknown.
+ * Null when there's no usage row and no usage list to be missing from.
+ *
+ * @param {Object|null} row - the player's usage row, if matched
+ * @param {Object} season
+ * @param {boolean} season.onRoster
+ * @param {Object[]} season.usageList
+ * @param {number} [season.games=DEFAULT_GAMES]
+ */
+export function seasonUsage(row, { onRoster, usageList, games = DEFAULT_GAMES }) {
+  const usage = usageShare(row, games);
+  if (usage == null && !row && onRoster && usageList.length) return 0;
+  return usage;
+}
+
+/** Usage share (0–1) as CFBD reported it, or null when usageShare would have to estimate it from snaps. */
+export function reportedUsage(row) {
+  for (const v of [row?.usg_overall, row?.usage_overall, row?.usageOverall, row?.usage?.overall, row?.usage]) {
+    if (v != null && typeof v !== 'object' && !Number.isNaN(Number(v))) {
+      return Number(v) > 1 ? Number(v) / 100 : Number(v);
+    }
+  }
+  return null;
+}
@@ -0,0 +1,91 @@
+/**
+ * Watchlist of players that `refresh` (or the server's refresh timer) re-scores,
+ * in a local JSON file keyed by CFBD athlete id. Each entry carries the alert
+ * settings for that player.
+ */
+
+import { WATCHLIST_PATH, ALERT_THRESHOLDS, ALERT_MOVE_POINTS } from '../config.js';
+import { InvalidWatchError, WatchNotFoundError } from './errors.js';
+import { createJsonStore } from './jsonStore.js';
+
+const file = createJsonStore(() => ({ players: {} }));
+
+function playerKey(playerId) {
+  const key = playerId != null ? String(playerId).trim() : '';
+  if (!key) throw new InvalidWatchError('A CFBD player id is required for the watchlist.');
+  return key;
+}
+
+function parseThresholds(value) {
+  const list = Array.isArray(value) ? value : String(value).split(',');
+  const thresholds = list.map(Number);
+  if (thresholds.some((t) => !Number.isFinite(t) || t <= 0 || t >= 100)) {
+    throw new InvalidWatchError(`Alert thresholds must be probabilities between 0 and 100 (got ${value}).`);
+  }
+  return [...new Set(thresholds)].sort((a, b) => a - b);
+}
+
+function parseMove(value) {
+  const n = Number(value);
+  if (!Number.isFinite(n) || n < 0 || n > 100) throw new InvalidWatchError(`moveBy must be 0–100 points (got ${value}).`);
+  return n;
+}
+
+/**
+ * All watched players, in the order they were added.
+ * @returns {Object[]}
+ */
+export function listWatchlist(path = WATCHLIST_PATH) {
+  return Object.values(file.load(path).players).sort((a, b) => a.addedAt.localeCompare(b.addedAt));
+}
+
+/** One watchlist entry, or null. */
+export function getWatch(playerId, path = WATCHLIST_PATH) {
+  return file.load(path).players[playerKey(playerId)] ?? null;
+}
+
+/**
+ * Add a player or update their entry. Unset alert settings fall back to the
+ * existing entry, then to CFB_ALERT_THRESHOLDS / CFB_ALERT_MOVE.
+ *
+ * @param {Object} entry
+ * @param {string|number} entry.playerId - CFBD athlete id
+ * @param {string} [entry.playerName]
+ * @param {string} [entry.team]
+ * @param {string} [entry.position]
+ * @param {number|null} [entry.year] - season to score (null = current season at refresh time)
+ * @param {number[]|string} [entry.thresholds] - probability cutoffs (0–100) that alert when crossed
+ * @param {number} [entry.moveBy] - alert when probability moves by at least this many points (0 = off)
+ * @param {string} [entry.note]
+ * @returns {Object} the stored entry
+ */
+export function upsertWatch(entry, path = WATCHLIST_PATH) {
+  const key = playerKey(entry?.playerId);
+  const store = file.load(path);
+  const existing = store.players[key];
+  const now = new Date().toISOString();
+  const next = {
+    playerId: key,
+    playerName: entry.playerName ?? existing?.playerName ?? null,
+    team: entry.team ?? existing?.team ?? null,
+    position: entry.position ?? existing?.position ?? null,
+    year: entry.year !== undefined ? (entry.year == null ? null : Number(entry.year)) : existing?.year ?? null,
+    thresholds: entry.thresholds != null ? parseThresholds(entry.thresholds) : existing?.thresholds ?? ALERT_THRESHOLDS,
+    moveBy: entry.moveBy != null ? parseMove(entry.moveBy) : existing?.moveBy ?? ALERT_MOVE_POINTS,
+    note: entry.note ?? existing?.note ?? null,
+    addedAt: existing?.addedAt ?? now,
+    updatedAt: now,
+  };
+  store.players[key] = next;
+  file.save(store, path);
+  return next;
+}
+
+/** Take a player off the watchlist (their score history is kept). */
+export function removeWatch(playerId, path = WATCHLIST_PATH) {
+  const key = playerKey(playerId);
+  const store = file.load(path);
+  if (!store.players[key]) throw new WatchNotFoundError(`Player ${key} is not on the watchlist.`);
+  delete store.players[key];
+  file.save(store, path);
+}
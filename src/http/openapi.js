@@ -0,0 +1,84 @@
+/**
+ * OpenAPI 3.1 document for the HTTP server, served at GET /openapi.json and
+ * built from the same route schemas the server validates against.
+ */
+
+import { readFileSync } from 'node:fs';
+import { fileURLToPath } from 'node:url';
+import { OPERATIONS, COMPONENTS, PATH_PARAMS } from './schemas.js';
+
+const ERROR_RESPONSES = {
+  400: 'Body is not valid JSON (malformed_request).',
+  404: 'Player, entry, profile or conference not found.',
+  409: 'Ambiguous player; `candidates` lists the matches.',
+  422: 'Invalid request (`errors` lists each field), an invalid value, or too little data to score in refuse mode.',
+  500: 'Unexpected server error.',
+  502: 'CFBD request failed (code cfbd_auth, cfbd_rate_limit, cfbd_upstream, ...).',
+};
+
+const ERROR_CONTENT = { 'application/json': { schema: { $ref: '#/components/schemas/Error' } } };
+
+let doc = null;
+
+function queryParameters(schema) {
+  return Object.entries(schema?.properties ?? {}).map(([name, s]) => {
+    const { description, ...rest } = s;
+    return { name, in: 'query', required: schema.required?.includes(name) ?? false, ...(description ? { description } : {}), schema: rest };
+  });
+}
+
+function pathParameters(path) {
+  return [...path.matchAll(/\{(\w+)\}/g)].map(([, name]) => ({
+    name, in: 'path', required: true, description: PATH_PARAMS[name], schema: { type: 'string' },
+  }));
+}
+
+function operationObject(id, op) {
+  const responses = {};
+  for (const [status, { description, schema }] of Object.entries(op.responses)) {
+    responses[status] = schema
+      ? { description, content: { 'application/json': { schema: { $ref: `#/components/schemas/${schema}` } } } }
+      : { description };
+  }
+  for (const status of [...(op.errors ?? []), 422, 500].sort()) {
+    responses[status] = { description: ERROR_RESPONSES[status], content: ERROR_CONTENT };
+  }
+  const out = {
+    operationId: id,
+    tags: [op.tag],
+    summary: op.summary,
+    ...(op.description ? { description: op.description } : {}),
+    parameters: [...pathParameters(op.path), ...queryParameters(op.query)],
+  };
+  if (op.body) {
+    const content = {};
+    for (const type of op.bodyTypes ?? ['application/json']) {
+      content[type] = { schema: type === 'application/json' ? op.body : { type: 'string', description: 'CSV with a header row.' } };
+    }
+    out.requestBody = { required: true, content };
+  }
+  out.responses = responses;
+  return out;
+}
+
+/** The OpenAPI document (built once). */
+export function buildOpenApi() {
+  if (doc) return doc;
+  const pkg = JSON.parse(readFileSync(fileURLToPath(new URL('../../package.json', import.meta.url)), 'utf8'));
+  const paths = {};
+  for (const [id, op] of Object.entries(OPERATIONS)) {
+    (paths[op.path] ??= {})[op.method] = operationObject(id, op);
+    if (op.aliasPath) (paths[op.aliasPath] ??= {})[op.method] = { ...operationObject(`${id}Alias`, op), deprecated: true, summary: `${op.summary} (alias of ${op.path})` };
+  }
+  doc = {
+    openapi: '3.1.0',
+    info: {
+      title: 'CFB Loyalty Index API',
+      version: pkg.version,
+      description: 'Transfer-portal probability scoring from CFBD data. Errors share one envelope: `{ error, code, status }` plus `errors`, `candidates` or `completeness` when relevant.',
+    },
+    paths,
+    components: { schemas: COMPONENTS },
+  };
+  return doc;
+}
@@ -0,0 +1,410 @@
+/**
+ * Every HTTP route with the schemas for its query string and JSON body. The
+ * server checks requests against them (validate.js) and /openapi.json is built
+ * from them (openapi.js), so the published contract is the one enforced.
+ */
+
+import { DEFAULT_WEIGHTS } from '../scoring/transferProbability.js';
+import { listFactors } from '../scoring/registry.js';
+import { LEVERS } from '../scoring/whatIf.js';
+import { OVERRIDE_FIELDS } from '../data/overrides.js';
+import { MAX_BATCH_ROWS } from '../reports/batch.js';
+import { SORT_FIELDS } from '../reports/leaderboard.js';
+import { MIN_COMPARE, MAX_COMPARE } from '../reports/compare.js';
+import { DEFAULT_SEASONS, DEFAULT_LIMIT } from '../reports/destinations.js';
+
+const unit = (description) => ({ type: 'number', minimum: 0, maximum: 1, description });
+const text = (description, maxLength = 200) => ({ type: 'string', maxLength, description });
+
+const YEAR = { type: 'integer', minimum: 1900, maximum: 2100, description: 'Season (default: the current year).' };
+const PLAYER_ID = { type: ['string', 'integer'], minLength: 1, maxLength: 40, description: 'CFBD athlete id.' };
+
+/** Fields that identify a player; a name (with or without team) or team + playerId. */
+const LOOKUP = {
+  year: YEAR,
+  team: { type: 'string', minLength: 1, maxLength: 100, description: 'School, e.g. "Ohio State".' },
+  playerName: { type: 'string', minLength: 1, maxLength: 100, description: 'Player name; without a team it is searched across FBS.' },
+  playerId: PLAYER_ID,
+  position: { type: 'string', maxLength: 10, description: 'Position hint for same-name players (e.g. "WR").' },
+  hometown: text('Hometown hint, "City, ST".', 100),
+};
+
+const OVERRIDE_DESCRIPTIONS = {
+  nilScore: 'NIL strength, 0 (none) to 1 (strong).',
+  socialSentiment: 'Social sentiment, 0 (content) to 1 (unhappy).',
+  distanceFromHighSchoolMiles: 'Miles from the player\'s high school.',
+};
+
+/** Manual inputs, from the override store's own ranges; `nullable` allows clearing on update. */
+function overrideValues(nullable = false) {
+  return Object.fromEntries(Object.entries(OVERRIDE_FIELDS).map(([field, { min, max }]) => [field, {
+    type: nullable ? ['number', 'null'] : 'number', minimum: min, maximum: max, description: OVERRIDE_DESCRIPTIONS[field],
+  }]));
+}
+
+const WEIGHTS = {
+  type: 'object',
+  properties: Object.fromEntries(Object.keys(DEFAULT_WEIGHTS).map((k) => [k, { type: 'number', minimum: 0 }])),
+  additionalProperties: false,
+  description: 'Custom factor weights (partial is fine), layered on `profile`; normalized to sum to 1.',
+};
+
+const PROFILE = { type: 'string', minLength: 1, maxLength: 40, description: 'Weight profile name (GET /api/profiles).' };
+
+const COMPLETENESS = {
+  minCompleteness: unit('Minimum data completeness (default CFB_MIN_COMPLETENESS).'),
+  onIncomplete: { type: 'string', enum: ['flag', 'refuse'], description: 'Below the minimum: flag the result, or refuse with 422.' },
+};
+
+/** Scorer inputs a caller may give directly (or to override aggregated values). */
+const RAW_INPUTS = {
+  playingTime: unit('Usage share.'),
+  playingTimePercentile: unit('Usage percentile within the position.'),
+  snapsPlayed: { type: 'number', minimum: 0, description: 'Season snaps.' },
+  snapsPercentile: unit('Snaps percentile within the position.'),
+  recruitingRank: unit('Recruiting rating, 0–1.'),
+  teamWinRate: unit('Team win rate.'),
+  usageChange: { type: 'number', minimum: -1, maximum: 1, description: 'Usage change from last season.' },
+  newcomerShare: unit('Share of lost usage taken by newcomers.'),
+  missedSeasons: { type: 'integer', minimum: 0, maximum: 10, description: 'Recent seasons without playing.' },
+  coachingChange: unit('Coaching change severity.'),
+  positionRoom: unit('Position room crowding.'),
+  productionPercentile: unit('Production-per-game percentile within the position.'),
+  expectationGap: { type: 'number', minimum: -1, maximum: 1, description: 'Talent-expected minus actual win rate.' },
+  classYear: { type: 'integer', minimum: 1, maximum: 6, description: 'Class year, 1 = freshman.' },
+  redshirted: { type: 'boolean', description: 'Has used a redshirt season.' },
+  eligibilityRemaining: { type: 'integer', minimum: 0, maximum: 5, description: 'Seasons of eligibility left after this one (default: from classYear).' },
+  draftEligible: { type: 'boolean', description: 'Three seasons out of high school (default: classYear >= 3).' },
+  gamesPlayed: { type: 'integer', minimum: 0, maximum: 20 },
+};
+// Inputs of local factors (CFB_FACTORS_DIR) can be passed the same way.
+for (const factor of listFactors()) {
+  for (const field of factor.inputs) RAW_INPUTS[field] ??= { type: 'number', description: `${factor.label} input.` };
+}
+
+const SOCIAL_TEXTS = {
+  socialText: text('Quote or post scored as socialSentiment when that is not given.', 20000),
+  socialTexts: { type: 'array', items: text(undefined, 20000), maxItems: 200, description: 'Several quotes/posts.' },
+};
+
+const LEVER_NAMES = Object.keys(LEVERS);
+
+const SOLVE = {
+  type: 'object',
+  required: ['field', 'target'],
+  properties: {
+    field: { type: 'string', enum: LEVER_NAMES },
+    target: { type: 'number', minimum: 0, maximum: 100, description: 'Probability to reach, 0–100.' },
+    goal: { type: 'string', enum: ['below', 'above'] },
+  },
+  additionalProperties: false,
+};
+
+const THRESHOLDS = {
+  anyOf: [
+    { type: 'array', items: { type: 'number', minimum: 0, maximum: 100 }, maxItems: 20 },
+    { type: 'string', pattern: '^\\s*\\d+(\\.\\d+)?(\\s*,\\s*\\d+(\\.\\d+)?)*\\s*$', 'x-pattern-message': 'must be comma-separated numbers, e.g. "50,70"' },
+  ],
+  description: 'an array of probabilities or a comma-separated list',
+};
+
+const NOTE = text('Free-text note.', 1000);
+
+const NO_PARAMS = { type: 'object', additionalProperties: false };
+
+function object(properties, extra = {}) {
+  return { type: 'object', properties, additionalProperties: false, ...extra };
+}
+
+/** Path parameter name → description, for /openapi.json. */
+export const PATH_PARAMS = {
+  team: 'School, URL-encoded (e.g. Ohio%20State).',
+  id: 'CFBD athlete id.',
+  overrideId: 'Override entry id.',
+  playerId: 'CFBD athlete id.',
+  name: 'Weight profile name.',
+};
+
+/**
+ * Route table. `query` and `body` are checked by the server; `responses` maps a
+ * success status to its description and (optionally) a component schema name;
+ * `errors` lists the error statuses the route can return besides 422 and 500.
+ */
+export const OPERATIONS = {
+  health: {
+    method: 'get', path: '/health', tag: 'Service', summary: 'Health check',
+    responses: { 200: { description: 'Service is up.' } },
+  },
+  openapi: {
+    method: 'get', path: '/openapi.json', tag: 'Service', summary: 'This OpenAPI document',
+    responses: { 200: { description: 'OpenAPI 3.1 description of the API.' } },
+  },
+  scorePlayerQuery: {
+    method: 'get', path: '/', tag: 'Scoring', summary: 'Score a player from CFBD data',
+    description: 'Returns JSON when `team` is given; without it the web UI is served.',
+    query: object({
+      team: LOOKUP.team, year: YEAR, player: LOOKUP.playerName, playerId: PLAYER_ID, position: LOOKUP.position,
+      hometown: LOOKUP.hometown, profile: PROFILE, ...COMPLETENESS,
+    }, { required: ['team'] }),
+    responses: { 200: { description: 'Score, factor breakdown and the aggregated input.', schema: 'ScoreResult' } },
+    errors: [404, 409, 502],
+  },
+  scorePlayer: {
+    method: 'post', path: '/api/score', aliasPath: '/score', tag: 'Scoring', summary: 'Score a player (lookup, overrides or raw inputs)',
+    description: 'Give a player lookup (playerName and/or team, or team + playerId) to score from CFBD data with any values in the body as overrides, or only raw scorer inputs to score them directly.',
+    body: object({ ...LOOKUP, ...overrideValues(), ...RAW_INPUTS, ...SOCIAL_TEXTS, ...COMPLETENESS, profile: PROFILE, weights: WEIGHTS }),
+    responses: { 200: { description: 'Score and factor breakdown.', schema: 'ScoreResult' } },
+    errors: [400, 404, 409, 502],
+  },
+  teamRisk: {
+    method: 'get', path: '/api/teams/{team}/risk', tag: 'Reports', summary: 'Full-roster transfer risk report',
+    query: object({ year: YEAR, thresholds: { ...THRESHOLDS.anyOf[1], description: 'Alert thresholds, e.g. 50,70.' }, profile: PROFILE }),
+    responses: { 200: { description: 'Every rostered player ranked by probability, with position-group summaries.' } },
+    errors: [404, 502],
+  },
+  leaderboard: {
+    method: 'get', path: '/api/leaderboard', tag: 'Reports', summary: 'Conference or national retention leaderboard',
+    description: 'Scores every rostered player on every team in a conference (or all FBS) and ranks programs by their Loyalty Index or another metric.',
+    query: object({
+      conference: { type: 'string', minLength: 1, maxLength: 50, description: 'Conference, e.g. SEC (default: all FBS).' },
+      year: YEAR,
+      highRisk: { type: 'number', minimum: 0, maximum: 100, description: 'Probability counted as high risk (default 60).' },
+      sort: { type: 'string', enum: Object.keys(SORT_FIELDS), description: 'Ranking metric; best program first (default loyaltyIndex).' },
+      format: { type: 'string', enum: ['json', 'csv'] },
+      profile: PROFILE,
+    }),
+    responses: { 200: { description: 'Ranked teams with per-program metrics, teams that could not be scored, and a summary.' } },
+    errors: [404, 502],
+  },
+  batch: {
+    method: 'post', path: '/api/score/batch', tag: 'Reports', summary: 'Score a list of players',
+    description: `A JSON array of rows, \`{ "players": [...] }\` with options, or CSV (Content-Type: text/csv). At most ${MAX_BATCH_ROWS} rows; each row succeeds or fails on its own.`,
+    query: object({ year: YEAR, format: { type: 'string', enum: ['json', 'csv'] }, profile: PROFILE, ...COMPLETENESS }),
+    body: {
+      anyOf: [
+        { type: 'array', items: { type: 'object' }, minItems: 1, maxItems: MAX_BATCH_ROWS },
+        object({
+          players: { type: 'array', items: { type: 'object' }, minItems: 1, maxItems: MAX_BATCH_ROWS },
+          year: YEAR, format: { type: 'string', enum: ['json', 'csv'] }, profile: PROFILE, weights: WEIGHTS, ...COMPLETENESS,
+        }, { required: ['players'] }),
+      ],
+      description: 'an array of player rows or { "players": [...] }',
+    },
+    bodyTypes: ['application/json', 'text/csv'],
+    responses: { 200: { description: 'Summary and one flattened row per player (JSON or CSV with format=csv).' } },
+    errors: [400],
+  },
+  compare: {
+    method: 'post', path: '/api/compare', tag: 'Scoring', summary: 'Compare two to six players side by side',
+    description: 'Players may be on different teams or in different seasons; all are scored with the same weights. Each player succeeds or fails on its own; `factors` lists every factor with each player\'s risk and contribution, largest difference first.',
+    body: object({
+      players: {
+        type: 'array',
+        items: object({ ...LOOKUP, ...overrideValues() }),
+        minItems: MIN_COMPARE,
+        maxItems: MAX_COMPARE,
+        description: 'Player lookups, with optional manual inputs per player.',
+      },
+      year: { ...YEAR, description: 'Season for players without a year (default: the current year).' },
+      profile: PROFILE,
+      weights: WEIGHTS,
+      ...COMPLETENESS,
+    }, { required: ['players'] }),
+    responses: { 200: { description: 'Per-player scores in input order, factors ranked by spread, and a summary.' } },
+    errors: [400],
+  },
+  whatIf: {
+    method: 'post', path: '/api/score/what-if', tag: 'Scoring', summary: 'What-if scenario, sensitivity and target solving',
+    description: 'Start from `input` (a scorer input, e.g. from POST /api/score) or a player lookup.',
+    body: object({
+      input: { type: 'object', description: 'Scorer input to start from.' },
+      changes: object(Object.fromEntries(LEVER_NAMES.map((k) => [k, { type: 'number' }]))),
+      sensitivity: {
+        anyOf: [
+          { type: 'boolean' },
+          object({ fields: { type: 'array', items: { type: 'string', enum: LEVER_NAMES } }, steps: { type: 'integer', minimum: 2, maximum: 101 } }),
+        ],
+        description: 'true or { fields, steps }',
+      },
+      solve: { anyOf: [SOLVE, { type: 'array', items: SOLVE, maxItems: 20 }], description: '{ field, target, goal } or a list of them' },
+      profile: PROFILE,
+      weights: WEIGHTS,
+      ...LOOKUP,
+    }),
+    responses: { 200: { description: 'Baseline, scenario and delta, plus levers, sensitivity and solutions when asked for.' } },
+    errors: [400, 404, 409, 502],
+  },
+  sentiment: {
+    method: 'post', path: '/api/sentiment', tag: 'Inputs', summary: 'Score quotes/posts as socialSentiment',
+    body: object({
+      text: text('Quote or post.', 20000),
+      texts: SOCIAL_TEXTS.socialTexts,
+      save: { type: 'boolean', description: 'Store the score as an override for playerId.' },
+      playerId: PLAYER_ID,
+      source: text('Override source.'), note: NOTE, author: text('Who recorded it.'), playerName: LOOKUP.playerName, team: LOOKUP.team,
+    }),
+    responses: { 200: { description: 'Sentiment score and matched phrases.' }, 201: { description: 'Scored and stored as an override.' } },
+    errors: [400],
+  },
+  listFactors: {
+    method: 'get', path: '/api/factors', tag: 'Weights', summary: 'Registered scoring factors',
+    description: 'Built-in factors and any local factor modules loaded from CFB_FACTORS_DIR, in breakdown order.',
+    responses: { 200: { description: 'Each factor\'s name, label, default weight, description and input fields.' } },
+  },
+  listOverrides: {
+    method: 'get', path: '/api/players/{id}/overrides', tag: 'Inputs', summary: 'Stored manual inputs for a player',
+    responses: { 200: { description: 'Entries (newest first) and the latest value per field.' } },
+  },
+  addOverride: {
+    method: 'post', path: '/api/players/{id}/overrides', tag: 'Inputs', summary: 'Store a manual input',
+    body: object({ ...overrideValues(), values: object(overrideValues()), source: text('Where the value came from.'), note: NOTE, author: text('Who recorded it.'), playerName: LOOKUP.playerName, team: LOOKUP.team }),
+    responses: { 201: { description: 'The stored entry.', schema: 'Override' } },
+    errors: [400],
+  },
+  updateOverride: {
+    method: 'put', path: '/api/players/{id}/overrides/{overrideId}', tag: 'Inputs', summary: 'Update a stored manual input',
+    body: object({ ...overrideValues(true), values: object(overrideValues(true)), source: text('Where the value came from.'), note: NOTE, author: text('Who recorded it.'), playerName: LOOKUP.playerName, team: LOOKUP.team }),
+    responses: { 200: { description: 'The updated entry.', schema: 'Override' } },
+    errors: [400, 404],
+  },
+  removeOverride: {
+    method: 'delete', path: '/api/players/{id}/overrides/{overrideId}', tag: 'Inputs', summary: 'Delete a stored manual input',
+    responses: { 204: { description: 'Deleted.' } },
+    errors: [404],
+  },
+  history: {
+    method: 'get', path: '/api/players/{id}/history', tag: 'Watchlist', summary: 'Score history',
+    query: object({
+      since: { type: 'string', format: 'date-time', description: 'Only snapshots at or after this date/time.' },
+      limit: { type: 'integer', minimum: 1, maximum: 10000, description: 'Keep only the most recent N.' },
+    }),
+    responses: { 200: { description: 'Snapshots and a { at, probability } series.' } },
+  },
+  destinations: {
+    method: 'get', path: '/api/players/{id}/destinations', tag: 'Reports', summary: 'Likely transfer destinations',
+    description: 'Ranks landing spots by past transfer-portal moves of similar players (position group, recruiting rating, origin conference tier), weighted toward schools near the player\'s hometown. Without `team`, the team and season come from the player\'s watchlist entry.',
+    query: object({
+      team: LOOKUP.team,
+      year: YEAR,
+      playerName: LOOKUP.playerName,
+      position: LOOKUP.position,
+      hometown: LOOKUP.hometown,
+      seasons: { type: 'integer', minimum: 1, maximum: 10, description: `Portal seasons to learn from, ending with \`year\` (default ${DEFAULT_SEASONS}).` },
+      limit: { type: 'integer', minimum: 1, maximum: 50, description: `Destinations to return (default ${DEFAULT_LIMIT}).` },
+      profile: PROFILE,
+    }),
+    responses: { 200: { description: 'The player\'s transfer probability and ranked destinations, each with its share, probability and the historical moves behind it.' } },
+    errors: [404, 409, 502],
+  },
+  listWatchlist: {
+    method: 'get', path: '/api/watchlist', tag: 'Watchlist', summary: 'Watched players with their last snapshot',
+    responses: { 200: { description: 'Watched players.' } },
+  },
+  addWatch: {
+    method: 'post', path: '/api/watchlist', tag: 'Watchlist', summary: 'Watch a player (scores them now)',
+    body: object({ ...LOOKUP, thresholds: THRESHOLDS, moveBy: { type: 'number', minimum: 0, maximum: 100 }, note: NOTE }),
+    responses: { 201: { description: 'The entry and its first snapshot.' } },
+    errors: [400, 404, 409, 502],
+  },
+  updateWatch: {
+    method: 'put', path: '/api/watchlist/{playerId}', tag: 'Watchlist', summary: 'Change alert settings',
+    body: object({ thresholds: THRESHOLDS, moveBy: { type: 'number', minimum: 0, maximum: 100 }, note: NOTE, year: { ...YEAR, type: ['integer', 'null'] } }),
+    responses: { 200: { description: 'The updated entry.' } },
+    errors: [400, 404],
+  },
+  removeWatch: {
+    method: 'delete', path: '/api/watchlist/{playerId}', tag: 'Watchlist', summary: 'Stop watching a player',
+    responses: { 204: { description: 'Removed.' } },
+    errors: [404],
+  },
+  refreshWatchlist: {
+    method: 'post', path: '/api/watchlist/refresh', tag: 'Watchlist', summary: 'Re-score every watched player now',
+    query: object({ year: YEAR }),
+    body: object({ year: YEAR }),
+    responses: { 200: { description: 'Per-player results and alerts.' } },
+    errors: [400, 502],
+  },
+  listProfiles: {
+    method: 'get', path: '/api/profiles', tag: 'Weights', summary: 'Weight profiles',
+    responses: { 200: { description: 'Built-in, bundled and saved profiles.' } },
+  },
+  saveProfile: {
+    method: 'post', path: '/api/profiles', tag: 'Weights', summary: 'Save a weight profile',
+    body: object({
+      name: { type: 'string', pattern: '^[a-z0-9][a-z0-9-]{0,39}$', 'x-pattern-message': 'must be 1–40 lowercase letters, digits or dashes' },
+      weights: WEIGHTS, base: PROFILE, description: text('What the profile is for.', 500),
+    }, { required: ['name'] }),
+    responses: { 201: { description: 'Created.' }, 200: { description: 'Replaced an existing saved profile.' } },
+    errors: [400, 404],
+  },
+  removeProfile: {
+    method: 'delete', path: '/api/profiles/{name}', tag: 'Weights', summary: 'Delete a saved weight profile',
+    responses: { 204: { description: 'Deleted.' } },
+    errors: [404],
+  },
+};
+
+/** Query schema for a route; routes without one accept no parameters. */
+export function querySchema(operation) {
+  return operation.query ?? NO_PARAMS;
+}
+
+/** Response component schemas referenced from OPERATIONS and the error envelope. */
+export const COMPONENTS = {
+  Error: {
+    type: 'object',
+    required: ['error', 'code', 'status'],
+    properties: {
+      error: { type: 'string', description: 'Human-readable message.' },
+      code: { type: 'string', description: 'Stable machine-readable code, e.g. invalid_request, player_not_found, cfbd_rate_limit.' },
+      status: { type: 'integer' },
+      errors: {
+        type: 'array',
+        description: 'Field-level problems (422 invalid_request).',
+        items: { type: 'object', properties: { field: { type: 'string' }, message: { type: 'string' } } },
+      },
+      candidates: { type: 'array', description: 'Matching players (409 ambiguous_player).', items: { type: 'object' } },
+      completeness: { type: 'object', description: 'Data completeness (422 insufficient_data).' },
+    },
+  },
+  ScoreResult: {
+    type: 'object',
+    properties: {
+      transferProbability: { type: ['number', 'null'], description: 'Transfer probability, 0–100, given the chance of graduating or declaring for the draft first. Reports rank on this.' },
+      unconditionedProbability: { type: 'number', description: 'The scorer\'s output before that adjustment: the factor score, or a trained model\'s prediction (then equal to transferProbability).' },
+      probability: { type: 'number', description: 'Alias of transferProbability.' },
+      band: { type: 'object', properties: { low: { type: 'number' }, high: { type: 'number' }, level: { type: 'number' } } },
+      completeness: { type: 'object', properties: { score: { type: 'number' }, defaulted: { type: 'array', items: { type: 'string' } }, estimated: { type: 'array', items: { type: 'string' } } } },
+      breakdown: {
+        type: 'object',
+        additionalProperties: {
+          type: 'object',
+          properties: { risk: { type: 'number' }, weight: { type: 'number' }, contribution: { type: 'number' }, source: { type: 'string', enum: ['api', 'override', 'estimated', 'defaulted'] }, note: { type: 'string' } },
+        },
+      },
+      model: { type: 'object', properties: { version: { type: 'string' } } },
+      outcomes: {
+        type: 'object',
+        description: 'Departure split into graduation (no eligibility left), NFL draft declaration and transfer, each 0–100 with its own breakdown; null probabilities when the class year is unknown.',
+        properties: {
+          eligibility: { type: 'object' },
+          graduation: { type: 'object', properties: { probability: { type: ['number', 'null'] }, breakdown: { type: 'object' } } },
+          draft: { type: 'object', properties: { probability: { type: ['number', 'null'] }, eligible: { type: ['boolean', 'null'] }, breakdown: { type: 'object' } } },
+          transfer: { type: 'object', properties: { probability: { type: 'number' }, conditional: { type: ['number', 'null'], description: 'Given eligibility left and no draft declaration; null for a trained model, whose probability is not rescaled.' }, eligibleShare: { type: 'number' }, eligibleShareRange: { type: 'object', description: 'Lowest and highest share when an unknown redshirt leaves eligibility uncertain.' }, note: { type: 'string' } } },
+          stay: { type: ['number', 'null'] },
+        },
+      },
+      input: { type: 'object', description: 'Aggregated scorer input (player lookups only).' },
+    },
+  },
+  Override: {
+    type: 'object',
+    properties: {
+      id: { type: 'string' },
+      playerId: { type: 'string' },
+      values: object(overrideValues()),
+      source: { type: 'string' }, note: { type: 'string' }, author: { type: 'string' },
+      createdAt: { type: 'string', format: 'date-time' }, updatedAt: { type: 'string', format: 'date-time' },
+    },
+  },
+};
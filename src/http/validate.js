@@ -0,0 +1,111 @@
+/**
+ * Request checking against the route schemas in schemas.js: the JSON Schema
+ * subset those schemas use (type, enum, ranges, lengths, pattern, properties,
+ * required, additionalProperties, items, anyOf), with field-level errors.
+ */
+
+import { InvalidRequestError, MalformedRequestError } from '../data/errors.js';
+
+function typeOf(value) {
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return 'array';
+  if (typeof value === 'number') return Number.isInteger(value) ? 'integer' : 'number';
+  return typeof value;
+}
+
+function matchesType(value, type) {
+  const actual = typeOf(value);
+  return (Array.isArray(type) ? type : [type]).some((t) => t === actual || (t === 'number' && actual === 'integer'));
+}
+
+function describeType(type) {
+  return (Array.isArray(type) ? type : [type]).map((t) => (t === 'null' ? 'null' : `a${/^[aeiou]/.test(t) ? 'n' : ''} ${t}`)).join(' or ');
+}
+
+/**
+ * Check a value against a schema.
+ * @param {Object} schema
+ * @param {*} value
+ * @param {string} [field] - path used in error entries, e.g. "weights.playingTime"
+ * @returns {{ field: string, message: string }[]} empty when valid
+ */
+export function validate(schema, value, field = '') {
+  const at = (message) => [{ field: field || '(body)', message }];
+  if (schema.anyOf) {
+    const branches = schema.anyOf.map((s) => validate(s, value, field));
+    if (branches.some((errors) => errors.length === 0)) return [];
+    const typed = schema.anyOf.findIndex((s) => !s.type || matchesType(value, s.type));
+    return typed === -1 ? at(schema.description ? `must be ${schema.description}` : 'has the wrong type') : branches[typed];
+  }
+  if (schema.type && !matchesType(value, schema.type)) return at(`must be ${describeType(schema.type)}`);
+  if (schema.enum && !schema.enum.includes(value)) return at(`must be one of: ${schema.enum.join(', ')}`);
+  if (typeof value === 'number') {
+    if (!Number.isFinite(value)) return at('must be a finite number');
+    if (schema.minimum != null && value < schema.minimum) return at(`must be at least ${schema.minimum}`);
+    if (schema.maximum != null && value > schema.maximum) return at(`must be at most ${schema.maximum}`);
+  }
+  if (typeof value === 'string') {
+    if (schema.minLength != null && value.trim().length < schema.minLength) return at(schema.minLength === 1 ? 'must not be empty' : `must be at least ${schema.minLength} characters`);
+    if (schema.maxLength != null && value.length > schema.maxLength) return at(`must be at most ${schema.maxLength} characters`);
+    if (schema.pattern && !new RegExp(schema.pattern).test(value)) return at(schema['x-pattern-message'] ?? `must match ${schema.pattern}`);
+    if (schema.format === 'date-time' && Number.isNaN(Date.parse(value))) return at('must be a date (e.g. 2024-09-01) or ISO timestamp');
+  }
+  if (Array.isArray(value)) {
+    if (schema.minItems != null && value.length < schema.minItems) return at(`must have at least ${schema.minItems} item(s)`);
+    if (schema.maxItems != null && value.length > schema.maxItems) return at(`must have at most ${schema.maxItems} items`);
+    if (schema.items) return value.flatMap((item, i) => validate(schema.items, item, `${field}[${i}]`));
+  }
+  if (typeOf(value) === 'object' && (schema.properties || schema.additionalProperties !== undefined || schema.required)) {
+    const errors = [];
+    const prefix = field ? `${field}.` : '';
+    for (const key of schema.required ?? []) {
+      if (value[key] === undefined) errors.push({ field: `${prefix}${key}`, message: 'is required' });
+    }
+    for (const [key, v] of Object.entries(value)) {
+      if (v === undefined) continue;
+      const sub = schema.properties?.[key];
+      if (sub) errors.push(...validate(sub, v, `${prefix}${key}`));
+      else if (schema.additionalProperties === false) errors.push({ field: `${prefix}${key}`, message: 'is not a known field' });
+      else if (schema.additionalProperties) errors.push(...validate(schema.additionalProperties, v, `${prefix}${key}`));
+    }
+    return errors;
+  }
+  return [];
+}
+
+/** Throw InvalidRequestError (422) listing every field error. */
+export function assertValid(schema, value, where = 'body') {
+  const errors = validate(schema, value);
+  if (errors.length) {
+    const fields = [...new Set(errors.map((e) => e.field))].join(', ');
+    throw new InvalidRequestError(`Invalid request ${where}: ${fields}.`, { errors });
+  }
+  return value;
+}
+
+/**
+ * Query parameters as an object typed by the schema (numbers, integers and
+ * booleans converted; a value that doesn't convert is kept so validation names it),
+ * then checked. Unknown parameters are rejected when the schema says so.
+ */
+export function parseQuery(schema, searchParams) {
+  const query = {};
+  for (const [key, raw] of searchParams) {
+    const type = schema.properties?.[key]?.type;
+    const types = Array.isArray(type) ? type : [type];
+    let value = raw;
+    if ((types.includes('integer') || types.includes('number')) && raw.trim() !== '' && Number.isFinite(Number(raw))) value = Number(raw);
+    else if (types.includes('boolean') && (raw === 'true' || raw === 'false')) value = raw === 'true';
+    query[key] = value;
+  }
+  return assertValid(schema, query, 'query');
+}
+
+/** JSON.parse for a request body; an empty body is `{}`. */
+export function parseJsonBody(text) {
+  try {
+    return JSON.parse(text || '{}');
+  } catch (e) {
+    throw new MalformedRequestError(`Request body is not valid JSON: ${e.message}`);
+  }
+}
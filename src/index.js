@@ -6,38 +6,644 @@
  * Usage:
  *   node src/index.js [score] --year=2024 --team="Ohio State" [--player="Name"]
  *   node src/index.js score --year=2024 --team="Alabama" --nil=0.3 --social=0.7
+ *   node src/index.js team-report --year=2024 --team="Ohio State" [--thresholds=40,60]
+ *   node src/index.js leaderboard --year=2024 [--conference=SEC] [--high-risk=60] [--sort=expectedTransfers] [--out=board.csv]
+ *   node src/index.js destinations --team="Ohio State" --player="Name" [--year=2024] [--seasons=3] [--limit=10]
+ *   node src/index.js backtest --year=2022 [--conference=SEC | --team=Name] [--cutoffs=40,50,60] [--model=weights|active|path]
+ *   node src/index.js train --years=2020,2021,2022 [--conference=SEC] [--dry-run]
+ *   node src/index.js overrides list|add|update|remove --player-id=123 [--nil=0.4] [--social=0.7] [--id=<override id>]
+ *   node src/index.js watch list|add|remove [--player="Name" --team=Name | --player-id=123] [--thresholds=50,70] [--move=15]
+ *   node src/index.js refresh [--year=2024]
+ *   node src/index.js history --player-id=123 [--since=2024-09-01] [--limit=20]
+ *   node src/index.js what-if --team=Name --player="Name" [--set=playingTime=0.35,nilScore=0.8] [--solve=playingTime:40] [--sensitivity]
+ *   node src/index.js batch --in=players.csv [--out=scores.csv | --out=scores.json] [--year=2024]
+ *   node src/index.js sentiment --text="Entering the portal" [--text="..."] [--file=quotes.txt] [--player-id=123 --save]
+ *   node src/index.js profiles list|save|remove [--name=sec-wr --weights=playingTime=0.2,nilCollectives=0.1 --profile=base --description="..."]
+ *   node src/index.js factors   (registered factors, including local ones from CFB_FACTORS_DIR)
  *
  * Optional overrides (0–1 unless noted):
  *   --player=Name
+ *   --player-id=123 CFBD athlete id (exact match; use when a name is ambiguous)
+ *   --position=WR   Tie-breaker for namesakes
+ *   --hometown="Miami, FL"  Tie-breaker for namesakes
  *   --nil=0.5       NIL collective strength (1 = strong)
  *   --social=0.2    Social/quotes sentiment (1 = unhappy)
+ *   --social-text="..."  Quote/post text scored by the sentiment analyzer (when --social is not given)
  *   --distance=400  Miles from high school
+ *   --profile=qb-room  Named weight profile (score, team-report, leaderboard, destinations, batch, what-if)
+ *   --weights=playingTime=0.2,...  Custom weights on top of the profile (validated, normalized to sum to 1)
+ *   --min-completeness=0.6  Flag (or with --refuse-incomplete, refuse) results with less real data
+ *
+ * CFBD cache (any command):
+ *   --offline       Serve only from the on-disk cache / recorded fixtures (or CFBD_OFFLINE=1)
+ *   --record        Always fetch and save responses as replayable fixtures (or CFBD_RECORD=1)
+ *   --no-cache      Bypass the cache (or CFBD_NO_CACHE=1)
  */
 
 import { aggregatePlayerInput } from './data/aggregate.js';
 import { computeTransferProbability } from './scoring/transferProbability.js';
+import { buildTeamRiskReport } from './reports/teamRisk.js';
+import { buildLeaderboard, formatLeaderboard, HIGH_RISK, SORT_FIELDS } from './reports/leaderboard.js';
+import { predictDestinations, DEFAULT_SEASONS, DEFAULT_LIMIT } from './reports/destinations.js';
+import { runBacktest } from './reports/backtest.js';
+import { trainModel } from './training/train.js';
+import { setCacheMode } from './api/cache.js';
+import {
+  AmbiguousPlayerError, PlayerNotFoundError, InvalidOverrideError, OverrideNotFoundError, InvalidBatchError, InvalidWatchError, WatchNotFoundError,
+  InvalidScenarioError, InsufficientDataError, InvalidWeightsError, ProfileNotFoundError, InvalidRequestError, TeamsNotFoundError,
+} from './data/errors.js';
+import { MIN_COMPLETENESS, INCOMPLETE_MODE } from './config.js';
+import { listOverrides, addOverride, updateOverride, removeOverride } from './data/overrides.js';
+import { analyzeSentiment, summarizeMatches } from './sentiment/analyzer.js';
+import { parseBatchInput, scoreBatch, formatBatch } from './reports/batch.js';
+import { listWatchlist, removeWatch } from './data/watchlist.js';
+import { getHistory } from './data/history.js';
+import { refreshWatchlist, addToWatchlist } from './watch/refresh.js';
+import { analyzeScenario, LEVERS } from './scoring/whatIf.js';
+import { listProfiles, saveProfile, removeProfile, resolveWeights } from './scoring/profiles.js';
+import { listFactors } from './scoring/registry.js';
+import { readFileSync, writeFileSync } from 'fs';
+import { extname } from 'path';
+
+const COMMANDS = ['score', 'team-report', 'leaderboard', 'destinations', 'backtest', 'train', 'overrides', 'sentiment', 'batch', 'watch', 'refresh', 'history', 'what-if', 'profiles', 'factors'];
+const ACTIONS = { overrides: ['list', 'add', 'update', 'remove'], watch: ['list', 'add', 'remove'], profiles: ['list', 'save', 'remove'] };
+
+function parseNumberList(value) {
+  return value.split(',').map(Number).filter((n) => !Number.isNaN(n));
+}
+
+/** "playingTime=0.35,nilScore=0.8" → { playingTime: '0.35', nilScore: '0.8' } */
+function parseAssignments(value) {
+  return Object.fromEntries(value.split(',').map((pair) => pair.split('=').map((s) => s.trim())).filter(([k, v]) => k && v !== undefined));
+}
+
+/** "playingTime=0.2,seasonGap=0" → { playingTime: 0.2, seasonGap: 0 }; non-numbers stay strings so validation can name them. */
+function parseWeights(value) {
+  return Object.fromEntries(Object.entries(parseAssignments(value))
+    .map(([k, v]) => [k, v !== '' && Number.isFinite(Number(v)) ? Number(v) : v]));
+}
+
+/** "playingTime:40,nilScore:>60" → [{ field, target, goal }] (">" = reach at or above the target) */
+function parseSolveTargets(value) {
+  return value.split(',').map((item) => {
+    const [field, raw = ''] = item.split(':').map((s) => s.trim());
+    const above = raw.startsWith('>');
+    return { field, target: Number(raw.replace(/^[<>]/, '')), goal: above ? 'above' : 'below' };
+  });
+}
 
 function parseArgs() {
-  const args = process.argv.slice(2).filter((a) => a !== 'score');
-  const out = { year: new Date().getFullYear(), team: '' };
+  const argv = process.argv.slice(2);
+  const command = COMMANDS.includes(argv[0]) ? argv[0] : 'score';
+  const action = ACTIONS[command]?.includes(argv[1]) ? argv[1] : undefined;
+  const args = argv.filter((a, i) => !COMMANDS.includes(a) && !(action && i === 1));
+  const out = { command, action, year: new Date().getFullYear(), team: '', texts: [] };
   for (const a of args) {
-    const m = a.match(/^--(\w+)=(.+)$/);
+    const m = a.match(/^--([\w-]+)(?:=(.+))?$/);
     if (m) {
-      const [, key, value] = m;
+      const [, key, value = 'true'] = m;
       if (key === 'year') out.year = Number(value);
       else if (key === 'team') out.team = value;
       else if (key === 'player') out.playerName = value;
+      else if (key === 'player-id') out.playerId = value;
+      else if (key === 'position') out.position = value;
+      else if (key === 'hometown') out.hometown = value;
       else if (key === 'nil') out.nilScore = Number(value);
       else if (key === 'social') out.socialSentiment = Number(value);
       else if (key === 'distance') out.distanceFromHighSchoolMiles = Number(value);
+      else if (key === 'thresholds') out.thresholds = parseNumberList(value);
+      else if (key === 'cutoffs') out.cutoffs = parseNumberList(value);
+      else if (key === 'model') out.model = value;
+      else if (key === 'conference') out.conference = value;
+      else if (key === 'high-risk') out.highRisk = Number(value);
+      else if (key === 'sort') out.sort = value;
+      else if (key === 'years') out.years = parseNumberList(value);
+      else if (key === 'dry-run') out.dryRun = value !== 'false';
+      else if (key === 'offline') out.offline = value !== 'false';
+      else if (key === 'record') out.record = value !== 'false';
+      else if (key === 'no-cache') out.noCache = value !== 'false';
+      else if (key === 'id') out.overrideId = value;
+      else if (key === 'source') out.source = value;
+      else if (key === 'note') out.note = value;
+      else if (key === 'author') out.author = value;
+      else if (key === 'text' || key === 'social-text') out.texts.push(value);
+      else if (key === 'file') out.file = value;
+      else if (key === 'save') out.save = value !== 'false';
+      else if (key === 'in') out.in = value;
+      else if (key === 'out') out.out = value;
+      else if (key === 'format') out.format = value;
+      else if (key === 'move') out.moveBy = Number(value);
+      else if (key === 'since') out.since = value;
+      else if (key === 'limit') out.limit = Number(value);
+      else if (key === 'seasons') out.seasons = Number(value);
+      else if (key === 'set') out.changes = parseAssignments(value);
+      else if (key === 'solve') out.solve = parseSolveTargets(value);
+      else if (key === 'sensitivity') out.sensitivity = value !== 'false';
+      else if (key === 'profile') out.profile = value;
+      else if (key === 'weights') out.weights = parseWeights(value);
+      else if (key === 'name') out.name = value;
+      else if (key === 'description') out.description = value;
+      else if (key === 'min-completeness') out.minCompleteness = Number(value);
+      else if (key === 'refuse-incomplete') out.onIncomplete = value !== 'false' ? 'refuse' : 'flag';
     }
   }
   return out;
 }
 
+/** Scorer options for the completeness check: --min-completeness / --refuse-incomplete, else CFB_MIN_COMPLETENESS / CFB_INCOMPLETE_MODE. */
+function completenessOptions(opts) {
+  return { minCompleteness: opts.minCompleteness ?? MIN_COMPLETENESS, onIncomplete: opts.onIncomplete ?? INCOMPLETE_MODE };
+}
+
+/** Weights for --profile / --weights (throws on an unknown profile or invalid weights). */
+function scoringWeights(opts) {
+  return resolveWeights({ profile: opts.profile, weights: opts.weights });
+}
+
+/** "Data completeness: 0.67 (defaulted: nilCollectives, socialSentiment; estimated: distanceFromHome)" plus a flag line. */
+function formatCompleteness(c) {
+  const parts = [
+    c.defaulted.length ? `defaulted: ${c.defaulted.join(', ')}` : null,
+    c.estimated.length ? `estimated: ${c.estimated.join(', ')}` : null,
+  ].filter(Boolean);
+  const line = `Data completeness: ${c.score}${parts.length ? ` (${parts.join('; ')})` : ''}`;
+  return c.belowMinimum ? `${line}\nWarning: completeness is below the minimum ${c.minimum}; treat this probability with caution.` : line;
+}
+
+/** Eligibility line plus "Outcomes: transfer 30.1%, NFL draft 12.3%, graduation 0%, stay 57.6% – ..."; just the note when the class year is unknown. */
+function formatOutcomes(o) {
+  if (!o) return null;
+  if (o.graduation.probability == null) return `Outcomes: ${o.transfer.note}`;
+  const { eligibilityRemaining, eligibilityRange } = o.eligibility;
+  const eligibility = o.eligibility.note ?? `${eligibilityRemaining ?? `${eligibilityRange.min}–${eligibilityRange.max}`} season(s) of eligibility left`;
+  return `Eligibility: ${eligibility} [${o.eligibility.source}]\n`
+    + `Outcomes: transfer ${o.transfer.probability}%, NFL draft ${o.draft.probability}%, graduation ${o.graduation.probability}%, stay ${o.stay}%`
+    + ` – ${o.transfer.conditional != null ? `transfer is ${o.transfer.conditional}% given eligibility left and no draft declaration` : o.transfer.note}`;
+}
+
+async function runTeamReport(opts) {
+  if (!opts.team) {
+    console.log('Usage: node src/index.js team-report --team="Ohio State" [--year=2024] [--thresholds=40,60]');
+    process.exit(1);
+  }
+
+  const weights = scoringWeights(opts);
+  console.log('Fetching data from College Football Data API...');
+  const report = await buildTeamRiskReport({ ...opts, ...weights });
+  const { summary } = report;
+
+  console.log(`\n--- Transfer risk report: ${report.team} (${report.year}) ---`);
+  console.log(`Players: ${summary.count}  Mean: ${summary.meanProbability ?? '—'}%  Median: ${summary.medianProbability ?? '—'}%  Mean data completeness: ${summary.meanCompleteness ?? '—'}`);
+  console.log(formatCache(report._meta.cache));
+  printWarnings(report._meta.warnings);
+  for (const t of summary.thresholds) {
+    console.log(`  >= ${t}%: ${summary.aboveThreshold[t]}`);
+  }
+
+  console.log('\nBy position (count, mean):');
+  for (const [pos, s] of Object.entries(summary.byPosition)) {
+    console.log(`  ${pos.padEnd(4)} ${String(s.count).padStart(3)}  ${s.meanProbability}%`);
+  }
+
+  console.log('\nPlayers (highest risk first):');
+  for (const p of report.players) {
+    const top = Object.entries(p.breakdown).sort((a, b) => b[1].contribution - a[1].contribution)[0];
+    const exits = [p.draft ? `draft ${p.draft}%` : null, p.graduation ? `graduation ${p.graduation}%` : null].filter(Boolean);
+    console.log(`  ${String(p.probability).padStart(5)}%  ${(p.position || '').padEnd(4)} ${p.playerName}${top ? `  (top factor: ${top[0]})` : ''}${exits.length ? `  ${exits.join(', ')}` : ''}  [data ${p.completeness}]`);
+  }
+  console.log('');
+}
+
+async function runLeaderboard(opts) {
+  if (opts.sort && !(opts.sort in SORT_FIELDS)) {
+    console.log(`Usage: node src/index.js leaderboard [--conference=SEC] [--year=2024] [--high-risk=${HIGH_RISK}] [--sort=${Object.keys(SORT_FIELDS).join('|')}] [--out=board.csv|board.json]`);
+    process.exit(1);
+  }
+  const scoring = scoringWeights(opts);
+  // With --format and no --out the table goes to stdout, so progress goes to stderr.
+  const log = opts.format && !opts.out ? console.error : console.log;
+  log(`Scoring every rostered player in ${opts.conference || 'FBS'} (${opts.year})...`);
+  const board = await buildLeaderboard({
+    year: opts.year,
+    conference: opts.conference,
+    highRisk: opts.highRisk,
+    sort: opts.sort,
+    ...scoring,
+    onProgress: (done, total) => {
+      if (done % 10 === 0 || done === total) log(`  ${done}/${total} teams`);
+    },
+  });
+
+  if (opts.out || opts.format) {
+    const output = formatLeaderboard(board, fileFormat(opts.format, opts.out));
+    if (opts.out) {
+      writeFileSync(opts.out, output);
+      log(`Wrote ${opts.out}`);
+    } else {
+      process.stdout.write(output);
+    }
+  } else {
+    const { summary } = board;
+    console.log(`\n--- Retention leaderboard: ${board.conference ?? 'FBS'} (${board.year}), ranked by ${board.sort} ---`);
+    console.log(`Teams: ${summary.teams}  Players: ${summary.players}  Expected transfers: ${summary.expectedTransfers}  Loyalty Index: ${summary.loyaltyIndex ?? '—'}`);
+    console.log(formatCache(board._meta.cache));
+    console.log(`High risk: probability >= ${board.highRisk}%; starters are the top-usage players per position group.\n`);
+    const row = (cells) => `  ${cells[0].padStart(3)} ${cells[1].padEnd(22)} ${cells.slice(2).map((c, i) => c.padStart([7, 14, 18, 24, 14][i])).join('  ')}`;
+    console.log(row(['#', 'Team', 'Loyalty', 'Exp. transfers', 'High-risk starters', 'Recruiting value at risk', 'Talent at risk']));
+    for (const t of board.teams) {
+      const value = t.recruitingShareAtRisk != null ? `${t.recruitingValueAtRisk} (${Math.round(t.recruitingShareAtRisk * 1000) / 10}%)` : '—';
+      console.log(row([String(t.rank), t.team, String(t.loyaltyIndex), String(t.expectedTransfers), `${t.highRiskStarters}/${t.starters}`, value, String(t.talentAtRisk ?? '—')]));
+    }
+  }
+  if (board.failed.length) {
+    log(`\nNot ranked (${board.failed.length}):`);
+    for (const f of board.failed) log(`  ${f.team}: ${f.message}`);
+  }
+  if (board._meta.warnings.length) log(`Warnings: ${board._meta.warnings.length} (partial CFBD data; affected factors fell back to neutral values)`);
+  log('');
+}
+
+async function runDestinations(opts) {
+  if (!opts.team && !opts.playerName) {
+    console.log(`Usage: node src/index.js destinations --player="Name" [--team="Ohio State"] [--player-id=123] [--year=2024] [--seasons=${DEFAULT_SEASONS}] [--limit=${DEFAULT_LIMIT}]`);
+    process.exit(1);
+  }
+  console.log('Fetching player and transfer portal history from College Football Data API...');
+  const report = await predictDestinations({
+    year: opts.year,
+    team: opts.team || undefined,
+    playerName: opts.playerName,
+    playerId: opts.playerId,
+    position: opts.position,
+    hometown: opts.hometown,
+    seasons: opts.seasons,
+    limit: opts.limit,
+    ...scoringWeights(opts),
+  });
+  if (opts.out) {
+    writeFileSync(opts.out, JSON.stringify(report, null, 2) + '\n');
+    console.log(`Wrote ${opts.out}`);
+    return;
+  }
+
+  const { player, basis } = report;
+  const home = player.hometown ? [player.hometown.city, player.hometown.state].filter(Boolean).join(', ') : null;
+  console.log(`\n--- Likely destinations: ${player.playerName} (${player.position ?? '?'}) @ ${player.team} (${player.year}) ---`);
+  console.log(`Probability to transfer: ${player.probability}% (90% band ${player.band.low}–${player.band.high}%)`);
+  console.log(`Matched on: ${player.positionGroup ?? 'unknown position'}, rating ${player.rating ?? '?'}, ${player.tier ?? 'unknown'} tier${home ? `; hometown ${home}${basis.hometownEstimated ? ' (estimated)' : ''}` : ''}`);
+  console.log(`Portal seasons ${basis.seasons.join(', ')}: ${basis.similarMoves} similar of ${basis.moves} moves, ${basis.destinations} destinations`);
+  console.log(formatCache(report._meta.cache));
+  if (!report.destinations.length) console.log('\nNo similar past moves found; try more --seasons.');
+  for (const d of report.destinations) {
+    const where = [d.conference, d.milesFromHome != null ? `${d.milesFromHome} mi from home` : null].filter(Boolean).join(', ');
+    console.log(`\n  ${d.rank}. ${d.team}${where ? ` (${where})` : ''} – ${Math.round(d.share * 1000) / 10}% of destinations, ${d.probability}% overall, ${d.similarMoves} similar move(s)`);
+    for (const e of d.examples) {
+      console.log(`       ${e.season} ${e.playerName ?? '?'} (${e.position ?? '?'}${e.stars ? `, ${e.stars}★` : ''}) from ${e.origin} – similarity ${e.similarity}`);
+    }
+  }
+  if (report._meta.warnings.length) {
+    console.log(`\nWarnings (${report._meta.warnings.length}):`);
+    for (const w of report._meta.warnings) console.log(`  ${w.source}: [${w.code}] ${w.message}`);
+  }
+  console.log('');
+}
+
+async function runBacktestCommand(opts) {
+  console.log(`Backtesting ${opts.year} scores against ${opts.year + 1} portal entries...`);
+  const r = await runBacktest(opts);
+
+  console.log(`\n--- Backtest: season ${r.year} → portal ${r.portalYear} ---`);
+  console.log(`Model: ${r.model.version} (${r.model.type}${r.model.trainedOn ? `, trained on ${r.model.trainedOn.join(', ')}` : ''})`);
+  console.log(`Teams: ${r.teams}  Players: ${r.players}  Transfers: ${r.transfers}  Base rate: ${r.baseRate ?? '—'}`);
+  console.log(`AUC: ${r.auc ?? '—'}  Brier: ${r.brier ?? '—'}`);
+  console.log(formatCache(r._meta.cache));
+
+  console.log('\nCalibration (predicted bucket, count, mean predicted, observed rate):');
+  for (const b of r.calibration) {
+    if (!b.count) continue;
+    console.log(`  ${b.from.toFixed(1)}–${b.to.toFixed(1)}  ${String(b.count).padStart(5)}  ${b.meanPredicted}  ${b.observedRate}`);
+  }
+
+  console.log('\nPrecision / recall:');
+  for (const pr of r.precisionRecall) {
+    console.log(`  >= ${pr.cutoff}%: precision=${pr.precision ?? '—'}, recall=${pr.recall ?? '—'} (tp=${pr.truePositives}, fp=${pr.falsePositives}, fn=${pr.falseNegatives})`);
+  }
+  if (r.warnings.length) {
+    console.log(`\nWarnings (${r.warnings.length}):`);
+    for (const w of r.warnings) console.log(`  ${w}`);
+  }
+  console.log('');
+}
+
+async function runTrain(opts) {
+  const years = opts.years ?? [opts.year - 1];
+  console.log(`Building training set from seasons ${years.join(', ')} (labels: following-year portal)...`);
+  const { model, paths, warnings } = await trainModel({ ...opts, years });
+
+  console.log(`\n--- Trained model ${model.version} ---`);
+  console.log(`Samples: ${model.trainedOn.samples}  Transfers: ${model.trainedOn.positives}`);
+  console.log(`Training AUC: ${model.trainingMetrics.auc ?? '—'}  Brier: ${model.trainingMetrics.brier ?? '—'}`);
+  console.log(`Intercept: ${model.intercept}`);
+  console.log('Coefficients (log-odds per unit of factor risk):');
+  for (const [key, coef] of Object.entries(model.coefficients)) {
+    console.log(`  ${key}: ${coef}`);
+  }
+  if (paths) console.log(`\nSaved ${paths.path}\n  (version copy: ${paths.versionedPath})`);
+  else console.log('\nDry run: model not saved.');
+  if (warnings.length) console.log(`Warnings: ${warnings.length} (teams skipped or partial CFBD data)`);
+  console.log('');
+}
+
+function formatOverride(e) {
+  const values = Object.entries(e.values).map(([k, v]) => `${k}=${v}`).join(', ');
+  const by = [e.source && `source: ${e.source}`, e.author && `by ${e.author}`].filter(Boolean).join(', ');
+  return `  ${e.id}  ${e.updatedAt}  ${values}${by ? `  (${by})` : ''}${e.note ? `\n      ${e.note}` : ''}`;
+}
+
+function runOverrides(opts) {
+  const usage = `Usage:
+  node src/index.js overrides list --player-id=123
+  node src/index.js overrides add --player-id=123 [--nil=0.4] [--social=0.7] [--distance=400] [--source=On3] [--note="..."] [--author=Name]
+  node src/index.js overrides update --player-id=123 --id=<override id> [--nil=...] [--social=...] [--distance=...] [--source/--note/--author]
+  node src/index.js overrides remove --player-id=123 --id=<override id>`;
+  if (!opts.action || !opts.playerId || ((opts.action === 'update' || opts.action === 'remove') && !opts.overrideId)) {
+    console.log(usage);
+    process.exit(1);
+  }
+  const body = {
+    nilScore: opts.nilScore,
+    socialSentiment: opts.socialSentiment,
+    distanceFromHighSchoolMiles: opts.distanceFromHighSchoolMiles,
+    source: opts.source,
+    note: opts.note,
+    author: opts.author,
+  };
+  if (opts.action === 'list') {
+    const entries = listOverrides(opts.playerId);
+    console.log(`Stored overrides for player ${opts.playerId}: ${entries.length}`);
+    for (const e of entries) console.log(formatOverride(e));
+  } else if (opts.action === 'add') {
+    console.log(`Added:\n${formatOverride(addOverride(opts.playerId, body))}`);
+  } else if (opts.action === 'update') {
+    console.log(`Updated:\n${formatOverride(updateOverride(opts.playerId, opts.overrideId, body))}`);
+  } else {
+    removeOverride(opts.playerId, opts.overrideId);
+    console.log(`Removed ${opts.overrideId}`);
+  }
+}
+
+function formatWeights(weights) {
+  return Object.entries(weights).map(([k, v]) => `${k}=${v}`).join(', ');
+}
+
+function runProfiles(opts) {
+  const usage = `Usage:
+  node src/index.js profiles list
+  node src/index.js profiles save --name=sec-wr --weights=playingTime=0.2,nilCollectives=0.12 [--profile=qb-room] [--description="..."]
+  node src/index.js profiles remove --name=sec-wr`;
+  if (!opts.action || (opts.action !== 'list' && !opts.name)) {
+    console.log(usage);
+    process.exit(1);
+  }
+  if (opts.action === 'list') {
+    for (const p of listProfiles()) {
+      console.log(`${p.name}${p.builtIn ? ' (built-in)' : ''}${p.description ? ` – ${p.description}` : ''}`);
+      console.log(`  ${formatWeights(p.weights)}`);
+    }
+  } else if (opts.action === 'save') {
+    const { profile, created } = saveProfile({ name: opts.name, weights: opts.weights, base: opts.profile, description: opts.description });
+    console.log(`${created ? 'Saved' : 'Updated'} profile ${profile.name} (weights normalized to sum to 1):\n  ${formatWeights(profile.weights)}`);
+  } else {
+    removeProfile(opts.name);
+    console.log(`Removed profile ${opts.name}`);
+  }
+}
+
+function runFactors() {
+  for (const f of listFactors()) {
+    console.log(`${f.name} – ${f.label}, weight ${f.weight}${f.builtIn ? '' : ` (local: ${f.origin})`}`);
+    console.log(`  inputs: ${f.inputs.join(', ')}${f.description ? `\n  ${f.description}` : ''}`);
+  }
+}
+
+/** Texts from --text / --social-text plus --file (one quote or post per blank-line-separated block). */
+function collectTexts(opts) {
+  const texts = [...opts.texts];
+  if (opts.file) texts.push(...readFileSync(opts.file, 'utf8').split(/\n\s*\n/).filter((t) => t.trim()));
+  return texts;
+}
+
+function runSentiment(opts) {
+  const texts = collectTexts(opts);
+  if (texts.length === 0 || (opts.save && !opts.playerId)) {
+    console.log(`Usage:
+  node src/index.js sentiment --text="Entering the transfer portal" [--text="..."] [--file=quotes.txt]
+  node src/index.js sentiment --file=quotes.txt --player-id=123 --save [--author=Name]   Store the score as socialSentiment`);
+    process.exit(1);
+  }
+  const result = analyzeSentiment(texts);
+  console.log(`socialSentiment: ${result.score} (signal ${result.signal} from ${result.texts} text(s); 1 = signals leaving, 0 = signals staying)`);
+  if (result.matches.length === 0) console.log('No transfer-signal phrases found – neutral.');
+  for (const m of result.matches) {
+    const from = result.texts > 1 ? `  [text ${m.textIndex + 1}]` : '';
+    console.log(`  ${m.weight > 0 ? '+' : ''}${Math.round(m.weight * 100) / 100}  "${m.text}" (${m.category}${m.negated ? ', negated' : ''})${from}`);
+  }
+  if (opts.save) {
+    const entry = addOverride(opts.playerId, {
+      socialSentiment: result.score,
+      source: opts.source ?? 'sentiment-analyzer',
+      note: opts.note ?? (summarizeMatches(result.matches) || 'no transfer-signal phrases'),
+      author: opts.author,
+    });
+    console.log(`\nStored:\n${formatOverride(entry)}`);
+  }
+}
+
+/** csv or json: --format, else the file extension, else csv. */
+function fileFormat(format, path) {
+  if (format === 'json' || format === 'csv') return format;
+  return path && extname(path).toLowerCase() === '.json' ? 'json' : 'csv';
+}
+
+async function runBatch(opts) {
+  if (!opts.in) {
+    console.log(`Usage: node src/index.js batch --in=players.csv [--out=scores.csv | --out=scores.json] [--format=csv|json] [--year=2024]
+  Columns: name (or player), team, year, optional player_id, position, hometown, nil, social, distance, social_text`);
+    process.exit(1);
+  }
+  const rows = parseBatchInput(readFileSync(opts.in, 'utf8'), fileFormat(null, opts.in));
+  // With no --out the results go to stdout, so progress and the summary go to stderr.
+  const log = opts.out ? console.log : console.error;
+  log(`Scoring ${rows.length} player(s) from ${opts.in}...`);
+  const batch = await scoreBatch(rows, {
+    year: opts.year,
+    ...completenessOptions(opts),
+    ...scoringWeights(opts),
+    onProgress: (done, total) => {
+      if (done % 25 === 0 || done === total) log(`  ${done}/${total}`);
+    },
+  });
+  const output = formatBatch(batch, fileFormat(opts.format, opts.out));
+  if (opts.out) writeFileSync(opts.out, output);
+  else process.stdout.write(output);
+
+  const { summary } = batch;
+  log(`\nScored ${summary.scored} of ${summary.total}; ${summary.failed} failed${summary.failed ? ` (${Object.entries(summary.errors).map(([code, n]) => `${code}: ${n}`).join(', ')})` : ''}`);
+  if (summary.belowMinimum) log(`${summary.belowMinimum} scored row(s) flagged below the minimum data completeness`);
+  for (const r of batch.results.filter((x) => !x.ok)) {
+    log(`  row ${r.row} ${r.query.playerName ?? ''}${r.query.team ? ` (${r.query.team})` : ''}: ${r.error.message}`);
+  }
+  log(formatCache(batch._meta.cache));
+  if (opts.out) log(`Wrote ${opts.out}`);
+}
+
+async function runWatch(opts) {
+  if (!opts.action || (opts.action === 'add' && !opts.playerName && !opts.playerId) || (opts.action === 'remove' && !opts.playerId)) {
+    console.log(`Usage:
+  node src/index.js watch list
+  node src/index.js watch add --player="Name" [--team=Name] [--player-id=123] [--thresholds=50,70] [--move=15] [--note="..."]
+  node src/index.js watch remove --player-id=123`);
+    process.exit(1);
+  }
+  if (opts.action === 'list') {
+    const entries = listWatchlist();
+    console.log(`Watchlist: ${entries.length} player(s)`);
+    for (const w of entries) {
+      const last = getHistory(w.playerId, { limit: 1 }).snapshots[0];
+      console.log(`  ${String(w.playerId).padEnd(9)} ${w.playerName ?? '?'} (${w.team ?? '?'})  last: ${last ? `${last.probability}% at ${last.at}` : '—'}  alerts: cross ${w.thresholds.join('/')}%, move ${w.moveBy || 'off'}`);
+    }
+  } else if (opts.action === 'add') {
+    console.log('Fetching data from College Football Data API...');
+    const { watch, snapshot } = await addToWatchlist(opts);
+    console.log(`Watching ${watch.playerName} [id ${watch.playerId}] @ ${watch.team}: ${snapshot.probability}% (alerts: cross ${watch.thresholds.join('/')}%, move ${watch.moveBy || 'off'})`);
+  } else {
+    removeWatch(opts.playerId);
+    console.log(`Removed ${opts.playerId} from the watchlist (history kept)`);
+  }
+}
+
+async function runRefresh(opts) {
+  console.log('Re-scoring watchlist...');
+  const { results, alerts, delivery, _meta } = await refreshWatchlist({ year: opts.year });
+  for (const r of results) {
+    if (!r.ok) console.log(`  ${r.playerName ?? r.playerId}: failed – ${r.error.message}`);
+    else console.log(`  ${String(r.probability).padStart(5)}%  ${r.playerName} (${r.team})${r.previous != null ? `  was ${r.previous}%` : ''}`);
+  }
+  console.log(`\n${results.length} player(s), ${alerts.length} alert(s)${delivery.delivered.length ? ` sent to ${delivery.delivered.join(', ')}` : ''}`);
+  for (const f of delivery.failed) console.log(`  alert delivery to ${f.channel} failed: ${f.message}`);
+  console.log(formatCache(_meta.cache));
+}
+
+function runHistory(opts) {
+  if (!opts.playerId) {
+    console.log('Usage: node src/index.js history --player-id=123 [--since=2024-09-01] [--limit=20]');
+    process.exit(1);
+  }
+  const history = getHistory(opts.playerId, { since: opts.since, limit: opts.limit });
+  console.log(`Score history for ${history.playerName ?? opts.playerId}${history.team ? ` (${history.team})` : ''}: ${history.snapshots.length} snapshot(s)`);
+  for (const s of history.snapshots) {
+    console.log(`  ${s.at}  ${String(s.probability).padStart(5)}%  ${s.year} ${s.team ?? ''}  [${s.source}, ${s.model}]`);
+  }
+}
+
+async function runWhatIf(opts) {
+  if ((!opts.team && !opts.playerName && !opts.playerId) || (!opts.changes && !opts.solve && !opts.sensitivity)) {
+    console.log(`Usage: node src/index.js what-if --team=Name --player="Name" [--set=playingTime=0.35,nilScore=0.8] [--solve=playingTime:40] [--sensitivity]
+  --set=input=value,...   Inputs to change (${Object.keys(LEVERS).join(', ')})
+  --solve=input:target    Value of one input that brings the probability under target% (input:>target for at/above)
+  --sensitivity           Probability swing of each input over its range`);
+    process.exit(1);
+  }
+  const { weights, profile } = scoringWeights(opts);
+  console.log('Fetching data from College Football Data API...');
+  const base = await aggregatePlayerInput(opts);
+  const out = analyzeScenario(base, { changes: opts.changes, sensitivity: opts.sensitivity, solve: opts.solve, weights, options: { profile } });
+
+  console.log(`\n--- What if: ${base._meta.playerName} @ ${base._meta.team} (${base._meta.year}) ---`);
+  console.log(`Base probability: ${out.base.probability}%`);
+  if (Object.keys(out.applied).length) {
+    const changed = Object.entries(out.applied).map(([k, v]) => `${k} ${v.from ?? '?'} → ${v.to}`).join(', ');
+    console.log(`Scenario (${changed}): ${out.scenario.probability}% (${out.delta > 0 ? '+' : ''}${out.delta} points)`);
+    for (const [key, d] of Object.entries(out.factorDeltas)) console.log(`  ${key}: risk ${d.from} → ${d.to}`);
+  }
+  for (const note of out.notes) console.log(`  note: ${note}`);
+  for (const s of out.solutions ?? []) console.log(`Solve ${s.field} for ${s.goal} ${s.target}%: ${s.note}`);
+  if (out.sensitivity) {
+    console.log('\nSensitivity (probability over each input\'s range, others fixed; largest swing first):');
+    for (const row of out.sensitivity) {
+      const first = row.points[0];
+      const last = row.points[row.points.length - 1];
+      console.log(`  ${row.field.padEnd(28)} swing ${String(row.swing).padStart(5)}  ${first.value} → ${first.probability}%  …  ${last.value} → ${last.probability}%  (current ${row.current != null ? Math.round(row.current * 1000) / 1000 : 'unknown'})`);
+    }
+  }
+  console.log('');
+}
+
+function printCandidates(err) {
+  console.error(`\n${err.message}\n`);
+  console.error('Candidates:');
+  for (const c of err.candidates.slice(0, 25)) {
+    const where = [c.team, c.position, c.hometown].filter(Boolean).join(', ');
+    console.error(`  ${c.name}${where ? ` (${where})` : ''}${c.id ? `  --player-id=${c.id}` : ''}`);
+  }
+  if (err.candidates.length > 25) console.error(`  ...and ${err.candidates.length - 25} more`);
+  console.error('');
+}
+
+function printWarnings(warnings) {
+  if (!warnings?.length) return;
+  console.log(`\nWarnings (${warnings.length}) – affected factors fell back to neutral values:`);
+  for (const w of warnings) console.log(`  ${w.source}: [${w.code}] ${w.message}`);
+}
+
+function formatDistance(d) {
+  if (!d || d.miles == null) return 'Distance from home: unknown (no hometown or campus location)';
+  const how = {
+    override: 'override',
+    'stored-override': 'stored override',
+    coordinates: 'computed from CFBD hometown coordinates',
+    gazetteer: `computed from ${d.hometown?.city}, ${d.hometown?.state}`,
+    'state-center': `ESTIMATED from ${d.hometown?.state} state center`,
+  }[d.method] ?? d.method;
+  return `Distance from home: ${d.miles} mi (${how})`;
+}
+
+function formatTrajectory(input) {
+  const seasons = input._meta?.trajectory?.seasons?.filter((s) => s.onRoster) ?? [];
+  if (seasons.length < 2) return 'Trajectory: no prior season on this team';
+  const pos = input._meta.position ?? '';
+  const line = seasons.slice().reverse()
+    .map((s) => `${s.year} ${s.usage != null ? `${Math.round(s.usage * 100)}%` : '?'}${s.depth ? ` (${pos}${s.depth})` : ''}`)
+    .join(' → ');
+  const notes = [];
+  if (input.newcomerShare) notes.push(`${Math.round(input.newcomerShare * 100)}% of lost usage to newcomers (${input._meta.trajectory.newcomers.join(', ')})`);
+  if (input.missedSeasons) notes.push(`${input.missedSeasons} season(s) without playing`);
+  return `Trajectory (usage, depth): ${line}${notes.length ? `; ${notes.join('; ')}` : ''}`;
+}
+
+function formatCache(cache) {
+  if (!cache) return '';
+  return `CFBD cache: ${cache.hits} hit(s), ${cache.misses} miss(es)${cache.offline ? ' [offline]' : ''}`;
+}
+
 async function main() {
   const opts = parseArgs();
-  if (!opts.team && !opts.playerName) {
+  setCacheMode({ offline: opts.offline, record: opts.record, disabled: opts.noCache });
+  if (opts.command === 'team-report') return runTeamReport(opts);
+  if (opts.command === 'leaderboard') return runLeaderboard(opts);
+  if (opts.command === 'destinations') return runDestinations(opts);
+  if (opts.command === 'backtest') return runBacktestCommand(opts);
+  if (opts.command === 'train') return runTrain(opts);
+  if (opts.command === 'overrides') return runOverrides(opts);
+  if (opts.command === 'sentiment') return runSentiment(opts);
+  if (opts.command === 'batch') return runBatch(opts);
+  if (opts.command === 'watch') return runWatch(opts);
+  if (opts.command === 'refresh') return runRefresh(opts);
+  if (opts.command === 'history') return runHistory(opts);
+  if (opts.command === 'what-if') return runWhatIf(opts);
+  if (opts.command === 'profiles') return runProfiles(opts);
+  if (opts.command === 'factors') return runFactors();
+  if (!opts.team && !opts.playerName && !opts.playerId) {
     console.log(`
 CFB Loyalty Index – transfer probability (0–100%)
 
@@ -45,14 +651,58 @@ Usage:
   node src/index.js --player="Marvin Harrison Jr" [--year=2024]
   node src/index.js --year=2024 --team="Ohio State" [--player="Name"]
   node src/index.js --team="Alabama" --nil=0.4 --social=0.6 --distance=900
+  node src/index.js team-report --team="Ohio State" [--year=2024] [--thresholds=40,60]
+  node src/index.js leaderboard --year=2024 [--conference=SEC] [--sort=expectedTransfers] [--out=board.csv]
+  node src/index.js destinations --team="Ohio State" --player="Name" [--year=2024] [--seasons=3] [--limit=10]
+  node src/index.js backtest --year=2022 [--conference=SEC | --team="Name"] [--cutoffs=40,50,60] [--model=weights|active|path]
+  node src/index.js train --years=2020,2021,2022 [--conference=SEC] [--dry-run]
+  node src/index.js overrides list|add|update|remove --player-id=123 [--nil=0.4 --social=0.7 --source=On3 --note="..." --author=Name]
+  node src/index.js sentiment --text="Entering the portal" [--text="..."] [--file=quotes.txt] [--player-id=123 --save]
+  node src/index.js batch --in=players.csv --out=scores.csv [--year=2024]
+  node src/index.js watch list|add|remove [--player="Name" --team=Name | --player-id=123] [--thresholds=50,70] [--move=15]
+  node src/index.js refresh [--year=2024]
+  node src/index.js history --player-id=123 [--since=2024-09-01] [--limit=20]
+  node src/index.js what-if --team=Name --player="Name" [--set=playingTime=0.35] [--solve=playingTime:40] [--sensitivity]
+  node src/index.js profiles list|save|remove [--name=sec-wr --weights=playingTime=0.2 --profile=base]
+  node src/index.js factors
 
 Options:
   --year=YYYY       Season year (default: current)
   --player="Name"   Player name (resolves team from API if team omitted)
   --team="Name"     School name (optional if player given)
+  --player-id=123   CFBD athlete id (use with --team when a name is ambiguous)
+  --position=WR     Tie-breaker when several players share a name
+  --hometown="Miami, FL"  Tie-breaker when several players share a name
   --nil=0.5         NIL strength 0–1 (1 = strong)
   --social=0.2      Social/quotes risk 0–1 (1 = unhappy)
-  --distance=400    Miles from high school (overrides API heuristic)
+  --social-text="..."  Score quotes/posts with the sentiment analyzer and use that as --social
+  --distance=400    Miles from high school (overrides hometown lookup)
+  --profile=qb-room Weight profile (see profiles list); the base profile for profiles save
+  --weights=playingTime=0.2,nilCollectives=0.1  Custom factor weights on top of the profile (normalized to sum to 1)
+  --name=sec-wr     Profile name (profiles save/remove); --description="..." describes it
+  --min-completeness=0.6  Flag results whose data completeness (0–1) is below this (score, batch)
+  --refuse-incomplete  Refuse to score below --min-completeness instead of flagging
+  --thresholds=40,60  Probability cutoffs counted in team-report; alert thresholds for watch add
+  --set=playingTime=0.35,nilScore=0.8  What-if input changes
+  --solve=playingTime:40  Solve one input for a probability target (input:>60 for at/above)
+  --sensitivity     What-if sensitivity table over each input's range
+  --move=15         Alert when a watched player's probability moves this many points (watch add)
+  --conference=SEC  Limit leaderboard / backtest to one conference (default: all FBS)
+  --high-risk=60    Probability counted as high risk in leaderboard
+  --sort=loyaltyIndex  Leaderboard ranking: loyaltyIndex, expectedTransfers, highRiskStarterShare, recruitingShareAtRisk, talentAtRisk
+  --seasons=3       Portal seasons destinations learns from, ending with --year
+  --cutoffs=40,50,60  Precision/recall cutoffs for backtest
+  --model=weights   Model graded by backtest: weights (default), active (trained model file) or a model file path
+  --years=2021,2022 Training seasons for train (labels from the following year's portal)
+  --dry-run         Fit and report without saving the model
+  --offline         Serve CFBD data only from the local cache / fixtures
+  --record          Fetch fresh CFBD data and save it as replayable fixtures
+  --no-cache        Bypass the local CFBD cache
+  --id=<uuid>       Stored override id (overrides update/remove)
+  --source=On3 --note="..." --author=Name  Provenance saved with a stored override
+  --text="..."      Quote or post for sentiment (repeatable); --file=path reads blank-line-separated texts
+  --save            Store the sentiment score as the player's socialSentiment (needs --player-id)
+  --in=players.csv  Batch input (CSV or .json); --out=file writes batch or leaderboard results as CSV or JSON (by extension or --format=csv|json)
 
 Set CFBD_API_KEY in .env or key.env (default: 69420).
 API: https://api.collegefootballdata.com
@@ -60,21 +710,58 @@ API: https://api.collegefootballdata.com
     process.exit(1);
   }
 
+  const socialTexts = collectTexts(opts);
+  let sentiment = null;
+  if (opts.socialSentiment == null && socialTexts.length) {
+    sentiment = analyzeSentiment(socialTexts);
+    opts.socialSentiment = sentiment.score;
+  }
+
+  const { weights, profile } = scoringWeights(opts);
   console.log('Fetching data from College Football Data API...');
   const input = await aggregatePlayerInput(opts);
-  const result = computeTransferProbability(input);
+  if (sentiment) input.provenance.socialSentiment = 'estimated';
+  const result = computeTransferProbability(input, weights, { ...completenessOptions(opts), profile });
 
   console.log('\n--- Transfer probability ---');
-  console.log(`Player context: ${input._meta?.playerName || '(any)'} @ ${input._meta?.team} (${input._meta?.year})`);
-  console.log(`Probability to transfer (next 12 months): ${result.probability}%`);
-  console.log('\nFactor breakdown (risk 0–1, weight, contribution):');
+  console.log(`Player context: ${input._meta?.playerName || '(any)'}${input._meta?.playerId ? ` [id ${input._meta.playerId}]` : ''} @ ${input._meta?.team} (${input._meta?.year})`);
+  console.log(`Probability to transfer (next 12 months): ${result.transferProbability}% (90% band ${result.band.low}–${result.band.high}%)`);
+  console.log(formatCompleteness(result.completeness));
+  console.log(formatOutcomes(result.outcomes));
+  console.log(`Model: ${result.model.version} (${result.model.type})`);
+  console.log(formatDistance(input._meta?.distance));
+  console.log(formatTrajectory(input));
+  if (sentiment) console.log(`Social sentiment: ${sentiment.score} from ${sentiment.texts} text(s)${sentiment.matches.length ? ` – ${summarizeMatches(sentiment.matches)}` : ' – no signal phrases'}`);
+  for (const u of input._meta?.storedOverrides ?? []) {
+    console.log(`Stored override: ${u.field}=${u.value} (${[u.source, u.author, u.updatedAt].filter(Boolean).join(', ')})`);
+  }
+  console.log(formatCache(input._meta?.cache));
+  printWarnings(input._meta?.warnings);
+  console.log('\nFactor breakdown (risk 0–1, weight, contribution, source):');
   for (const [key, v] of Object.entries(result.breakdown)) {
-    console.log(`  ${key}: risk=${v.risk}, weight=${v.weight}, contribution=${v.contribution}`);
+    console.log(`  ${key}: risk=${v.risk}, weight=${v.weight}, contribution=${v.contribution} [${v.source}]${v.note ? ` – ${v.note}` : ''}`);
+  }
+  const draft = result.outcomes?.draft;
+  if (draft && Object.keys(draft.breakdown).length) {
+    console.log('\nDraft declaration score (score 0–1, weight, contribution, source):');
+    for (const [key, v] of Object.entries(draft.breakdown)) {
+      console.log(`  ${key}: score=${v.risk}, weight=${v.weight}, contribution=${v.contribution} [${v.source}]`);
+    }
   }
   console.log('');
 }
 
 main().catch((err) => {
+  if (err instanceof AmbiguousPlayerError) {
+    printCandidates(err);
+    process.exit(1);
+  }
+  if (err instanceof PlayerNotFoundError || err instanceof InvalidOverrideError || err instanceof OverrideNotFoundError || err instanceof InvalidBatchError
+    || err instanceof InvalidWatchError || err instanceof WatchNotFoundError || err instanceof InvalidScenarioError || err instanceof InsufficientDataError
+    || err instanceof InvalidWeightsError || err instanceof ProfileNotFoundError || err instanceof InvalidRequestError || err instanceof TeamsNotFoundError) {
+    console.error(err.message);
+    process.exit(1);
+  }
   console.error(err);
   process.exit(1);
 });
@@ -0,0 +1,130 @@
+/**
+ * Backtest: score every rostered player for season N using only season-N data,
+ * then check who actually entered the transfer portal in the following 12 months
+ * (CFBD portal season N+1) and report how well the probabilities separated them.
+ */
+
+import * as api from '../api/client.js';
+import { trackCacheUsage } from '../api/cache.js';
+import { aggregateTeamInputs } from '../data/aggregate.js';
+import { canonicalName, rowName } from '../data/identity.js';
+import { computeTransferProbability, DEFAULT_MODEL_VERSION } from '../scoring/transferProbability.js';
+import { loadModel } from '../scoring/model.js';
+import { auc, brierScore, calibrationBuckets, precisionRecallAt } from '../scoring/metrics.js';
+
+/** Probability cutoffs (0–100) reported for precision/recall by default. */
+export const DEFAULT_CUTOFFS = [40, 50, 60];
+
+function portalKey(team, name) {
+  return `${String(team || '').toLowerCase()}|${canonicalName(name)}`;
+}
+
+/**
+ * The model a backtest grades: 'weights' (the hand-picked weighted average, default),
+ * 'active' (the model file at CFB_MODEL_PATH) or a path to a model file. Never picked
+ * up implicitly, and a trained model can't be graded on a season it was fitted on.
+ *
+ * @returns {{ model: Object|false, summary: { version: string, type: string, trainedOn: number[]|null } }}
+ */
+function resolveBacktestModel(choice, year) {
+  if (!choice || choice === 'weights') {
+    return { model: false, summary: { version: DEFAULT_MODEL_VERSION, type: 'weighted-average', trainedOn: null } };
+  }
+  const model = choice === 'active' ? loadModel() : loadModel(choice);
+  if (!model) throw new Error(`No trained model found${choice === 'active' ? '' : ` at ${choice}`}; train one or use --model=weights.`);
+  const trainedOn = model.trainedOn?.years ?? [];
+  if (trainedOn.map(Number).includes(Number(year))) {
+    throw new Error(`Model ${model.version} was trained on ${trainedOn.join(', ')}; backtest a season it wasn't fitted on.`);
+  }
+  return { model, summary: { version: model.version, type: 'logistic', trainedOn } };
+}
+
+/**
+ * Resolve which teams to score: a single team, a conference, or all FBS teams.
+ */
+async function resolveTeams({ year, team, conference }) {
+  if (team) return [team];
+  const list = conference ? await api.getTeams(conference, year) : await api.getFbsTeams(year);
+  return (Array.isArray(list) ? list : []).map((t) => t.school || t.team).filter(Boolean);
+}
+
+/**
+ * Label scored players with their actual portal outcome for the following year.
+ *
+ * @param {Object} opts
+ * @param {number} opts.year - season N (data used for scoring)
+ * @param {string} [opts.team] - limit to one team
+ * @param {string} [opts.conference] - limit to one conference (default: all FBS)
+ * @returns {Promise<{ rows: Object[], teams: string[], warnings: string[] }>}
+ */
+export async function buildLabeledScores({ year, team, conference }) {
+  const teams = await resolveTeams({ year, team, conference });
+  // No fallback here: without portal data every label would silently be "stayed".
+  const portal = await api.getTransferPortal(year + 1);
+  const entered = new Set((Array.isArray(portal) ? portal : []).map((p) => portalKey(p.origin, rowName(p))));
+
+  const rows = [];
+  const warnings = [];
+  // Teams run one at a time to keep the request rate down.
+  for (const t of teams) {
+    let inputs;
+    try {
+      const aggregated = await aggregateTeamInputs({ year, team: t, historical: true });
+      inputs = aggregated.inputs;
+      warnings.push(...aggregated.warnings.map((w) => `${t}: ${w.source}: ${w.message}`));
+    } catch (e) {
+      warnings.push(`${t}: ${e.message}`);
+      continue;
+    }
+    for (const input of inputs) {
+      const { _meta, ...scoringInput } = input;
+      rows.push({
+        playerName: _meta.playerName,
+        position: _meta.position ?? null,
+        team: t,
+        input: scoringInput,
+        enteredPortal: entered.has(portalKey(t, _meta.playerName)),
+      });
+    }
+  }
+  return { rows, teams, warnings };
+}
+
+/**
+ * Run the backtest and compute evaluation metrics.
+ *
+ * @param {Object} opts
+ * @param {number} opts.year - season N
+ * @param {string} [opts.team]
+ * @param {string} [opts.conference]
+ * @param {number[]} [opts.cutoffs] - probability cutoffs (0–100) for precision/recall
+ * @param {string} [opts.model='weights'] - 'weights', 'active' or a model file path (see resolveBacktestModel)
+ * @returns {Promise<Object>} { year, portalYear, model, teams, players, transfers, baseRate, auc, brier, calibration, precisionRecall, warnings, _meta };
+ *   model is { version, type, trainedOn } of the model graded
+ */
+export async function runBacktest({ year, team, conference, cutoffs = DEFAULT_CUTOFFS, model: choice = 'weights' }) {
+  const { model, summary } = resolveBacktestModel(choice, year);
+  const { value, cache } = await trackCacheUsage(() => buildLabeledScores({ year, team, conference }));
+  const { rows, teams, warnings } = value;
+
+  // Graded on the unconditioned probability, the quantity `train` fits against the same labels.
+  const predictions = rows.map((r) => computeTransferProbability(r.input, {}, { model, outcomes: false }).unconditionedProbability / 100);
+  const outcomes = rows.map((r) => r.enteredPortal);
+  const transfers = outcomes.filter(Boolean).length;
+
+  return {
+    year,
+    portalYear: year + 1,
+    model: summary,
+    teams: teams.length,
+    players: rows.length,
+    transfers,
+    baseRate: rows.length ? Math.round((transfers / rows.length) * 10000) / 10000 : null,
+    auc: auc(predictions, outcomes),
+    brier: brierScore(predictions, outcomes),
+    calibration: calibrationBuckets(predictions, outcomes),
+    precisionRecall: cutoffs.map((c) => ({ ...precisionRecallAt(predictions, outcomes, c / 100), cutoff: c })),
+    warnings,
+    _meta: { cache: { hits: cache.hits, misses: cache.misses, offline: cache.offline } },
+  };
+}
@@ -0,0 +1,252 @@
+/**
+ * Batch scoring: a list of players (from a scouting spreadsheet as CSV or JSON)
+ * scored one row at a time, each with its own success or error result, plus a
+ * flattened one-row-per-player export with the full factor breakdown as columns.
+ */
+
+import { aggregatePlayerInput } from '../data/aggregate.js';
+import { trackCacheUsage } from '../api/cache.js';
+import { createLimiter } from '../api/limiter.js';
+import { InvalidBatchError } from '../data/errors.js';
+import { computeTransferProbability } from '../scoring/transferProbability.js';
+import { analyzeSentiment } from '../sentiment/analyzer.js';
+import { parseCsv, toCsv } from './csv.js';
+
+/** Most rows accepted in one batch. */
+export const MAX_BATCH_ROWS = 500;
+
+/** Rows scored at once; CFBD requests are further limited by CFBD_CONCURRENCY. */
+const ROW_CONCURRENCY = 4;
+
+/** Input column → accepted header spellings (compared lowercase, without spaces/punctuation). */
+const COLUMN_ALIASES = {
+  playerName: ['name', 'player', 'playername', 'athlete'],
+  team: ['team', 'school'],
+  year: ['year', 'season'],
+  playerId: ['playerid', 'id', 'athleteid', 'cfbdid'],
+  position: ['position', 'pos'],
+  hometown: ['hometown'],
+  nilScore: ['nil', 'nilscore'],
+  socialSentiment: ['social', 'socialsentiment', 'sentiment'],
+  distanceFromHighSchoolMiles: ['distance', 'distancefromhighschoolmiles', 'distancemiles', 'miles'],
+  socialText: ['socialtext', 'quote', 'quotes'],
+};
+
+const NUMERIC_COLUMNS = { year: [1900, 2100], nilScore: [0, 1], socialSentiment: [0, 1], distanceFromHighSchoolMiles: [0, 10000] };
+
+const ALIAS_TO_COLUMN = new Map(
+  Object.entries(COLUMN_ALIASES).flatMap(([column, aliases]) => aliases.map((a) => [a, column]))
+);
+
+function headerKey(header) {
+  return String(header).toLowerCase().replace(/[^a-z0-9]/g, '');
+}
+
+/** Name / team / year as written in the row, for labelling a row that failed validation. */
+function rawQuery(row) {
+  const query = { playerName: null, team: null, year: null };
+  for (const [header, raw] of Object.entries(row && typeof row === 'object' ? row : {})) {
+    const column = ALIAS_TO_COLUMN.get(headerKey(header));
+    if (column in query && raw != null && String(raw).trim() !== '') query[column] = String(raw).trim();
+  }
+  return query;
+}
+
+/**
+ * Read batch rows from CSV or JSON text. JSON may be an array or `{ players: [...] }`.
+ *
+ * @param {string} text
+ * @param {'csv'|'json'} format
+ * @returns {Object[]} raw rows (keys as in the file)
+ */
+export function parseBatchInput(text, format) {
+  let rows;
+  if (format === 'json') {
+    let json;
+    try {
+      json = JSON.parse(text);
+    } catch (e) {
+      throw new InvalidBatchError(`Batch input is not valid JSON: ${e.message}`);
+    }
+    rows = Array.isArray(json) ? json : json?.players;
+    if (!Array.isArray(rows)) throw new InvalidBatchError('JSON batch input must be an array of players or { "players": [...] }.');
+  } else {
+    rows = parseCsv(text).rows;
+  }
+  return validateBatchSize(rows);
+}
+
+/** Throws unless rows is a non-empty array of at most MAX_BATCH_ROWS. */
+export function validateBatchSize(rows) {
+  if (!Array.isArray(rows) || rows.length === 0) throw new InvalidBatchError('Batch input has no player rows.');
+  if (rows.length > MAX_BATCH_ROWS) throw new InvalidBatchError(`Batch input has ${rows.length} rows; the limit is ${MAX_BATCH_ROWS}.`);
+  return rows;
+}
+
+/**
+ * One raw row → aggregatePlayerInput options. Blank cells are ignored; bad numbers throw.
+ * @param {Object} row
+ * @param {number} defaultYear - used when the row has no year
+ */
+export function normalizeBatchRow(row, defaultYear) {
+  if (row == null || typeof row !== 'object' || Array.isArray(row)) throw new InvalidBatchError('Row must be an object.');
+  const out = {};
+  for (const [header, raw] of Object.entries(row)) {
+    const column = ALIAS_TO_COLUMN.get(headerKey(header));
+    if (!column || raw == null || String(raw).trim() === '') continue;
+    if (column in NUMERIC_COLUMNS) {
+      const [min, max] = NUMERIC_COLUMNS[column];
+      const n = Number(raw);
+      if (!Number.isFinite(n) || n < min || n > max) throw new InvalidBatchError(`${header} must be a number from ${min} to ${max} (got ${raw}).`);
+      out[column] = n;
+    } else {
+      out[column] = String(raw).trim();
+    }
+  }
+  if (!out.playerName && out.playerId == null) throw new InvalidBatchError('Row needs a player name or player id.');
+  if (!out.playerName && !out.team) throw new InvalidBatchError('A row with only a player id also needs a team.');
+  out.year ??= defaultYear;
+  return out;
+}
+
+async function scoreRow(row, index, defaultYear, teamContexts, scoring) {
+  const base = { row: index + 1 };
+  let opts;
+  try {
+    opts = normalizeBatchRow(row, defaultYear);
+    const { socialText, ...lookup } = opts;
+    let sentiment = null;
+    if (lookup.socialSentiment == null && socialText) {
+      sentiment = analyzeSentiment(socialText.split(/\n\s*\n/));
+      lookup.socialSentiment = sentiment.score;
+    }
+    const input = await aggregatePlayerInput(lookup, { teamContexts });
+    const { _meta, ...scoringInput } = input;
+    if (sentiment) scoringInput.provenance.socialSentiment = 'estimated';
+    const result = computeTransferProbability(scoringInput, scoring.weights, scoring);
+    return {
+      ...base,
+      ok: true,
+      query: { playerName: opts.playerName ?? null, team: opts.team ?? null, year: opts.year },
+      playerId: _meta.playerId ?? null,
+      playerName: _meta.playerName,
+      team: _meta.team,
+      year: _meta.year,
+      position: _meta.position ?? null,
+      probability: result.transferProbability,
+      band: result.band,
+      completeness: result.completeness,
+      model: result.model,
+      breakdown: result.breakdown,
+      sentiment: sentiment && { score: sentiment.score, matches: sentiment.matches.map((m) => m.text) },
+      warnings: _meta.warnings ?? [],
+    };
+  } catch (e) {
+    return {
+      ...base,
+      ok: false,
+      query: opts ? { playerName: opts.playerName ?? null, team: opts.team ?? null, year: opts.year } : rawQuery(row),
+      error: { message: e.message, code: e.code ?? null, candidates: e.candidates ?? undefined },
+    };
+  }
+}
+
+/**
+ * Score every row. A failing row (unknown or ambiguous player, bad value, CFBD
+ * error, too little data when refusing incomplete results) gets an error result;
+ * the rest are still scored. Rows for the same team-season share one set of CFBD requests.
+ *
+ * @param {Object[]} rows - raw rows from parseBatchInput or a JSON request
+ * @param {Object} [opts]
+ * @param {number} [opts.year] - season for rows without a year (default: current)
+ * @param {number} [opts.minCompleteness] - flag (or refuse) rows with less data, as in computeTransferProbability
+ * @param {'flag'|'refuse'} [opts.onIncomplete]
+ * @param {Object} [opts.weights] - validated weights (see profiles.js resolveWeights)
+ * @param {string} [opts.profile] - profile name reported in the model version
+ * @param {(done: number, total: number) => void} [opts.onProgress]
+ * @returns {Promise<{ results: Object[], summary: Object, _meta: Object }>} results in input order
+ */
+export async function scoreBatch(rows, { year = new Date().getFullYear(), minCompleteness, onIncomplete, weights, profile, onProgress } = {}) {
+  validateBatchSize(rows);
+  const teamContexts = new Map();
+  const limit = createLimiter(ROW_CONCURRENCY);
+  let done = 0;
+  const { value: results, cache } = await trackCacheUsage(() => Promise.all(rows.map((row, i) => limit(async () => {
+    const result = await scoreRow(row, i, year, teamContexts, { minCompleteness, onIncomplete, weights, profile });
+    onProgress?.(++done, rows.length);
+    return result;
+  }))));
+  const errors = {};
+  for (const r of results) {
+    if (!r.ok) errors[r.error.code ?? 'error'] = (errors[r.error.code ?? 'error'] ?? 0) + 1;
+  }
+  const scored = results.filter((r) => r.ok).length;
+  return {
+    results,
+    summary: {
+      total: results.length,
+      scored,
+      failed: results.length - scored,
+      errors,
+      belowMinimum: results.filter((r) => r.completeness?.belowMinimum).length,
+    },
+    _meta: { cache: { hits: cache.hits, misses: cache.misses, offline: cache.offline } },
+  };
+}
+
+/**
+ * One flat record per result: status, the row's query, the match, probability and
+ * its band, data completeness, the error (if any) and
+ * `<factor>_risk|weight|contribution|source|note` columns.
+ * @returns {Object[]}
+ */
+export function flattenBatchResults(results) {
+  const factors = [...new Set(results.flatMap((r) => Object.keys(r.breakdown ?? {})))];
+  const withNotes = new Set(results.flatMap((r) => Object.entries(r.breakdown ?? {}).filter(([, v]) => v.note).map(([k]) => k)));
+  return results.map((r) => {
+    const flat = {
+      row: r.row,
+      status: r.ok ? 'ok' : 'error',
+      queryName: r.query?.playerName ?? null,
+      queryTeam: r.query?.team ?? null,
+      year: r.year ?? r.query?.year ?? null,
+      playerId: r.playerId ?? null,
+      playerName: r.playerName ?? null,
+      team: r.team ?? null,
+      position: r.position ?? null,
+      probability: r.probability ?? null,
+      bandLow: r.band?.low ?? null,
+      bandHigh: r.band?.high ?? null,
+      completeness: r.completeness?.score ?? null,
+      belowMinimum: r.completeness?.belowMinimum ?? null,
+      model: r.model?.version ?? null,
+      socialSentiment: r.sentiment?.score ?? null,
+      warnings: (r.warnings ?? []).map((w) => `${w.source}: ${w.code}`).join('; ') || null,
+      error: r.error?.message ?? null,
+      errorCode: r.error?.code ?? null,
+      candidates: (r.error?.candidates ?? [])
+        .map((c) => `${c.name}${c.id ? ` [${c.id}]` : ''}${c.position ? ` ${c.position}` : ''}${c.team ? ` (${c.team})` : ''}`)
+        .join('; ') || null,
+    };
+    for (const key of factors) {
+      const v = r.breakdown?.[key];
+      flat[`${key}_risk`] = v?.risk ?? null;
+      flat[`${key}_weight`] = v?.weight ?? null;
+      flat[`${key}_contribution`] = v?.contribution ?? null;
+      flat[`${key}_source`] = v?.source ?? null;
+      if (withNotes.has(key)) flat[`${key}_note`] = v?.note ?? null;
+    }
+    return flat;
+  });
+}
+
+/**
+ * Batch output as CSV text or a JSON document `{ summary, rows }`, both flattened.
+ * @param {{ results: Object[], summary: Object }} batch - from scoreBatch
+ * @param {'csv'|'json'} format
+ */
+export function formatBatch(batch, format) {
+  const rows = flattenBatchResults(batch.results);
+  if (format === 'json') return JSON.stringify({ summary: batch.summary, rows }, null, 2) + '\n';
+  return toCsv(rows);
+}
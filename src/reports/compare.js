@@ -0,0 +1,129 @@
+/**
+ * Side-by-side comparison: two to six players, possibly on different teams or in
+ * different seasons, scored with the same weights, with their factors lined up
+ * and ranked by how far apart the players are on each.
+ */
+
+import { aggregatePlayerInput } from '../data/aggregate.js';
+import { trackCacheUsage } from '../api/cache.js';
+import { InvalidRequestError } from '../data/errors.js';
+import { computeTransferProbability } from '../scoring/transferProbability.js';
+
+/** Fewest and most players in one comparison. */
+export const MIN_COMPARE = 2;
+export const MAX_COMPARE = 6;
+
+/** Factors flagged as the main differences. */
+const HIGHLIGHTS = 3;
+
+function round(n, places = 2) {
+  const f = 10 ** places;
+  return Math.round(n * f) / f;
+}
+
+/** Throws unless every entry names a player (name, or team + playerId). */
+function checkEntries(players) {
+  if (!Array.isArray(players) || players.length < MIN_COMPARE || players.length > MAX_COMPARE) {
+    throw new InvalidRequestError(`Compare ${MIN_COMPARE} to ${MAX_COMPARE} players.`, {
+      errors: [{ field: 'players', message: `must have ${MIN_COMPARE} to ${MAX_COMPARE} items` }],
+    });
+  }
+  const errors = [];
+  players.forEach((p, i) => {
+    if (!p?.playerName && p?.playerId == null) errors.push({ field: `players[${i}].playerName`, message: 'a player name or playerId is required' });
+    else if (!p.playerName && !p.team) errors.push({ field: `players[${i}].team`, message: 'is required with only a playerId' });
+  });
+  if (errors.length) throw new InvalidRequestError('Every player to compare needs a name, or a team and playerId.', { errors });
+}
+
+async function scoreEntry(entry, index, year, teamContexts, scoring) {
+  const query = { playerName: entry.playerName ?? null, team: entry.team ?? null, year: entry.year ?? year };
+  try {
+    const input = await aggregatePlayerInput({ ...entry, year: query.year }, { teamContexts });
+    const { _meta, ...scoringInput } = input;
+    const result = computeTransferProbability(scoringInput, scoring.weights, scoring);
+    return {
+      index,
+      ok: true,
+      query,
+      playerId: _meta.playerId ?? null,
+      playerName: _meta.playerName,
+      team: _meta.team,
+      year: _meta.year,
+      position: _meta.position ?? null,
+      probability: result.transferProbability,
+      band: result.band,
+      completeness: result.completeness,
+      model: result.model,
+      breakdown: result.breakdown,
+      warnings: _meta.warnings ?? [],
+    };
+  } catch (e) {
+    return { index, ok: false, query, error: { message: e.message, code: e.code ?? null, candidates: e.candidates ?? undefined } };
+  }
+}
+
+/**
+ * Every factor across the scored players, largest difference first. The spread is
+ * the gap between the highest and lowest contribution (then risk), so the top
+ * factors are the ones that move these players' probabilities apart the most.
+ */
+function compareFactors(scored) {
+  const keys = [...new Set(scored.flatMap((p) => Object.keys(p.breakdown)))];
+  const factors = keys.map((factor) => {
+    const values = scored.map((p) => p.breakdown[factor] ?? null);
+    const risks = values.map((v) => v?.risk ?? 0);
+    const contributions = values.map((v) => v?.contribution ?? 0);
+    return {
+      factor,
+      riskSpread: round(Math.max(...risks) - Math.min(...risks)),
+      contributionSpread: round(Math.max(...contributions) - Math.min(...contributions)),
+      players: values.map((v, i) => ({
+        index: scored[i].index,
+        risk: v?.risk ?? null,
+        contribution: v?.contribution ?? null,
+        source: v?.source ?? null,
+      })),
+    };
+  });
+  factors.sort((a, b) => b.contributionSpread - a.contributionSpread || b.riskSpread - a.riskSpread || a.factor.localeCompare(b.factor));
+  factors.forEach((f, i) => { f.highlight = i < HIGHLIGHTS && (f.contributionSpread > 0 || f.riskSpread > 0); });
+  return factors;
+}
+
+/**
+ * Score each player and line their factors up. A player who can't be scored
+ * (unknown or ambiguous, CFBD error, too little data in refuse mode) gets an
+ * error entry; the rest are still compared. Players on the same team-season share
+ * one set of CFBD requests.
+ *
+ * @param {Object[]} players - lookups (playerName, team, year, playerId, position, hometown) with optional nilScore, socialSentiment, distanceFromHighSchoolMiles
+ * @param {Object} [opts]
+ * @param {number} [opts.year] - season for players without a year (default: current)
+ * @param {number} [opts.minCompleteness]
+ * @param {'flag'|'refuse'} [opts.onIncomplete]
+ * @param {Object} [opts.weights] - validated weights (see profiles.js resolveWeights)
+ * @param {string} [opts.profile] - profile name reported in the model version
+ * @returns {Promise<{ players: Object[], factors: Object[], summary: Object, _meta: Object }>} players in input order
+ */
+export async function comparePlayers(players, { year = new Date().getFullYear(), minCompleteness, onIncomplete, weights, profile } = {}) {
+  checkEntries(players);
+  const teamContexts = new Map();
+  const scoring = { minCompleteness, onIncomplete, weights, profile };
+  const { value: results, cache } = await trackCacheUsage(() => Promise.all(players.map((p, i) => scoreEntry(p, i, year, teamContexts, scoring))));
+  const scored = results.filter((r) => r.ok);
+  const byProbability = [...scored].sort((a, b) => b.probability - a.probability);
+  const pick = (r) => r ? { index: r.index, playerName: r.playerName, team: r.team, year: r.year, probability: r.probability } : null;
+  return {
+    players: results,
+    factors: scored.length >= MIN_COMPARE ? compareFactors(scored) : [],
+    summary: {
+      compared: scored.length,
+      failed: results.length - scored.length,
+      highest: pick(byProbability[0]),
+      lowest: pick(byProbability[byProbability.length - 1]),
+      probabilitySpread: scored.length ? round(byProbability[0].probability - byProbability[byProbability.length - 1].probability, 1) : null,
+    },
+    _meta: { cache: { hits: cache.hits, misses: cache.misses, offline: cache.offline }, profile: profile ?? null },
+  };
+}
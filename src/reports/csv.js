@@ -0,0 +1,68 @@
+/**
+ * Minimal RFC 4180 CSV reading and writing (quoted fields, embedded commas,
+ * quotes and newlines, CRLF, BOM) for batch input and report output.
+ */
+
+/**
+ * Parse CSV text into row objects keyed by the header row. Blank lines are skipped.
+ * @returns {{ headers: string[], rows: Object[] }}
+ */
+export function parseCsv(text) {
+  const records = [];
+  let record = [];
+  let field = '';
+  let quoted = false;
+  const src = String(text).replace(/^\uFEFF/, '');
+  for (let i = 0; i < src.length; i++) {
+    const c = src[i];
+    if (quoted) {
+      if (c === '"' && src[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (c === '"') {
+        quoted = false;
+      } else {
+        field += c;
+      }
+    } else if (c === '"') {
+      quoted = true;
+    } else if (c === ',') {
+      record.push(field);
+      field = '';
+    } else if (c === '\n' || c === '\r') {
+      if (c === '\r' && src[i + 1] === '\n') i++;
+      record.push(field);
+      records.push(record);
+      record = [];
+      field = '';
+    } else {
+      field += c;
+    }
+  }
+  if (field !== '' || record.length) {
+    record.push(field);
+    records.push(record);
+  }
+  const nonBlank = records.filter((r) => r.some((f) => f.trim() !== ''));
+  const headers = (nonBlank.shift() ?? []).map((h) => h.trim());
+  const rows = nonBlank.map((r) => Object.fromEntries(headers.map((h, i) => [h, r[i] ?? ''])));
+  return { headers, rows };
+}
+
+function csvField(value) {
+  if (value == null) return '';
+  const s = String(value);
+  return /[",\r\n]/.test(s) ? `"${s.replace(/"/g, '""')}"` : s;
+}
+
+/**
+ * CSV text for a list of flat objects.
+ * @param {Object[]} records
+ * @param {string[]} [columns] - column order (default: keys in order of first appearance)
+ */
+export function toCsv(records, columns) {
+  const cols = columns ?? [...new Set(records.flatMap((r) => Object.keys(r)))];
+  const lines = [cols.map(csvField).join(',')];
+  for (const r of records) lines.push(cols.map((c) => csvField(r[c])).join(','));
+  return lines.join('\n') + '\n';
+}
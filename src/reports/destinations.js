@@ -0,0 +1,217 @@
+/**
+ * Likely destinations for a player who may transfer: past transfer-portal moves
+ * (CFBD /player/portal) by players like them – same position group, similar
+ * rating, leaving a program of the same conference tier – counted per landing
+ * school, weighted toward schools near the player's hometown, with the moves
+ * behind each ranking.
+ */
+
+import * as api from '../api/client.js';
+import { trackCacheUsage } from '../api/cache.js';
+import { CfbdAuthError, CfbdUpstreamError } from '../api/errors.js';
+import { aggregatePlayerInput } from '../data/aggregate.js';
+import { findCampus, haversineMiles, locateHometown } from '../data/distance.js';
+import { rowName } from '../data/identity.js';
+import { positionGroup } from '../data/positionRoom.js';
+import { computeTransferProbability } from '../scoring/transferProbability.js';
+
+/** Portal seasons looked back over by default, ending with the scored season. */
+export const DEFAULT_SEASONS = 3;
+
+/** Destinations returned by default. */
+export const DEFAULT_LIMIT = 10;
+
+/** Weight of each similarity component (sums to 1). */
+const SIMILARITY = { position: 0.45, rating: 0.3, tier: 0.25 };
+
+/** Past moves less similar than this are ignored. */
+const MIN_SIMILARITY = 0.6;
+
+/** Rating gap (0–1 scale) at which rating similarity reaches 0. */
+const RATING_SPAN = 0.25;
+
+/** Distance from the hometown (miles) beyond which a school gets no proximity boost. */
+const PROXIMITY_MILES = 1500;
+
+/** Historical moves listed per destination. */
+const EXAMPLES = 5;
+
+const POWER_CONFERENCES = new Set(['SEC', 'Big Ten', 'Big 12', 'ACC', 'Pac-12']);
+const POWER_INDEPENDENTS = new Set(['notre dame']);
+const TIER_RANK = { power: 2, 'group-of-5': 1, fcs: 0 };
+
+function round(n, places = 3) {
+  const f = 10 ** places;
+  return Math.round(n * f) / f;
+}
+
+/**
+ * Conference tier of a school: 'power', 'group-of-5' (other FBS) or 'fcs' (a
+ * bundled FCS campus); null when unknown.
+ * @param {Map<string, string|null>} fbs - lowercase school → conference
+ */
+function conferenceTier(team, fbs) {
+  const key = String(team ?? '').toLowerCase();
+  if (fbs.has(key)) return POWER_CONFERENCES.has(fbs.get(key)) || POWER_INDEPENDENTS.has(key) ? 'power' : 'group-of-5';
+  return findCampus(team)?.division === 'fcs' ? 'fcs' : null;
+}
+
+/** 0–1 rating of a portal row: its transfer rating, else stars / 5. */
+function portalRating(row) {
+  const rating = Number(row.rating);
+  if (rating > 0 && rating <= 1) return rating;
+  const stars = Number(row.stars);
+  return stars >= 1 && stars <= 5 ? stars / 5 : null;
+}
+
+/**
+ * How much a past move looks like this player's, 0–1: same position group,
+ * rating within RATING_SPAN, same origin tier (one tier apart counts half).
+ * Unknown components count as half a match; with both positions known, a move at
+ * another position can't reach MIN_SIMILARITY.
+ */
+function similarity(player, move) {
+  const position = player.group && move.group ? (player.group === move.group ? 1 : 0) : 0.5;
+  const rating = player.rating != null && move.rating != null
+    ? Math.max(0, 1 - Math.abs(player.rating - move.rating) / RATING_SPAN)
+    : 0.5;
+  const tier = player.tier && move.originTier
+    ? 1 - Math.abs(TIER_RANK[player.tier] - TIER_RANK[move.originTier]) / 2
+    : 0.5;
+  return SIMILARITY.position * position + SIMILARITY.rating * rating + SIMILARITY.tier * tier;
+}
+
+/** Past portal moves with a destination, over `seasons` seasons ending at `year`. */
+async function portalHistory(year, seasons, warnings) {
+  const years = Array.from({ length: seasons }, (_, i) => year - i);
+  const results = await Promise.all(years.map((y) => api.getTransferPortal(y).then(
+    (rows) => ({ year: y, rows: Array.isArray(rows) ? rows : [] }),
+    (err) => {
+      if (err instanceof CfbdAuthError) throw err;
+      warnings.push({ source: `portal ${y}`, code: err.code ?? 'error', status: err.status ?? null, message: err.message });
+      return null;
+    }
+  )));
+  if (results.every((r) => r == null)) {
+    throw new CfbdUpstreamError(`Transfer portal data for ${years.join(', ')} could not be fetched: ${warnings[0]?.message ?? 'unknown error'}`);
+  }
+  return results.filter(Boolean).flatMap(({ year: y, rows }) => rows
+    .filter((r) => r.destination && r.origin)
+    .map((r) => ({ ...r, season: r.season ?? y })));
+}
+
+/** FBS school → conference for tiering; empty (tiers from bundled campuses only) when the request fails. */
+async function fbsConferences(year, warnings) {
+  try {
+    const teams = await api.getFbsTeams(year);
+    return new Map((Array.isArray(teams) ? teams : []).map((t) => [String(t.school ?? t.team).toLowerCase(), t.conference ?? null]));
+  } catch (err) {
+    if (err instanceof CfbdAuthError) throw err;
+    warnings.push({ source: 'fbs teams', code: err.code ?? 'error', status: err.status ?? null, message: err.message });
+    return new Map();
+  }
+}
+
+/**
+ * Rank likely landing spots for one player.
+ *
+ * Each past move (other than into the player's own program) gets a similarity to
+ * the player; moves below MIN_SIMILARITY are dropped. A destination's weight is the
+ * sum of its moves' similarities, scaled by 0.5–1 with proximity to the player's
+ * hometown; `share` is its part of all destinations' weight and `probability` is
+ * the player's transfer probability × share.
+ *
+ * @param {Object} opts - player lookup (year, team, playerName, playerId, position, hometown)
+ * @param {number} [opts.seasons=DEFAULT_SEASONS] - portal seasons to learn from, ending with `year`
+ * @param {number} [opts.limit=DEFAULT_LIMIT]
+ * @param {Object} [opts.weights] - validated weights (see profiles.js resolveWeights)
+ * @param {string} [opts.profile]
+ * @returns {Promise<{ player: Object, destinations: Object[], basis: Object, _meta: Object }>}
+ */
+export async function predictDestinations({ seasons = DEFAULT_SEASONS, limit = DEFAULT_LIMIT, weights, profile, ...lookup }) {
+  const warnings = [];
+  const { value, cache } = await trackCacheUsage(async () => {
+    const input = await aggregatePlayerInput(lookup);
+    const [moves, fbs] = await Promise.all([portalHistory(lookup.year, seasons, warnings), fbsConferences(lookup.year, warnings)]);
+    return { input, moves, fbs };
+  });
+  const { input, moves, fbs } = value;
+  const { _meta, ...scoringInput } = input;
+  const result = computeTransferProbability(scoringInput, weights, { profile });
+
+  const home = locateHometown(_meta.distance?.hometown);
+  const player = {
+    group: positionGroup(_meta.position),
+    rating: input.recruitingRank != null ? Number(input.recruitingRank) : null,
+    tier: conferenceTier(_meta.team, fbs),
+  };
+
+  const byDestination = new Map();
+  let considered = 0;
+  for (const row of moves) {
+    if (String(row.destination).toLowerCase() === String(_meta.team).toLowerCase()) continue;
+    const move = { group: positionGroup(row.position), rating: portalRating(row), originTier: conferenceTier(row.origin, fbs) };
+    const score = similarity(player, move);
+    considered++;
+    if (score < MIN_SIMILARITY) continue;
+    const key = String(row.destination).toLowerCase();
+    if (!byDestination.has(key)) byDestination.set(key, { team: row.destination, weight: 0, moves: [] });
+    const dest = byDestination.get(key);
+    dest.weight += score;
+    dest.moves.push({
+      season: row.season,
+      playerName: rowName(row),
+      position: row.position ?? null,
+      origin: row.origin,
+      originTier: move.originTier,
+      stars: row.stars ?? null,
+      rating: move.rating,
+      similarity: round(score, 2),
+    });
+  }
+
+  const ranked = [...byDestination.values()].map((d) => {
+    const campus = findCampus(d.team);
+    const miles = home && campus ? Math.round(haversineMiles(home, campus)) : null;
+    const proximity = miles != null ? 1 - Math.min(miles, PROXIMITY_MILES) / PROXIMITY_MILES : 0.5;
+    return { ...d, miles, proximity, score: d.weight * (0.5 + 0.5 * proximity) };
+  });
+  const total = ranked.reduce((a, d) => a + d.score, 0);
+  ranked.sort((a, b) => b.score - a.score || b.moves.length - a.moves.length || a.team.localeCompare(b.team));
+
+  return {
+    player: {
+      playerId: _meta.playerId ?? lookup.playerId ?? null,
+      playerName: _meta.playerName,
+      team: _meta.team,
+      year: _meta.year,
+      position: _meta.position ?? null,
+      positionGroup: player.group,
+      rating: player.rating,
+      tier: player.tier,
+      hometown: _meta.distance?.hometown ?? null,
+      probability: result.transferProbability,
+      band: result.band,
+      model: result.model,
+    },
+    destinations: ranked.slice(0, limit).map((d, i) => ({
+      rank: i + 1,
+      team: d.team,
+      conference: fbs.get(d.team.toLowerCase()) ?? null,
+      tier: conferenceTier(d.team, fbs),
+      share: round(d.score / total),
+      probability: round((result.transferProbability * d.score) / total, 1),
+      similarMoves: d.moves.length,
+      milesFromHome: d.miles,
+      examples: d.moves.sort((a, b) => b.similarity - a.similarity || b.season - a.season).slice(0, EXAMPLES),
+    })),
+    basis: {
+      seasons: Array.from({ length: seasons }, (_, i) => lookup.year - i),
+      moves: considered,
+      similarMoves: ranked.reduce((a, d) => a + d.moves.length, 0),
+      destinations: ranked.length,
+      hometownEstimated: home?.estimated ?? null,
+    },
+    _meta: { cache: { hits: cache.hits, misses: cache.misses, offline: cache.offline }, warnings: [..._meta.warnings, ...warnings], profile: profile ?? null },
+  };
+}
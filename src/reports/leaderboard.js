@@ -0,0 +1,231 @@
+/**
+ * Retention leaderboard: every rostered player on every team in a conference
+ * (or all FBS) scored for a season, rolled up into per-program metrics — the
+ * Loyalty Index, expected transfers, high-risk starters and recruiting value at
+ * stake — and ranked.
+ */
+
+import * as api from '../api/client.js';
+import { trackCacheUsage } from '../api/cache.js';
+import { createLimiter } from '../api/limiter.js';
+import { CfbdAuthError } from '../api/errors.js';
+import { aggregateTeamInputs } from '../data/aggregate.js';
+import { TeamsNotFoundError, InvalidRequestError } from '../data/errors.js';
+import { positionGroup, STARTERS } from '../data/positionRoom.js';
+import { computeTransferProbability } from '../scoring/transferProbability.js';
+import { toCsv } from './csv.js';
+
+/** Probability (0–100) at or above which a player counts as high risk by default. */
+export const HIGH_RISK = 60;
+
+/** Metrics a leaderboard can be ranked by, and which direction is better. */
+export const SORT_FIELDS = {
+  loyaltyIndex: 'desc',
+  expectedTransfers: 'asc',
+  highRiskStarterShare: 'asc',
+  recruitingShareAtRisk: 'asc',
+  talentAtRisk: 'asc',
+};
+
+/** Teams scored at once; CFBD requests are further limited by CFBD_CONCURRENCY. */
+const TEAM_CONCURRENCY = 2;
+
+/** Highest-risk players listed per team. */
+const TOP_RISKS = 3;
+
+function round(n, places = 1) {
+  const f = 10 ** places;
+  return Math.round(n * f) / f;
+}
+
+/** Teams to score, with their conference: one conference, or every FBS team. */
+async function listTeams(year, conference) {
+  const list = conference ? await api.getTeams(conference, year) : await api.getFbsTeams(year);
+  const teams = (Array.isArray(list) ? list : [])
+    .map((t) => ({ team: t.school || t.team, conference: t.conference ?? conference ?? null }))
+    .filter((t) => t.team);
+  if (!teams.length) {
+    throw new TeamsNotFoundError(
+      conference ? `No teams found for conference "${conference}" in ${year}. Check the conference name (e.g. SEC, Big Ten, ACC).` : `No FBS teams found for ${year}.`,
+      { conference, year }
+    );
+  }
+  return teams;
+}
+
+/** Team → 247 talent composite for the season; missing when CFBD has none or the request fails. */
+async function talentByTeam(year, warnings) {
+  try {
+    const rows = await api.getTalent(year);
+    return new Map((Array.isArray(rows) ? rows : []).map((r) => [String(r.school ?? r.team).toLowerCase(), Number(r.talent)]));
+  } catch (err) {
+    if (err instanceof CfbdAuthError) throw err;
+    warnings.push({ team: null, source: 'talent', code: err.code ?? 'error', status: err.status ?? null, message: err.message });
+    return new Map();
+  }
+}
+
+/**
+ * Starters per position group: the players with the most usage, up to the group's
+ * typical starter count (positionRoom.js), among those who played at all.
+ * @returns {Set<Object>}
+ */
+function pickStarters(players) {
+  const starters = new Set();
+  const groups = new Map();
+  for (const p of players) {
+    if (!p.group || !(p.playingTime > 0)) continue;
+    if (!groups.has(p.group)) groups.set(p.group, []);
+    groups.get(p.group).push(p);
+  }
+  for (const [group, list] of groups) {
+    list.sort((a, b) => b.playingTime - a.playingTime).slice(0, STARTERS[group] ?? 1).forEach((p) => starters.add(p));
+  }
+  return starters;
+}
+
+/**
+ * Roll one team's scored players up into leaderboard metrics.
+ * Recruiting value is each player's recruiting rating (0–1); value at risk weights
+ * it by transfer probability, and talentAtRisk scales the share at risk to the
+ * team's talent composite.
+ */
+export function summarizeTeam(players, { highRisk = HIGH_RISK, talent = null } = {}) {
+  const count = players.length;
+  const sum = (list, f) => list.reduce((a, p) => a + f(p), 0);
+  const meanProbability = count ? round(sum(players, (p) => p.probability) / count) : null;
+  const starters = pickStarters(players);
+  const highRiskStarters = [...starters].filter((p) => p.probability >= highRisk);
+  const recruited = players.filter((p) => p.recruitingRating != null);
+  const recruitingValue = sum(recruited, (p) => p.recruitingRating);
+  const valueAtRisk = sum(recruited, (p) => p.recruitingRating * (p.probability / 100));
+  const recruitingShareAtRisk = recruitingValue > 0 ? round(valueAtRisk / recruitingValue, 3) : null;
+  return {
+    players: count,
+    loyaltyIndex: meanProbability != null ? round(100 - meanProbability) : null,
+    meanProbability,
+    expectedTransfers: round(sum(players, (p) => p.probability / 100)),
+    highRisk: players.filter((p) => p.probability >= highRisk).length,
+    starters: starters.size,
+    highRiskStarters: highRiskStarters.length,
+    highRiskStarterShare: starters.size ? round(highRiskStarters.length / starters.size, 3) : null,
+    recruitingValue: round(recruitingValue, 2),
+    recruitingValueAtRisk: round(valueAtRisk, 2),
+    recruitingShareAtRisk,
+    talent: Number.isFinite(talent) ? talent : null,
+    talentAtRisk: Number.isFinite(talent) && recruitingShareAtRisk != null ? round(talent * recruitingShareAtRisk) : null,
+    meanCompleteness: count ? round(sum(players, (p) => p.completeness) / count, 2) : null,
+    topRisks: [...players].sort((a, b) => b.probability - a.probability).slice(0, TOP_RISKS)
+      .map((p) => ({ playerName: p.playerName, position: p.position, probability: p.probability, starter: starters.has(p) })),
+  };
+}
+
+async function scoreTeam({ team, conference }, year, { weights, profile, shared }) {
+  const { inputs, warnings } = await aggregateTeamInputs({ year, team, shared });
+  const players = inputs.map((input) => {
+    const { _meta, ...scoringInput } = input;
+    const result = computeTransferProbability(scoringInput, weights, { profile });
+    return {
+      playerName: _meta.playerName,
+      position: _meta.position ?? null,
+      group: positionGroup(_meta.position),
+      playingTime: input.playingTime ?? 0,
+      recruitingRating: input.provenance.recruitingRank ? input.recruitingRank : null,
+      probability: result.transferProbability,
+      completeness: result.completeness.score,
+    };
+  });
+  return { team, conference, players, warnings };
+}
+
+/**
+ * Score every team in a conference (or all FBS) and rank the programs.
+ * A team whose data can't be fetched is listed in `failed` and left out of the
+ * ranking; a bad API key stops the whole run.
+ *
+ * @param {Object} opts
+ * @param {number} opts.year
+ * @param {string} [opts.conference] - e.g. "SEC" (default: all FBS)
+ * @param {number} [opts.highRisk=HIGH_RISK] - probability (0–100) counted as high risk
+ * @param {string} [opts.sort='loyaltyIndex'] - one of SORT_FIELDS; best program first
+ * @param {Object} [opts.weights] - validated weights (see profiles.js resolveWeights)
+ * @param {string} [opts.profile] - profile name reported in the model version
+ * @param {(done: number, total: number) => void} [opts.onProgress]
+ * @returns {Promise<{ year: number, conference: string|null, highRisk: number, sort: string, teams: Object[], failed: Object[], summary: Object, _meta: Object }>}
+ */
+export async function buildLeaderboard({ year, conference, highRisk = HIGH_RISK, sort = 'loyaltyIndex', weights, profile, onProgress }) {
+  if (!(sort in SORT_FIELDS)) {
+    throw new InvalidRequestError(`Unknown sort "${sort}". Use one of: ${Object.keys(SORT_FIELDS).join(', ')}.`, { errors: [{ field: 'sort', message: `must be one of: ${Object.keys(SORT_FIELDS).join(', ')}` }] });
+  }
+  const warnings = [];
+  const { value, cache } = await trackCacheUsage(async () => {
+    const teams = await listTeams(year, conference || undefined);
+    const talent = await talentByTeam(year, warnings);
+    const limit = createLimiter(TEAM_CONCURRENCY);
+    // Conference usage, records and stats, talent and the portal are fetched once for all teams.
+    const shared = new Map();
+    let done = 0;
+    const results = await Promise.all(teams.map((t) => limit(async () => {
+      try {
+        return await scoreTeam(t, year, { weights, profile, shared });
+      } catch (err) {
+        if (err instanceof CfbdAuthError) throw err;
+        return { ...t, error: { message: err.message, code: err.code ?? null } };
+      } finally {
+        onProgress?.(++done, teams.length);
+      }
+    })));
+    return { results, talent };
+  });
+
+  const ranked = [];
+  const failed = [];
+  for (const r of value.results) {
+    if (r.error) {
+      failed.push({ team: r.team, conference: r.conference, ...r.error });
+      continue;
+    }
+    warnings.push(...r.warnings.map((w) => ({ team: r.team, ...w })));
+    if (!r.players.length) {
+      failed.push({ team: r.team, conference: r.conference, message: 'No rostered players found.', code: 'empty_roster' });
+      continue;
+    }
+    ranked.push({ team: r.team, conference: r.conference, ...summarizeTeam(r.players, { highRisk, talent: value.talent.get(r.team.toLowerCase()) }) });
+  }
+
+  const direction = SORT_FIELDS[sort] === 'asc' ? 1 : -1;
+  // Programs without the sort metric (e.g. no talent composite) go last.
+  ranked.sort((a, b) => (a[sort] == null) - (b[sort] == null) || direction * (a[sort] - b[sort]) || a.team.localeCompare(b.team));
+
+  const players = ranked.reduce((a, t) => a + t.players, 0);
+  return {
+    year,
+    conference: conference || null,
+    highRisk,
+    sort,
+    teams: ranked.map((t, i) => ({ rank: i + 1, ...t })),
+    failed,
+    summary: {
+      teams: ranked.length,
+      failed: failed.length,
+      players,
+      expectedTransfers: round(ranked.reduce((a, t) => a + t.expectedTransfers, 0)),
+      // Player-weighted, so it matches scoring every player in the scope at once.
+      loyaltyIndex: players ? round(100 - ranked.reduce((a, t) => a + t.meanProbability * t.players, 0) / players) : null,
+    },
+    _meta: { cache: { hits: cache.hits, misses: cache.misses, offline: cache.offline }, warnings, profile: profile ?? null },
+  };
+}
+
+/**
+ * Leaderboard as CSV (one row per ranked team, top risks joined) or JSON `{ summary, teams, failed }`.
+ * @param {'csv'|'json'} format
+ */
+export function formatLeaderboard(board, format) {
+  if (format === 'json') return JSON.stringify({ summary: board.summary, teams: board.teams, failed: board.failed }, null, 2) + '\n';
+  return toCsv(board.teams.map(({ topRisks, ...t }) => ({
+    ...t,
+    topRisks: topRisks.map((p) => `${p.playerName} (${p.position ?? '?'}, ${p.probability}%)`).join('; '),
+  })), ['rank', 'team', 'conference', 'loyaltyIndex', 'meanProbability', 'expectedTransfers', 'players', 'highRisk', 'starters', 'highRiskStarters',
+    'highRiskStarterShare', 'recruitingValue', 'recruitingValueAtRisk', 'recruitingShareAtRisk', 'talent', 'talentAtRisk', 'meanCompleteness', 'topRisks']);
+}
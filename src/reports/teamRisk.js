@@ -0,0 +1,86 @@
+/**
+ * Full-roster transfer risk report: scores every rostered player on a team
+ * and rolls the results up into team-level summary stats.
+ */
+
+import { aggregateTeamInputs } from '../data/aggregate.js';
+import { trackCacheUsage } from '../api/cache.js';
+import { computeTransferProbability } from '../scoring/transferProbability.js';
+
+/** Probability cutoffs (0–100) counted in the summary by default. */
+export const DEFAULT_THRESHOLDS = [40, 60];
+
+function round1(n) {
+  return Math.round(n * 10) / 10;
+}
+
+/**
+ * Mean, median and counts above each threshold for a list of probabilities.
+ */
+function summarize(probabilities, thresholds) {
+  const sorted = [...probabilities].sort((a, b) => a - b);
+  const count = sorted.length;
+  const mid = Math.floor(count / 2);
+  const median = count === 0 ? null : count % 2 ? sorted[mid] : (sorted[mid - 1] + sorted[mid]) / 2;
+  const aboveThreshold = {};
+  for (const t of thresholds) {
+    aboveThreshold[t] = sorted.filter((p) => p >= t).length;
+  }
+  return {
+    count,
+    meanProbability: count ? round1(sorted.reduce((a, b) => a + b, 0) / count) : null,
+    medianProbability: median != null ? round1(median) : null,
+    aboveThreshold,
+  };
+}
+
+/**
+ * Score every player on a team's roster for a season.
+ *
+ * @param {Object} opts
+ * @param {number} opts.year
+ * @param {string} opts.team
+ * @param {number[]} [opts.thresholds] - probability cutoffs (0–100) for the summary counts
+ * @param {Object} [opts.weights] - validated weights (see profiles.js resolveWeights)
+ * @param {string} [opts.profile] - profile name reported in the model version
+ * @returns {Promise<{ team: string, year: number, players: Object[], summary: Object, _meta: Object }>}
+ */
+export async function buildTeamRiskReport({ year, team, thresholds = DEFAULT_THRESHOLDS, weights, profile }) {
+  const { value, cache } = await trackCacheUsage(() => aggregateTeamInputs({ year, team }));
+  const { inputs, warnings } = value;
+
+  const players = inputs.map((input) => {
+    const { _meta, ...scoringInput } = input;
+    const result = computeTransferProbability(scoringInput, weights, { profile });
+    return {
+      playerName: _meta.playerName,
+      position: _meta.position ?? null,
+      probability: result.transferProbability,
+      band: result.band,
+      draft: result.outcomes.draft.probability,
+      graduation: result.outcomes.graduation.probability,
+      completeness: result.completeness.score,
+      distance: _meta.distance ? { miles: _meta.distance.miles, method: _meta.distance.method, estimated: _meta.distance.estimated } : null,
+      breakdown: result.breakdown,
+    };
+  }).sort((a, b) => b.probability - a.probability);
+
+  const byPosition = {};
+  const positions = [...new Set(players.map((p) => p.position || 'UNK'))].sort();
+  for (const pos of positions) {
+    byPosition[pos] = summarize(players.filter((p) => (p.position || 'UNK') === pos).map((p) => p.probability), thresholds);
+  }
+
+  return {
+    team,
+    year,
+    players,
+    summary: {
+      ...summarize(players.map((p) => p.probability), thresholds),
+      meanCompleteness: players.length ? Math.round((players.reduce((a, p) => a + p.completeness, 0) / players.length) * 100) / 100 : null,
+      thresholds,
+      byPosition,
+    },
+    _meta: { cache, warnings, profile: profile ?? null },
+  };
+}
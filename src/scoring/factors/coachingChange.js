@@ -0,0 +1,21 @@
+/**
+ * Coaching change severity since the player was recruited: 1 = head coach,
+ * 0.7 = coordinator, 0.5 = position coach, 0 = same staff.
+ */
+
+import { COACHING_CHANGE_WEIGHT } from '../../config.js';
+import { clamp01 } from './scale.js';
+
+export default {
+  name: 'coachingChange',
+  label: 'Coaching change',
+  weight: COACHING_CHANGE_WEIGHT, // CFB_COACHING_WEIGHT, default 0.10
+  description: 'Head coach (or coordinator / position coach) changed since the player was recruited → higher risk.',
+  inputs: ['coachingChange'],
+  risk(input) {
+    return input.coachingChange == null ? 0.5 : clamp01(input.coachingChange);
+  },
+  details(input) {
+    return input.coachingChangeNote ? { note: input.coachingChangeNote } : null;
+  },
+};
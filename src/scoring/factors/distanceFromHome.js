@@ -0,0 +1,17 @@
+/**
+ * Distance from high school (miles). 0 = low risk, 1500+ = high risk.
+ */
+
+import { normalize } from './scale.js';
+
+export default {
+  name: 'distanceFromHome',
+  label: 'Distance from high school',
+  weight: 0.15,
+  description: 'Farther from home → higher risk.',
+  inputs: ['distanceFromHighSchoolMiles'],
+  risk(input) {
+    if (input.distanceFromHighSchoolMiles == null) return 0.5;
+    return normalize(Math.max(0, Number(input.distanceFromHighSchoolMiles)), 0, 1500);
+  },
+};
@@ -0,0 +1,25 @@
+/**
+ * Expectation gap: the team's win rate below (or above) what its talent composite
+ * predicts (data/talent.js), -1..1. A roster winning less than it should = higher
+ * risk, and the gap counts for more the more the player produces: a productive
+ * player on an underachieving, talented team has the most reason to look for a
+ * winner. A 50-point gap = max risk at average production.
+ */
+
+import { clamp01 } from './scale.js';
+
+export default {
+  name: 'expectationGap',
+  label: 'Expectation gap',
+  weight: 0.04,
+  description: 'Team winning less than its roster talent predicts → higher risk, more so for productive players.',
+  inputs: ['expectationGap'],
+  risk(input) {
+    if (input.expectationGap == null) return 0.5;
+    const pull = input.productionPercentile != null ? 0.5 + clamp01(input.productionPercentile) : 1;
+    return clamp01(0.5 + Number(input.expectationGap) * pull);
+  },
+  details(input) {
+    return input.expectationGapNote ? { note: input.expectationGapNote } : null;
+  },
+};
@@ -0,0 +1,17 @@
+/**
+ * Newcomer displacement: fraction (0–1) of the player's lost usage now held by
+ * newcomers at the same position.
+ */
+
+import { clamp01 } from './scale.js';
+
+export default {
+  name: 'newcomerDisplacement',
+  label: 'Newcomer displacement',
+  weight: 0.05,
+  description: 'Share of lost usage now held by newcomers at the position → higher risk.',
+  inputs: ['newcomerShare'],
+  risk(input) {
+    return input.newcomerShare == null ? 0.5 : clamp01(input.newcomerShare);
+  },
+};
@@ -0,0 +1,16 @@
+/**
+ * NIL collectives: 0–1 score (1 = strong NIL). Weak = higher risk.
+ */
+
+import { clamp01 } from './scale.js';
+
+export default {
+  name: 'nilCollectives',
+  label: 'NIL collectives',
+  weight: 0.10,
+  description: 'Weaker NIL (0–1 score) → higher risk (manual/override).',
+  inputs: ['nilScore'],
+  risk(input) {
+    return input.nilScore == null ? 0.5 : 1 - clamp01(input.nilScore);
+  },
+};
@@ -0,0 +1,23 @@
+/**
+ * Playing time: the player's usage percentile within their position when known
+ * (bottom of the room = max risk), else 0% usage = max risk (1), 100% = min risk (0).
+ * usage can be 0–1 or 0–100; we treat as 0–1.
+ */
+
+import { clamp01, percentileNote } from './scale.js';
+
+export default {
+  name: 'playingTime',
+  label: 'Playing time',
+  weight: 0.22,
+  description: 'Low usage percentile within the position → higher risk.',
+  inputs: ['playingTimePercentile', 'playingTime'],
+  risk(input) {
+    if (input.playingTimePercentile != null) return 1 - clamp01(input.playingTimePercentile);
+    if (input.playingTime == null) return 0.5;
+    return 1 - clamp01(input.playingTime);
+  },
+  details(input) {
+    return input.playingTimePercentile != null ? { note: percentileNote(input.playingTimePercentile, input.positionBaseline) } : null;
+  },
+};
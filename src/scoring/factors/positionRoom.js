@@ -0,0 +1,20 @@
+/**
+ * Position room: 0–1 crowded-room score from data/positionRoom.js (returning
+ * players ahead + incoming recruits/transfers).
+ */
+
+import { clamp01 } from './scale.js';
+
+export default {
+  name: 'positionRoom',
+  label: 'Position room',
+  weight: 0.06,
+  description: 'Crowded room: returning players ahead in usage, incoming recruits and transfers at the position → higher risk.',
+  inputs: ['positionRoom'],
+  risk(input) {
+    return input.positionRoom == null ? 0.5 : clamp01(input.positionRoom);
+  },
+  details(input) {
+    return input.positionRoomNote ? { note: input.positionRoomNote, competitors: input.positionRoomCompetitors ?? [] } : null;
+  },
+};
@@ -0,0 +1,24 @@
+/**
+ * Production: percentile of position-appropriate output per game (yards and
+ * touchdowns, tackles and pressures, ...) within the position, from CFBD season
+ * stats (data/production.js). Low production = higher risk; it separates a
+ * high-usage player who isn't producing from one who is.
+ */
+
+import { clamp01, percentileNote } from './scale.js';
+
+export default {
+  name: 'production',
+  label: 'Production',
+  weight: 0.05,
+  description: 'Low production percentile within the position (yards, touchdowns, tackles, pressures, ...) → higher risk.',
+  inputs: ['productionPercentile'],
+  risk(input) {
+    return input.productionPercentile == null ? 0.5 : 1 - clamp01(input.productionPercentile);
+  },
+  details(input) {
+    if (input.productionPercentile == null) return null;
+    const note = percentileNote(input.productionPercentile, input.productionBaseline);
+    return { note: input.productionNote ? `${note}; ${input.productionNote}` : note };
+  },
+};
@@ -0,0 +1,23 @@
+/**
+ * Recruiting: high rating but low usage = underutilized = high risk.
+ * recruitingRank: 0–1 (1 = best, e.g. 0.99 for 5-star), or 1–100 scale (100 = best).
+ * Underutilization is relative to the position room when a baseline exists.
+ */
+
+import { clamp01 } from './scale.js';
+
+export default {
+  name: 'recruitingRank',
+  label: 'Recruiting rank',
+  weight: 0.18,
+  description: 'High rank + low usage = “underutilized” → higher risk.',
+  inputs: ['recruitingRank'],
+  risk(input) {
+    if (input.recruitingRank == null) return 0.5;
+    const raw = Number(input.recruitingRank);
+    const rank = clamp01(raw <= 1 ? raw : raw / 100);
+    const usage = input.playingTimePercentile ?? input.playingTime;
+    // Underutilization: high rank (1) and low usage (0) = high risk
+    return rank * (1 - (usage != null ? clamp01(usage) : 0.5));
+  },
+};
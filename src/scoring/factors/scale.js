@@ -0,0 +1,28 @@
+/**
+ * Scaling helpers shared by factor modules (built-in and local).
+ */
+
+/** Clamp to 0–1. */
+export function clamp01(value) {
+  return Math.max(0, Math.min(1, Number(value)));
+}
+
+/**
+ * Normalize a value to 0–1 given a min/max (clamp then linear scale).
+ */
+export function normalize(value, min, max) {
+  if (value == null || Number.isNaN(Number(value))) return 0.5; // unknown = neutral
+  const v = Math.max(min, Math.min(max, Number(value)));
+  return (v - min) / (max - min || 1);
+}
+
+/** 1 → "1st", 62 → "62nd", 13 → "13th". */
+export function ordinal(n) {
+  const teen = n % 100 >= 11 && n % 100 <= 13;
+  return `${n}${teen ? 'th' : ({ 1: 'st', 2: 'nd', 3: 'rd' })[n % 10] ?? 'th'}`;
+}
+
+/** Breakdown note for a 0–1 percentile, e.g. "32nd percentile among Big Ten WRs". */
+export function percentileNote(percentile, baseline) {
+  return `${ordinal(Math.round(Number(percentile) * 100))} percentile among ${baseline ?? 'position'}`;
+}
@@ -0,0 +1,16 @@
+/**
+ * Missed seasons (redshirt / injury) in the lookback window. 2+ = max risk.
+ */
+
+import { normalize } from './scale.js';
+
+export default {
+  name: 'seasonGap',
+  label: 'Season gap',
+  weight: 0.03,
+  description: 'Prior seasons on the roster without playing (redshirt / injury) → higher risk.',
+  inputs: ['missedSeasons'],
+  risk(input) {
+    return input.missedSeasons == null ? 0.5 : normalize(input.missedSeasons, 0, 2);
+  },
+};
@@ -0,0 +1,25 @@
+/**
+ * Snaps played: percentile of snaps per game within the position when known, else the raw
+ * count against a full-time player's season (~67 snaps a game; 800 over 12 games).
+ * Overlaps with playing time on a different scale.
+ */
+
+import { clamp01, normalize, percentileNote } from './scale.js';
+
+export default {
+  name: 'snapsPlayed',
+  label: 'Snaps played',
+  weight: 0.12,
+  description: 'Low snaps-per-game percentile within the position → higher risk.',
+  inputs: ['snapsPercentile', 'snapsPlayed'],
+  risk(input) {
+    if (input.snapsPercentile != null) return 1 - clamp01(input.snapsPercentile);
+    if (input.snapsPlayed == null) return 0.5;
+    const games = Number(input.gamesPlayed);
+    const maxSnaps = (800 / 12) * (games > 0 ? games : 12);
+    return 1 - normalize(Math.max(0, Number(input.snapsPlayed)), 0, maxSnaps);
+  },
+  details(input) {
+    return input.snapsPercentile != null ? { note: `${percentileNote(input.snapsPercentile, input.positionBaseline)} (snaps per game)` } : null;
+  },
+};
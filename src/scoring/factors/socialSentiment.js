@@ -0,0 +1,16 @@
+/**
+ * Social / public quotes: 0–1 sentiment (1 = unhappy, likely to transfer).
+ */
+
+import { clamp01 } from './scale.js';
+
+export default {
+  name: 'socialSentiment',
+  label: 'Social / public quotes',
+  weight: 0.08,
+  description: 'Unhappy sentiment (0–1) → higher risk (manual/override).',
+  inputs: ['socialSentiment'],
+  risk(input) {
+    return input.socialSentiment == null ? 0.5 : clamp01(input.socialSentiment);
+  },
+};
@@ -0,0 +1,16 @@
+/**
+ * Team performance: win rate 0–1. Low win rate = higher transfer risk.
+ */
+
+import { clamp01 } from './scale.js';
+
+export default {
+  name: 'teamPerformance',
+  label: 'Team performance',
+  weight: 0.15,
+  description: 'Poor win rate → higher risk.',
+  inputs: ['teamWinRate'],
+  risk(input) {
+    return input.teamWinRate == null ? 0.5 : 1 - clamp01(input.teamWinRate);
+  },
+};
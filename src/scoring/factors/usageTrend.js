@@ -0,0 +1,17 @@
+/**
+ * Usage change from last season (-1..1 share points). A 40-point drop = max risk,
+ * no change = neutral, a 40-point gain = no risk.
+ */
+
+import { clamp01 } from './scale.js';
+
+export default {
+  name: 'usageTrend',
+  label: 'Usage trend',
+  weight: 0.12,
+  description: 'Usage drop from last season → higher risk (a 40-point drop = max risk).',
+  inputs: ['usageChange'],
+  risk(input) {
+    return input.usageChange == null ? 0.5 : clamp01(0.5 - Number(input.usageChange) * 1.25);
+  },
+};
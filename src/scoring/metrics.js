@@ -0,0 +1,103 @@
+/**
+ * Evaluation metrics for probability predictions against binary outcomes.
+ * Predictions are 0–1 probabilities; outcomes are 0/1 (or booleans).
+ */
+
+function round(n, places = 4) {
+  const f = 10 ** places;
+  return Math.round(n * f) / f;
+}
+
+/**
+ * Area under the ROC curve (Mann–Whitney U, average rank for ties).
+ * Returns null when only one class is present.
+ *
+ * @param {number[]} predictions
+ * @param {Array<number|boolean>} outcomes
+ * @returns {number|null}
+ */
+export function auc(predictions, outcomes) {
+  const pairs = predictions.map((p, i) => ({ p, y: outcomes[i] ? 1 : 0 })).sort((a, b) => a.p - b.p);
+  const positives = pairs.filter((x) => x.y === 1).length;
+  const negatives = pairs.length - positives;
+  if (positives === 0 || negatives === 0) return null;
+
+  let rankSumPositives = 0;
+  let i = 0;
+  while (i < pairs.length) {
+    let j = i;
+    while (j + 1 < pairs.length && pairs[j + 1].p === pairs[i].p) j++;
+    const avgRank = (i + j) / 2 + 1;
+    for (let k = i; k <= j; k++) {
+      if (pairs[k].y === 1) rankSumPositives += avgRank;
+    }
+    i = j + 1;
+  }
+  return round((rankSumPositives - (positives * (positives + 1)) / 2) / (positives * negatives));
+}
+
+/**
+ * Brier score: mean squared error between probability and outcome (lower is better).
+ */
+export function brierScore(predictions, outcomes) {
+  if (predictions.length === 0) return null;
+  const sum = predictions.reduce((acc, p, i) => acc + (p - (outcomes[i] ? 1 : 0)) ** 2, 0);
+  return round(sum / predictions.length);
+}
+
+/**
+ * Calibration table: predictions grouped into equal-width buckets with the
+ * mean predicted probability and observed outcome rate for each.
+ *
+ * @param {number} [bucketCount=10]
+ * @returns {{ from: number, to: number, count: number, meanPredicted: number|null, observedRate: number|null }[]}
+ */
+export function calibrationBuckets(predictions, outcomes, bucketCount = 10) {
+  const buckets = Array.from({ length: bucketCount }, (_, i) => ({
+    from: round(i / bucketCount, 2),
+    to: round((i + 1) / bucketCount, 2),
+    count: 0,
+    sumPredicted: 0,
+    positives: 0,
+  }));
+  predictions.forEach((p, i) => {
+    const idx = Math.min(bucketCount - 1, Math.max(0, Math.floor(p * bucketCount)));
+    buckets[idx].count++;
+    buckets[idx].sumPredicted += p;
+    if (outcomes[i]) buckets[idx].positives++;
+  });
+  return buckets.map(({ from, to, count, sumPredicted, positives }) => ({
+    from,
+    to,
+    count,
+    meanPredicted: count ? round(sumPredicted / count) : null,
+    observedRate: count ? round(positives / count) : null,
+  }));
+}
+
+/**
+ * Precision and recall when predicting "transfer" for every prediction >= cutoff.
+ *
+ * @param {number} cutoff - 0–1
+ * @returns {{ cutoff: number, truePositives: number, falsePositives: number, falseNegatives: number, precision: number|null, recall: number|null }}
+ */
+export function precisionRecallAt(predictions, outcomes, cutoff) {
+  let tp = 0;
+  let fp = 0;
+  let fn = 0;
+  predictions.forEach((p, i) => {
+    const flagged = p >= cutoff;
+    const actual = Boolean(outcomes[i]);
+    if (flagged && actual) tp++;
+    else if (flagged) fp++;
+    else if (actual) fn++;
+  });
+  return {
+    cutoff,
+    truePositives: tp,
+    falsePositives: fp,
+    falseNegatives: fn,
+    precision: tp + fp > 0 ? round(tp / (tp + fp)) : null,
+    recall: tp + fn > 0 ? round(tp / (tp + fn)) : null,
+  };
+}
@@ -0,0 +1,110 @@
+/**
+ * Trained transfer model: logistic regression over the factor risks (0–1)
+ * produced by computeTransferProbability. Fitting, saving and loading of
+ * versioned model files lives here; the scorer falls back to DEFAULT_WEIGHTS
+ * when no model file is present.
+ */
+
+import { readFileSync, writeFileSync, existsSync, mkdirSync } from 'fs';
+import { dirname, join } from 'path';
+import { MODEL_PATH } from '../config.js';
+
+function sigmoid(z) {
+  return 1 / (1 + Math.exp(-z));
+}
+
+/**
+ * Fit a logistic regression with batch gradient descent and L2 regularization.
+ *
+ * @param {Object[]} samples - { features: { [factor]: number }, label: 0|1|boolean }
+ * @param {string[]} featureNames
+ * @param {Object} [opts]
+ * @param {number} [opts.learningRate=0.5]
+ * @param {number} [opts.iterations=3000]
+ * @param {number} [opts.l2=0.001]
+ * @returns {{ intercept: number, coefficients: Object }}
+ */
+export function fitLogistic(samples, featureNames, { learningRate = 0.5, iterations = 3000, l2 = 0.001 } = {}) {
+  const n = samples.length;
+  if (n === 0) throw new Error('No training samples.');
+  const X = samples.map((s) => featureNames.map((f) => Number(s.features[f] ?? 0.5)));
+  const y = samples.map((s) => (s.label ? 1 : 0));
+
+  // Start the intercept at the base-rate log-odds so early steps aren't spent finding it.
+  const rate = Math.min(1 - 1e-6, Math.max(1e-6, y.reduce((a, b) => a + b, 0) / n));
+  let b = Math.log(rate / (1 - rate));
+  const w = featureNames.map(() => 0);
+
+  for (let iter = 0; iter < iterations; iter++) {
+    let gb = 0;
+    const gw = w.map(() => 0);
+    for (let i = 0; i < n; i++) {
+      const z = b + X[i].reduce((acc, x, j) => acc + x * w[j], 0);
+      const err = sigmoid(z) - y[i];
+      gb += err;
+      for (let j = 0; j < w.length; j++) gw[j] += err * X[i][j];
+    }
+    b -= (learningRate * gb) / n;
+    for (let j = 0; j < w.length; j++) {
+      w[j] -= learningRate * (gw[j] / n + l2 * w[j]);
+    }
+  }
+
+  const coefficients = {};
+  featureNames.forEach((f, j) => { coefficients[f] = Math.round(w[j] * 10000) / 10000; });
+  return { intercept: Math.round(b * 10000) / 10000, coefficients };
+}
+
+/**
+ * Probability (0–1) from a logistic model and a map of factor risks.
+ * Factors the model has no coefficient for contribute nothing.
+ */
+export function predictLogistic(model, factors) {
+  let z = model.intercept;
+  for (const [key, coef] of Object.entries(model.coefficients)) {
+    if (factors[key] != null) z += coef * factors[key];
+  }
+  return sigmoid(z);
+}
+
+/** Version string for a newly trained model, e.g. "2024-06-01T12-00-00Z". */
+export function newModelVersion(date = new Date()) {
+  return date.toISOString().replace(/\.\d+Z$/, 'Z').replace(/:/g, '-');
+}
+
+/**
+ * Write a model to the active model path and a versioned copy next to it
+ * (transfer-model.<version>.json), so earlier models can be restored.
+ *
+ * @returns {{ path: string, versionedPath: string }}
+ */
+export function saveModel(model, path = MODEL_PATH) {
+  mkdirSync(dirname(path), { recursive: true });
+  const json = JSON.stringify(model, null, 2) + '\n';
+  const versionedPath = join(dirname(path), `transfer-model.${model.version}.json`);
+  writeFileSync(versionedPath, json);
+  writeFileSync(path, json);
+  cachedModel = undefined;
+  return { path, versionedPath };
+}
+
+let cachedModel;
+
+/**
+ * Load the active trained model (cached). Returns null when no model file exists
+ * or it cannot be parsed, in which case scoring uses DEFAULT_WEIGHTS.
+ */
+export function loadModel(path = MODEL_PATH) {
+  if (path === MODEL_PATH && cachedModel !== undefined) return cachedModel;
+  let model = null;
+  if (existsSync(path)) {
+    try {
+      const parsed = JSON.parse(readFileSync(path, 'utf8'));
+      if (parsed && typeof parsed.intercept === 'number' && parsed.coefficients) model = parsed;
+    } catch {
+      model = null;
+    }
+  }
+  if (path === MODEL_PATH) cachedModel = model;
+  return model;
+}
@@ -0,0 +1,161 @@
+/**
+ * Departure outcomes. Not every player who leaves transfers: some run out of
+ * eligibility and some declare for the NFL draft. Eligibility (class year,
+ * redshirt, seasons left; see data/eligibility.js) decides which exits are open,
+ * and the weighted-average scorer's probability is read as the chance of transferring
+ * given the player has eligibility left and doesn't declare. A trained model's
+ * probability is already unconditional (its labels include every departure).
+ */
+
+import { DRAFT_CLASS, eligibilityRange } from '../data/eligibility.js';
+
+/** Scorer inputs that describe eligibility rather than feed a factor. */
+export const ELIGIBILITY_INPUTS = ['classYear', 'redshirted', 'eligibilityRemaining', 'draftEligible'];
+
+/** Share of players with no eligibility left who still don't return (waivers and medical hardships aside). */
+const GRADUATION_EXHAUSTED = 0.97;
+
+/** Weight of each input in the draft score (sums to 1). */
+const DRAFT_WEIGHTS = { production: 0.4, playingTime: 0.25, recruitingRank: 0.2, experience: 0.15 };
+
+/** Draft probability at a perfect draft score; it falls off as score⁴, so only top producers get a real chance. */
+const DRAFT_MAX = 0.9;
+const DRAFT_EXPONENT = 4;
+
+/** Draft score for experience by class year; seniors with eligibility left declare more often than juniors. */
+const EXPERIENCE = { 3: 0.6, 4: 1 };
+
+function round(n, places = 1) {
+  const f = 10 ** places;
+  return Math.round(n * f) / f;
+}
+
+function source(input, field) {
+  if (input[field] == null) return 'defaulted';
+  return input.provenance?.[field] ?? 'override';
+}
+
+/**
+ * Class year, redshirt and eligibility left from the input; eligibility left is derived from the
+ * class year when not given. With an unknown redshirt that changes it, eligibilityRemaining is null,
+ * `range` holds both readings and the source is 'estimated'.
+ */
+function eligibilityOf(input) {
+  const classYear = input.classYear != null ? Number(input.classYear) : null;
+  const range = input.eligibilityRemaining != null
+    ? { min: Number(input.eligibilityRemaining), max: Number(input.eligibilityRemaining) }
+    : eligibilityRange(classYear, input.redshirted);
+  const uncertain = range != null && range.min !== range.max;
+  return {
+    classYear,
+    redshirted: input.redshirted ?? null,
+    eligibilityRemaining: range && !uncertain ? range.min : null,
+    range,
+    draftEligible: input.draftEligible ?? (classYear != null ? classYear >= DRAFT_CLASS : null),
+    source: uncertain ? 'estimated' : input.eligibilityRemaining != null ? source(input, 'eligibilityRemaining') : source(input, 'classYear'),
+    note: input.eligibilityNote ?? null,
+  };
+}
+
+/** Draft score entries (0–1 each) for a draft-eligible player, in breakdown shape. */
+function draftBreakdown(input, classYear) {
+  const rating = input.recruitingRank != null ? Number(input.recruitingRank) : null;
+  const playing = input.playingTimePercentile ?? input.playingTime;
+  const parts = {
+    production: { value: input.productionPercentile, source: source(input, 'productionPercentile') },
+    playingTime: { value: playing, source: source(input, input.playingTimePercentile != null ? 'playingTimePercentile' : 'playingTime') },
+    recruitingRank: { value: rating != null && rating > 1 ? rating / 100 : rating, source: source(input, 'recruitingRank') },
+    experience: { value: EXPERIENCE[classYear] ?? 0, source: source(input, 'classYear') },
+  };
+  const breakdown = {};
+  for (const [key, { value, source: from }] of Object.entries(parts)) {
+    const score = value == null || Number.isNaN(Number(value)) ? 0.5 : Math.max(0, Math.min(1, Number(value)));
+    breakdown[key] = { risk: round(score, 2), weight: DRAFT_WEIGHTS[key], contribution: round(DRAFT_WEIGHTS[key] * score, 2), source: from };
+  }
+  return breakdown;
+}
+
+/** Graduation and draft chances (0–1) with a given number of seasons left. */
+function exitsWith(input, eligibility, remaining) {
+  const exhausted = remaining <= 0;
+  const canDeclare = Boolean(eligibility.draftEligible) && !exhausted;
+  const breakdown = canDeclare ? draftBreakdown(input, eligibility.classYear) : {};
+  const score = Object.values(breakdown).reduce((sum, b) => sum + b.weight * b.risk, 0);
+  return {
+    exhausted,
+    canDeclare,
+    breakdown,
+    graduation: exhausted ? GRADUATION_EXHAUSTED : 0,
+    draft: canDeclare ? DRAFT_MAX * score ** DRAFT_EXPONENT : 0,
+  };
+}
+
+/**
+ * Split a player's departure into exhausted eligibility (graduation), NFL draft
+ * declaration and transfer.
+ *
+ * - graduation: GRADUATION_EXHAUSTED with no eligibility left, else 0.
+ * - draft: for a draft-eligible player with eligibility left, DRAFT_MAX × score⁴ where the
+ *   score weighs production and playing-time percentiles, recruiting rating and class year.
+ * - transfer: the scorer's probability (`conditional`, given eligibility left and no
+ *   declaration) × the chance of neither; with `unconditional`, the scorer's probability as is.
+ *
+ * Without a class year (or eligibilityRemaining) the exits can't be told apart:
+ * graduation and draft are null and the transfer probability is the scorer's.
+ * When an unknown redshirt decides whether any eligibility is left, both readings
+ * count half, and eligibleShareRange spans the two.
+ *
+ * @param {Object} input - scorer input (classYear, redshirted, eligibilityRemaining, draftEligible and the draft inputs)
+ * @param {number} conditional - scorer transfer probability, 0–100
+ * @param {Object} [opts]
+ * @param {boolean} [opts.unconditional=false] - the probability already covers every exit (trained model):
+ *   report graduation and draft alongside it without rescaling; `conditional` is then null
+ * @returns {{ eligibility: Object, graduation: Object, draft: Object, transfer: Object, stay: number|null }} probabilities 0–100;
+ *   transfer.eligibleShare (0–1) is the chance of neither graduating nor declaring, transfer.eligibleShareRange its { low, high }
+ */
+export function computeOutcomes(input, conditional, { unconditional = false } = {}) {
+  const { range, ...eligibility } = eligibilityOf(input);
+  if (range == null) {
+    return {
+      eligibility: { ...eligibility, source: 'defaulted' },
+      graduation: { probability: null, breakdown: {} },
+      draft: { probability: null, eligible: null, breakdown: {} },
+      transfer: { probability: conditional, conditional: unconditional ? null : conditional, eligibleShare: 1, eligibleShareRange: { low: 1, high: 1 }, note: 'Class year unknown; not adjusted for graduation or the draft.' },
+      stay: null,
+    };
+  }
+  const readings = range.min === range.max ? [range.min] : [range.min, range.max];
+  const exits = readings.map((left) => exitsWith(input, eligibility, left));
+  const mean = (f) => exits.reduce((sum, e) => sum + f(e), 0) / exits.length;
+  const graduation = mean((e) => e.graduation);
+  const draft = mean((e) => e.draft);
+  const shares = exits.map((e) => 1 - e.graduation - e.draft);
+  const eligibleShare = 1 - graduation - draft;
+  const transfer = unconditional ? conditional / 100 : eligibleShare * (conditional / 100);
+  const declaring = exits.find((e) => e.canDeclare);
+  const left = eligibility.eligibilityRemaining ?? `${range.min}–${range.max}`;
+  const transferNote = unconditional
+    ? `${conditional}% from the trained model, whose labels already include graduating and drafted players; not rescaled`
+    : `${conditional}% given eligibility left and no draft declaration (${round(eligibleShare * 100)}% chance of both)`;
+  return {
+    eligibility: { ...eligibility, eligibilityRange: range },
+    graduation: {
+      probability: round(graduation * 100),
+      breakdown: {
+        eligibility: {
+          risk: round(mean((e) => (e.exhausted ? 1 : 0)), 2), weight: 1, contribution: round(mean((e) => (e.exhausted ? 1 : 0)), 2), source: eligibility.source,
+          note: eligibility.note ?? `${left} season(s) of eligibility left${readings.length > 1 ? ' (redshirt unknown)' : ''}`,
+        },
+      },
+    },
+    draft: { probability: round(draft * 100), eligible: exits.some((e) => e.canDeclare), breakdown: declaring?.breakdown ?? {} },
+    transfer: {
+      probability: round(transfer * 100),
+      conditional: unconditional ? null : conditional,
+      eligibleShare: round(eligibleShare, 3),
+      eligibleShareRange: { low: round(Math.min(...shares), 3), high: round(Math.max(...shares), 3) },
+      note: transferNote,
+    },
+    stay: round(Math.max(0, eligibleShare - transfer) * 100),
+  };
+}
@@ -0,0 +1,151 @@
+/**
+ * Named weight profiles and custom-weight validation. Bundled profiles come from
+ * config/weight-profiles.json (CFB_WEIGHT_PROFILES); profiles saved from the CLI or
+ * UI go to a local store (CFB_SAVED_PROFILES_PATH). `default` is DEFAULT_WEIGHTS,
+ * which lets a trained model take over when one is active.
+ */
+
+import { readFileSync, existsSync } from 'fs';
+import { WEIGHT_PROFILES_PATH, SAVED_PROFILES_PATH } from '../config.js';
+import { createJsonStore } from '../data/jsonStore.js';
+import { InvalidWeightsError, ProfileNotFoundError } from '../data/errors.js';
+import { DEFAULT_WEIGHTS } from './transferProbability.js';
+
+export const DEFAULT_PROFILE = 'default';
+
+const PROFILE_NAME = /^[a-z0-9][a-z0-9-]{0,39}$/;
+
+const file = createJsonStore(() => ({ profiles: {} }));
+
+let bundled = null;
+
+/** Bundled profiles, read once. A missing file means only `default`. */
+function bundledProfiles() {
+  if (bundled) return bundled;
+  const raw = existsSync(WEIGHT_PROFILES_PATH) ? JSON.parse(readFileSync(WEIGHT_PROFILES_PATH, 'utf8')).profiles ?? {} : {};
+  bundled = Object.fromEntries(Object.entries(raw).map(([name, p]) => [name, {
+    name,
+    description: p.description ?? null,
+    weights: validateWeights(p.weights),
+    builtIn: true,
+  }]));
+  return bundled;
+}
+
+function round4(n) {
+  return Math.round(n * 10000) / 10000;
+}
+
+/**
+ * Check custom weights and fill in the rest from `base`, scaled to sum to 1.
+ * Keys must be scorer factors; values non-negative numbers; at least one above 0.
+ *
+ * @param {Object} weights - factor → weight (partial is fine)
+ * @param {Object} [base=DEFAULT_WEIGHTS] - weights for factors not given
+ * @returns {Object} full factor → weight map summing to 1
+ */
+export function validateWeights(weights, base = DEFAULT_WEIGHTS) {
+  if (weights == null || typeof weights !== 'object' || Array.isArray(weights)) {
+    throw new InvalidWeightsError('weights must be an object of factor → weight.');
+  }
+  const unknown = Object.keys(weights).filter((k) => !(k in DEFAULT_WEIGHTS));
+  if (unknown.length) {
+    throw new InvalidWeightsError(`Unknown factor${unknown.length > 1 ? 's' : ''} ${unknown.join(', ')}. Use: ${Object.keys(DEFAULT_WEIGHTS).join(', ')}.`);
+  }
+  for (const [key, value] of Object.entries(weights)) {
+    if (typeof value !== 'number' || !Number.isFinite(value)) {
+      throw new InvalidWeightsError(`Weight for ${key} must be a number (got ${JSON.stringify(value)}).`);
+    }
+    if (value < 0) throw new InvalidWeightsError(`Weight for ${key} must not be negative (got ${value}).`);
+  }
+  const merged = Object.fromEntries(Object.keys(DEFAULT_WEIGHTS).map((k) => [k, weights[k] ?? base[k] ?? 0]));
+  const total = Object.values(merged).reduce((a, b) => a + b, 0);
+  if (!(total > 0)) throw new InvalidWeightsError('At least one weight must be above 0.');
+  return Object.fromEntries(Object.entries(merged).map(([k, v]) => [k, round4(v / total)]));
+}
+
+/**
+ * Every profile: `default`, the bundled ones, then saved ones (by name).
+ * @returns {Object[]} { name, description, weights, builtIn, updatedAt? }
+ */
+export function listProfiles(path = SAVED_PROFILES_PATH) {
+  const saved = Object.values(file.load(path).profiles).sort((a, b) => a.name.localeCompare(b.name));
+  return [
+    { name: DEFAULT_PROFILE, description: 'Built-in weights (the trained model is used instead when one is active).', weights: { ...DEFAULT_WEIGHTS }, builtIn: true },
+    ...Object.values(bundledProfiles()),
+    ...saved.map((p) => ({ ...p, builtIn: false })),
+  ];
+}
+
+/** One profile by name; throws ProfileNotFoundError. */
+export function getProfile(name, path = SAVED_PROFILES_PATH) {
+  const profile = listProfiles(path).find((p) => p.name === String(name).trim().toLowerCase());
+  if (!profile) {
+    throw new ProfileNotFoundError(`No weight profile "${name}". Available: ${listProfiles(path).map((p) => p.name).join(', ')}.`);
+  }
+  return profile;
+}
+
+/**
+ * Save (or replace) a profile. Bundled names can't be overwritten.
+ *
+ * @param {Object} profile
+ * @param {string} profile.name - lowercase letters, digits and dashes
+ * @param {Object} profile.weights - validated and normalized; missing factors come from `base`
+ * @param {string} [profile.base] - profile the weights start from (default: `default`)
+ * @param {string} [profile.description]
+ * @returns {{ profile: Object, created: boolean }}
+ */
+export function saveProfile({ name, weights, base, description }, path = SAVED_PROFILES_PATH) {
+  const key = String(name ?? '').trim().toLowerCase();
+  if (!PROFILE_NAME.test(key)) {
+    throw new InvalidWeightsError('Profile name must be 1–40 lowercase letters, digits or dashes (e.g. "sec-wr").');
+  }
+  if (key === DEFAULT_PROFILE || key in bundledProfiles()) {
+    throw new InvalidWeightsError(`"${key}" is a built-in profile; save under another name.`);
+  }
+  const start = base ? getProfile(base, path).weights : DEFAULT_WEIGHTS;
+  const store = file.load(path);
+  const existing = store.profiles[key];
+  const now = new Date().toISOString();
+  const profile = {
+    name: key,
+    description: description != null && String(description).trim() ? String(description).trim() : existing?.description ?? null,
+    weights: validateWeights(weights ?? {}, start),
+    createdAt: existing?.createdAt ?? now,
+    updatedAt: now,
+  };
+  store.profiles[key] = profile;
+  file.save(store, path);
+  return { profile: { ...profile, builtIn: false }, created: !existing };
+}
+
+/** Delete a saved profile; bundled ones can't be removed. */
+export function removeProfile(name, path = SAVED_PROFILES_PATH) {
+  const key = String(name ?? '').trim().toLowerCase();
+  if (key === DEFAULT_PROFILE || key in bundledProfiles()) throw new InvalidWeightsError(`"${key}" is a built-in profile and can't be removed.`);
+  const store = file.load(path);
+  if (!store.profiles[key]) throw new ProfileNotFoundError(`No saved weight profile "${name}".`);
+  delete store.profiles[key];
+  file.save(store, path);
+}
+
+/**
+ * Weights for a scoring request: a profile, custom weights on top of it, or
+ * neither (DEFAULT_WEIGHTS or the trained model).
+ *
+ * @param {Object} [request]
+ * @param {string} [request.profile]
+ * @param {Object} [request.weights] - partial factor → weight; validated and normalized
+ * @returns {{ weights: Object|undefined, profile: string|null }} pass `weights` as the scorer's
+ *   weights argument and `profile` as options.profile (it names the model version)
+ */
+export function resolveWeights({ profile, weights } = {}) {
+  const named = profile != null && String(profile).trim() ? getProfile(profile) : null;
+  if (weights != null) {
+    const custom = validateWeights(weights, named?.weights ?? DEFAULT_WEIGHTS);
+    return { weights: custom, profile: named ? `${named.name}+custom` : null };
+  }
+  if (!named || named.name === DEFAULT_PROFILE) return { weights: undefined, profile: null };
+  return { weights: named.weights, profile: named.name };
+}
@@ -0,0 +1,129 @@
+/**
+ * Factor registry. Each scoring factor is a module (src/scoring/factors/) whose
+ * default export declares its name, default weight, the scorer input fields it
+ * reads and its risk function. Local factors that can't live in this repo are
+ * loaded from CFB_FACTORS_DIR at startup and registered after the built-ins, so
+ * the scorer, weight profiles, trained models, breakdowns, CLI and UI pick them up.
+ *
+ * Factor module shape:
+ *   name         - camelCase key used in breakdowns and weights
+ *   label        - display name (default: from the name)
+ *   weight       - default weight in the weighted-average model (>= 0)
+ *   description  - what drives the risk up
+ *   inputs       - scorer input fields behind the factor; the first one present is the
+ *                  one scored and decides its source (none present = 'defaulted')
+ *   risk(input)  - 0–1 transfer risk from the scorer input (0.5 when unknown)
+ *   details(input) - optional; extra breakdown fields such as `note`
+ *   collect(player) - optional; input values computed during aggregation from
+ *                  { year, team, conference, playerId, playerName, position, roster,
+ *                  usage, recruiting, input } (roster/usage/recruiting are the player's
+ *                  CFBD rows). Must be synchronous; values count as fetched data ('api').
+ */
+
+import { readdirSync, existsSync } from 'fs';
+import { join, resolve, extname } from 'path';
+import { pathToFileURL } from 'url';
+import { FACTORS_DIR } from '../config.js';
+import playingTime from './factors/playingTime.js';
+import distanceFromHome from './factors/distanceFromHome.js';
+import recruitingRank from './factors/recruitingRank.js';
+import teamPerformance from './factors/teamPerformance.js';
+import nilCollectives from './factors/nilCollectives.js';
+import snapsPlayed from './factors/snapsPlayed.js';
+import socialSentiment from './factors/socialSentiment.js';
+import usageTrend from './factors/usageTrend.js';
+import newcomerDisplacement from './factors/newcomerDisplacement.js';
+import seasonGap from './factors/seasonGap.js';
+import positionRoom from './factors/positionRoom.js';
+import coachingChange from './factors/coachingChange.js';
+import production from './factors/production.js';
+import expectationGap from './factors/expectationGap.js';
+
+const BUILT_IN = [
+  playingTime, distanceFromHome, recruitingRank, teamPerformance, nilCollectives, snapsPlayed,
+  socialSentiment, usageTrend, newcomerDisplacement, seasonGap, positionRoom, coachingChange, production, expectationGap,
+];
+
+const FACTOR_NAME = /^[a-z][A-Za-z0-9]{0,39}$/;
+
+/** Registered factors in breakdown order. */
+const factors = new Map();
+
+function labelFrom(name) {
+  return name.replace(/([A-Z])/g, ' $1').replace(/^./, (c) => c.toUpperCase()).trim();
+}
+
+/**
+ * Check and add one factor. Throws on a bad definition or a name already registered.
+ * @param {Object} def - factor module export (see the module comment)
+ * @param {string} [origin] - where it came from, for errors and GET /api/factors
+ * @returns {Object} the registered factor
+ */
+export function registerFactor(def, origin = 'built-in') {
+  const problem = (message) => new Error(`Invalid factor${def?.name ? ` "${def.name}"` : ''} (${origin}): ${message}.`);
+  if (def == null || typeof def !== 'object') throw problem('the module must export a factor object');
+  if (typeof def.name !== 'string' || !FACTOR_NAME.test(def.name)) throw problem('name must be camelCase letters and digits, e.g. "academicStanding"');
+  if (factors.has(def.name)) throw problem(`a factor named "${def.name}" is already registered (${factors.get(def.name).origin})`);
+  if (typeof def.weight !== 'number' || !Number.isFinite(def.weight) || def.weight < 0) throw problem('weight must be a non-negative number');
+  if (!Array.isArray(def.inputs) || !def.inputs.length || def.inputs.some((f) => typeof f !== 'string' || !f)) {
+    throw problem('inputs must be a non-empty list of scorer input field names');
+  }
+  for (const hook of ['risk', 'details', 'collect']) {
+    if (def[hook] != null && typeof def[hook] !== 'function') throw problem(`${hook} must be a function`);
+  }
+  if (!def.risk) throw problem('risk(input) is required');
+  const factor = Object.freeze({
+    ...def,
+    label: def.label ?? labelFrom(def.name),
+    description: def.description ?? null,
+    inputs: [...def.inputs],
+    builtIn: origin === 'built-in',
+    origin,
+  });
+  factors.set(def.name, factor);
+  return factor;
+}
+
+/**
+ * Import every .js / .mjs file in `dir` (alphabetically) and register its default
+ * export: one factor or a list of them.
+ * @returns {Promise<Object[]>} the factors registered
+ */
+export async function loadFactorModules(dir) {
+  const full = resolve(dir);
+  if (!existsSync(full)) throw new Error(`CFB_FACTORS_DIR ${full} does not exist.`);
+  const files = readdirSync(full).filter((f) => ['.js', '.mjs'].includes(extname(f))).sort();
+  const added = [];
+  for (const file of files) {
+    const mod = await import(pathToFileURL(join(full, file)).href);
+    for (const def of [mod.default].flat()) added.push(registerFactor(def, join(full, file)));
+  }
+  return added;
+}
+
+/** Every registered factor, built-ins first. */
+export function listFactors() {
+  return [...factors.values()];
+}
+
+/** Factor name → default weight. */
+export function defaultWeights() {
+  return Object.fromEntries(listFactors().map((f) => [f.name, f.weight]));
+}
+
+/** Factor name → scorer input fields. */
+export function factorInputs() {
+  return Object.fromEntries(listFactors().map((f) => [f.name, f.inputs]));
+}
+
+/**
+ * Risk (0–1) of one factor for a scorer input; anything that isn't a finite
+ * number scores as neutral 0.5, and values are clamped to 0–1.
+ */
+export function factorRisk(factor, input) {
+  const risk = Number(factor.risk(input));
+  return Number.isFinite(risk) ? Math.max(0, Math.min(1, risk)) : 0.5;
+}
+
+for (const def of BUILT_IN) registerFactor(def);
+if (FACTORS_DIR) await loadFactorModules(FACTORS_DIR);
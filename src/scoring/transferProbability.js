@@ -1,92 +1,132 @@
 /**
  * Transfer probability scoring model.
- * Each factor contributes 0–1 (transfer risk); combined into a 0–100% probability.
+ * Each registered factor (registry.js) contributes 0–1 (transfer risk); combined into a 0–100% probability,
+ * either by a trained logistic model (see model.js) or the DEFAULT_WEIGHTS average.
+ * Every result also reports where each factor's input came from, how complete the
+ * data was, and an uncertainty band that widens with each defaulted or estimated factor.
  */
 
-const DEFAULT_WEIGHTS = {
-  playingTime: 0.22,      // low snaps → higher risk
-  distanceFromHome: 0.15, // miles from high school
-  recruitingRank: 0.18,   // high rank + low usage = underutilized
-  teamPerformance: 0.15,  // poor W-L / no success
-  nilCollectives: 0.10,   // weak NIL → more likely to look elsewhere
-  snapsPlayed: 0.12,      // explicit snap count (overlap with playing time, different scale)
-  socialSentiment: 0.08,   // public quotes / social (unhappy signals)
-};
+import { loadModel, predictLogistic } from './model.js';
+import { InsufficientDataError } from '../data/errors.js';
+import { listFactors, defaultWeights, factorInputs, factorRisk } from './registry.js';
+import { computeOutcomes } from './outcomes.js';
 
-/**
- * Normalize a value to 0–1 given a min/max (clamp then linear scale).
- */
-function normalize(value, min, max) {
-  if (value == null || Number.isNaN(Number(value))) return 0.5; // unknown = neutral
-  const v = Math.max(min, Math.min(max, Number(value)));
-  return (v - min) / (max - min || 1);
-}
+/** Default weight per registered factor (src/scoring/factors/ and CFB_FACTORS_DIR). */
+const DEFAULT_WEIGHTS = defaultWeights();
 
-/**
- * Playing time: 0% = max risk (1), 100% = min risk (0).
- * usage can be 0–1 or 0–100; we treat as 0–1.
- */
-function riskFromPlayingTime(usage) {
-  if (usage == null) return 0.5;
-  const u = Math.max(0, Math.min(1, Number(usage)));
-  return 1 - u;
-}
+/** Model version reported when scoring falls back to DEFAULT_WEIGHTS. */
+const DEFAULT_MODEL_VERSION = 'default-weights';
 
-/**
- * Distance from high school (miles). 0 = low risk, 1500+ = high risk.
- */
-function riskFromDistance(miles) {
-  if (miles == null) return 0.5;
-  const m = Math.max(0, Number(miles));
-  return normalize(m, 0, 1500);
-}
+/** Scorer input fields behind each factor; the first one present is the one scored. */
+const FACTOR_INPUTS = factorInputs();
 
 /**
- * Recruiting: high rating but low usage = underutilized = high risk.
- * recruitingRank: 0–1 (1 = best, e.g. 0.99 for 5-star), or 1–100 scale (100 = best).
- * We treat as "ranking quality" 0–1. Combined with playing time: high rank + low usage = risk.
+ * Where a factor's input came from: 'api' (CFBD), 'override' (manual or request value),
+ * 'estimated' (derived from a fallback, e.g. hometown state center) or 'defaulted'
+ * (missing, scored as neutral 0.5). Completeness credit and the standard deviation
+ * assumed for the factor's risk when building the uncertainty band.
  */
-function riskFromRecruiting(recruitingRankNormalized, playingTimeNormalized) {
-  if (recruitingRankNormalized == null) return 0.5;
-  const rank = Math.max(0, Math.min(1, Number(recruitingRankNormalized)));
-  const usage = playingTimeNormalized != null ? Math.max(0, Math.min(1, Number(playingTimeNormalized))) : 0.5;
-  // Underutilization: high rank (1) and low usage (0) = high risk
-  return rank * (1 - usage);
-}
+const SOURCES = {
+  api: { credit: 1, sd: 0 },
+  override: { credit: 1, sd: 0 },
+  estimated: { credit: 0.5, sd: 0.15 },
+  defaulted: { credit: 0, sd: Math.sqrt(1 / 12) }, // unknown risk, uniform on 0–1
+};
+
+/** z for the two-sided 90% band. */
+const BAND_Z = 1.645;
 
 /**
- * Team performance: win rate 0–1. Low win rate = higher transfer risk.
+ * Source of one factor's input: 'defaulted' when none of its fields is set, else
+ * input.provenance[field]; values without provenance were passed in by the caller ('override').
  */
-function riskFromTeamPerformance(winRate) {
-  if (winRate == null) return 0.5;
-  const w = Math.max(0, Math.min(1, Number(winRate)));
-  return 1 - w;
+function factorSource(input, factor) {
+  const field = factor.inputs.find((f) => input[f] != null && !Number.isNaN(Number(input[f])));
+  if (!field) return 'defaulted';
+  const source = input.provenance?.[field];
+  return source in SOURCES ? source : 'override';
 }
 
 /**
- * NIL collectives: 0–1 score (1 = strong NIL). Weak = higher risk.
+ * Completeness (0–1, factors weighted by their weight, estimated inputs count half)
+ * and a 90% band: each defaulted/estimated factor's risk is treated as uncertain and
+ * propagated through the weighted average, or through the logistic model's slope.
  */
-function riskFromNIL(nilScore) {
-  if (nilScore == null) return 0.5;
-  const n = Math.max(0, Math.min(1, Number(nilScore)));
-  return 1 - n;
+function assessData(sources, weightOf, probability, logistic) {
+  let total = 0;
+  let credit = 0;
+  let variance = 0;
+  for (const [key, source] of Object.entries(sources)) {
+    const weight = Math.abs(weightOf(key) ?? 0);
+    total += weight;
+    credit += weight * SOURCES[source].credit;
+    variance += (weight * SOURCES[source].sd) ** 2;
+  }
+  const p = probability / 100;
+  const sd = logistic ? p * (1 - p) * Math.sqrt(variance) : (total > 0 ? Math.sqrt(variance) / total : 0);
+  const spread = BAND_Z * sd * 100;
+  const byStatus = (status) => Object.keys(sources).filter((k) => sources[k] === status);
+  return {
+    completeness: {
+      score: total > 0 ? Math.round((credit / total) * 100) / 100 : 0,
+      defaulted: byStatus('defaulted'),
+      estimated: byStatus('estimated'),
+    },
+    band: {
+      low: Math.round(Math.max(0, probability - spread) * 10) / 10,
+      high: Math.round(Math.min(100, probability + spread) * 10) / 10,
+      level: 0.9,
+    },
+  };
 }
 
 /**
- * Snaps played: raw count. Very low snaps = high risk. Scale by a reasonable max (e.g. 800).
+ * Apply options.minCompleteness: below it, 'refuse' throws InsufficientDataError and
+ * 'flag' (default) marks completeness.belowMinimum.
  */
-function riskFromSnaps(snaps, maxSnaps = 800) {
-  if (snaps == null) return 0.5;
-  const s = Math.max(0, Number(snaps));
-  return 1 - normalize(s, 0, maxSnaps);
+function checkCompleteness(completeness, { minCompleteness, onIncomplete = 'flag' }) {
+  if (!(minCompleteness > 0)) return completeness;
+  const below = completeness.score < minCompleteness;
+  if (below && onIncomplete === 'refuse') {
+    const missing = completeness.defaulted.length ? ` Missing: ${completeness.defaulted.join(', ')}.` : '';
+    throw new InsufficientDataError(
+      `Data completeness ${completeness.score} is below the minimum ${minCompleteness}; not scoring.${missing}`,
+      { completeness: { ...completeness, minimum: minCompleteness } }
+    );
+  }
+  return { ...completeness, minimum: minCompleteness, belowMinimum: below };
 }
 
 /**
- * Social / public quotes: 0–1 sentiment (1 = unhappy, likely to transfer).
+ * Name both readings of the score. `unconditionedProbability` is the scorer's own
+ * output; `transferProbability` is the chance of transferring once graduation and the
+ * draft are accounted for. The weighted average scores risk as if the player stays
+ * eligible, so it is scaled (with its band) by the chance the player neither runs out of
+ * eligibility nor declares for the draft, spanning both readings when an unknown redshirt
+ * leaves eligibility uncertain; that leaves it null when outcomes are skipped.
+ * A trained model was fit against every portal entry, so its output is already the
+ * transfer probability and both names carry it.
+ * `probability` stays as an alias of `transferProbability`, or of the unconditioned value when that is null.
  */
-function riskFromSocial(sentiment) {
-  if (sentiment == null) return 0.5;
-  return Math.max(0, Math.min(1, Number(sentiment)));
+function withOutcomes(result, input, options) {
+  const unconditionedProbability = result.probability;
+  if (result.model.type === 'logistic') {
+    const named = { ...result, transferProbability: unconditionedProbability, unconditionedProbability };
+    if (options.outcomes === false) return named;
+    return { ...named, outcomes: computeOutcomes(input, unconditionedProbability, { unconditional: true }) };
+  }
+  if (options.outcomes === false) return { ...result, transferProbability: null, unconditionedProbability };
+  const outcomes = computeOutcomes(input, unconditionedProbability);
+  // With uncertain eligibility the band runs from the low reading's share to the high one's.
+  const { low, high } = outcomes.transfer.eligibleShareRange;
+  return {
+    ...result,
+    probability: outcomes.transfer.probability,
+    transferProbability: outcomes.transfer.probability,
+    unconditionedProbability,
+    band: { ...result.band, low: Math.round(result.band.low * low * 10) / 10, high: Math.round(result.band.high * high * 10) / 10 },
+    outcomes,
+  };
 }
 
 /**
@@ -99,35 +139,78 @@ function riskFromSocial(sentiment) {
  * @param {number} [input.teamWinRate] - 0–1
  * @param {number} [input.nilScore] - 0–1 (1 = strong NIL)
  * @param {number} [input.snapsPlayed] - raw snap count
+ * @param {number} [input.gamesPlayed] - team games that season (scales snaps; default 12)
+ * @param {number} [input.playingTimePercentile] - 0–1 usage percentile within the position (replaces the fixed scale)
+ * @param {number} [input.snapsPercentile] - 0–1 snaps-per-game percentile within the position
+ * @param {string} [input.positionBaseline] - label of the comparison group, e.g. "SEC WRs"
  * @param {number} [input.socialSentiment] - 0–1 (1 = unhappy/public quotes suggest transfer)
+ * @param {number} [input.usageChange] - usage share change from last season (-1..1)
+ * @param {number} [input.newcomerShare] - 0–1 share of lost usage taken by newcomers at the position
+ * @param {number} [input.missedSeasons] - prior seasons on the roster with no usage
+ * @param {number} [input.coachingChange] - 0–1 severity of staff turnover since recruited
+ * @param {string} [input.coachingChangeNote] - which change triggered it (copied to the breakdown)
+ * @param {number} [input.positionRoom] - 0–1 crowded position room
+ * @param {Object[]} [input.positionRoomCompetitors] - competitors behind that score (copied to the breakdown)
+ * @param {string} [input.positionRoomNote]
+ * @param {number} [input.productionPercentile] - 0–1 production-per-game percentile within the position
+ * @param {string} [input.productionBaseline] - comparison group for production, e.g. "SEC WRs"
+ * @param {string} [input.productionNote] - team rank at the position (copied to the breakdown)
+ * @param {number} [input.expectationGap] - talent-expected minus actual win rate (-1..1; positive = underachieving)
+ * @param {string} [input.expectationGapNote]
+ * @param {number} [input.classYear] - 1 = freshman … 5 = fifth year (see data/eligibility.js)
+ * @param {boolean} [input.redshirted]
+ * @param {number} [input.eligibilityRemaining] - seasons of eligibility left after this one (default: from classYear)
+ * @param {boolean} [input.draftEligible] - three seasons out of high school (default: classYear >= 3)
+ * @param {string} [input.eligibilityNote]
+ * @param {number} [input.*] - inputs of local factors (CFB_FACTORS_DIR), by the field names they declare
+ * @param {Object} [input.provenance] - input field → 'api' | 'override' | 'estimated' (set by aggregation;
+ *   values without an entry count as caller overrides, missing values as 'defaulted')
  * @param {Object} [input.weights] - override factor weights (same keys as DEFAULT_WEIGHTS)
- * @returns {{ probability: number, breakdown: Object, factors: Object }}
+ * @param {Object} [weights] - override factor weights; custom weights always use the weighted average
+ * @param {Object} [options]
+ * @param {Object|false} [options.model] - trained model to use; false forces DEFAULT_WEIGHTS.
+ *   Defaults to the model file at MODEL_PATH when present and no custom weights are given.
+ * @param {string} [options.profile] - weight profile the custom weights came from (reported as model version `profile:<name>`)
+ * @param {number} [options.minCompleteness] - 0–1; below it the result is flagged or refused
+ * @param {'flag'|'refuse'} [options.onIncomplete='flag'] - 'refuse' throws InsufficientDataError
+ * @param {boolean} [options.outcomes=true] - false skips the departure outcomes; the weighted average then has no
+ *   transferProbability (null) and probability is its factor score
+ * @returns {{ transferProbability: number|null, unconditionedProbability: number, probability: number, band: Object, completeness: Object, breakdown: Object, factors: Object, model: { version: string, type: string }, outcomes?: Object }}
+ *   transferProbability accounts for graduation and the draft, unconditionedProbability is the scorer's raw output
+ *   (the same value for a trained model, see withOutcomes); probability aliases transferProbability when it is set;
+ *   breakdown entries carry `source`; band is { low, high, level }; completeness is { score, defaulted, estimated };
+ *   outcomes splits departure into graduation, draft and transfer (see outcomes.js)
  */
-export function computeTransferProbability(input = {}, weights = {}) {
+export function computeTransferProbability(input = {}, weights = {}, options = {}) {
   const w = { ...DEFAULT_WEIGHTS, ...input.weights, ...weights };
-
-  const playingTime = input.playingTime != null ? Number(input.playingTime) : null;
-  const recruitingNorm = input.recruitingRank != null
-    ? (Number(input.recruitingRank) <= 1 ? Number(input.recruitingRank) : Number(input.recruitingRank) / 100)
-    : null;
-
-  const rPlaying = riskFromPlayingTime(playingTime);
-  const rDistance = riskFromDistance(input.distanceFromHighSchoolMiles);
-  const rRecruiting = riskFromRecruiting(recruitingNorm, playingTime);
-  const rTeam = riskFromTeamPerformance(input.teamWinRate);
-  const rNIL = riskFromNIL(input.nilScore);
-  const rSnaps = riskFromSnaps(input.snapsPlayed);
-  const rSocial = riskFromSocial(input.socialSentiment);
-
-  const factors = {
-    playingTime: rPlaying,
-    distanceFromHome: rDistance,
-    recruitingRank: rRecruiting,
-    teamPerformance: rTeam,
-    nilCollectives: rNIL,
-    snapsPlayed: rSnaps,
-    socialSentiment: rSocial,
-  };
+  const hasCustomWeights = Object.keys(input.weights || {}).length > 0 || Object.keys(weights || {}).length > 0;
+  const model = options.model !== undefined ? options.model || null : (hasCustomWeights ? null : loadModel());
+
+  // Risk per registered factor, plus explanations copied onto breakdown entries (which change, which competitors).
+  const registered = listFactors();
+  const factors = Object.fromEntries(registered.map((f) => [f.name, factorRisk(f, input)]));
+  const details = Object.fromEntries(registered.map((f) => [f.name, f.details?.(input) ?? null]));
+  const sources = Object.fromEntries(registered.map((f) => [f.name, factorSource(input, f)]));
+
+  if (model) {
+    // Logistic model: weight is the fitted coefficient, contribution is its log-odds share.
+    const probability = predictLogistic(model, factors) * 100;
+    const breakdown = {};
+    for (const [key, risk] of Object.entries(factors)) {
+      const coef = model.coefficients[key] ?? 0;
+      breakdown[key] = { risk: Math.round(risk * 100) / 100, weight: coef, contribution: Math.round(coef * risk * 100) / 100, source: sources[key] };
+      Object.assign(breakdown[key], details[key]);
+    }
+    const { completeness, band } = assessData(sources, (key) => model.coefficients[key], probability, true);
+    return withOutcomes({
+      probability: Math.round(probability * 10) / 10,
+      band,
+      completeness: checkCompleteness(completeness, options),
+      breakdown,
+      factors,
+      model: { version: model.version, type: 'logistic' },
+    }, input, options);
+  }
 
   let totalWeight = 0;
   let weightedSum = 0;
@@ -142,14 +225,22 @@ export function computeTransferProbability(input = {}, weights = {}) {
   const probability = totalWeight > 0 ? (weightedSum / totalWeight) * 100 : 50;
   const breakdown = {};
   for (const [key, risk] of Object.entries(factors)) {
-    breakdown[key] = { risk: Math.round(risk * 100) / 100, weight: w[key] ?? 0, contribution: Math.round((w[key] ?? 0) * risk * 100) / 100 };
+    breakdown[key] = { risk: Math.round(risk * 100) / 100, weight: w[key] ?? 0, contribution: Math.round((w[key] ?? 0) * risk * 100) / 100, source: sources[key] };
+    Object.assign(breakdown[key], details[key]);
   }
+  const { completeness, band } = assessData(sources, (key) => (w[key] > 0 ? w[key] : 0), probability, false);
 
-  return {
+  return withOutcomes({
     probability: Math.round(probability * 10) / 10,
+    band,
+    completeness: checkCompleteness(completeness, options),
     breakdown,
     factors,
-  };
+    model: {
+      version: hasCustomWeights ? (options.profile ? `profile:${options.profile}` : 'custom-weights') : DEFAULT_MODEL_VERSION,
+      type: 'weighted-average',
+    },
+  }, input, options);
 }
 
-export { DEFAULT_WEIGHTS };
+export { DEFAULT_WEIGHTS, DEFAULT_MODEL_VERSION, FACTOR_INPUTS };
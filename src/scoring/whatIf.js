@@ -0,0 +1,271 @@
+/**
+ * What-if analysis on top of computeTransferProbability: score a base input
+ * with some inputs changed, sweep each input over its range (sensitivity), and
+ * solve for the value of one input that brings the probability to a target
+ * with everything else held fixed.
+ */
+
+import { computeTransferProbability } from './transferProbability.js';
+import { percentile } from '../data/baselines.js';
+import { InvalidScenarioError } from '../data/errors.js';
+
+/**
+ * Inputs a scenario may change, with the range swept by sensitivity and solve.
+ * `better` is the direction that lowers transfer risk.
+ */
+export const LEVERS = {
+  playingTime: { label: 'Playing time (usage share)', min: 0, max: 1, step: 0.01, better: 'up' },
+  playingTimePercentile: { label: 'Playing-time percentile in position', min: 0, max: 1, step: 0.01, better: 'up' },
+  snapsPlayed: { label: 'Snaps played (season)', min: 0, max: 1000, step: 10, better: 'up' },
+  snapsPercentile: { label: 'Snaps percentile in position', min: 0, max: 1, step: 0.01, better: 'up' },
+  distanceFromHighSchoolMiles: { label: 'Distance from high school (mi)', min: 0, max: 1500, step: 25, better: 'down' },
+  recruitingRank: { label: 'Recruiting rating (0–1)', min: 0, max: 1, step: 0.01, better: 'down' },
+  teamWinRate: { label: 'Team win rate', min: 0, max: 1, step: 0.01, better: 'up' },
+  nilScore: { label: 'NIL strength', min: 0, max: 1, step: 0.01, better: 'up' },
+  socialSentiment: { label: 'Social sentiment (1 = unhappy)', min: 0, max: 1, step: 0.01, better: 'down' },
+  usageChange: { label: 'Usage change from last season', min: -1, max: 1, step: 0.01, better: 'up' },
+  newcomerShare: { label: 'Lost usage taken by newcomers', min: 0, max: 1, step: 0.01, better: 'down' },
+  missedSeasons: { label: 'Seasons without playing', min: 0, max: 2, step: 1, better: 'down' },
+  coachingChange: { label: 'Coaching change severity', min: 0, max: 1, step: 0.05, better: 'down' },
+  positionRoom: { label: 'Position room crowding', min: 0, max: 1, step: 0.01, better: 'down' },
+  productionPercentile: { label: 'Production percentile in position', min: 0, max: 1, step: 0.01, better: 'up' },
+  expectationGap: { label: 'Win rate below talent expectation', min: -1, max: 1, step: 0.01, better: 'down' },
+};
+
+/** Sweep points per lever in the sensitivity table (including both ends). */
+const DEFAULT_STEPS = 11;
+
+
+function round(n, places = 3) {
+  const f = 10 ** places;
+  return Math.round(n * f) / f;
+}
+
+function leverFor(field) {
+  const lever = LEVERS[field];
+  if (!lever) throw new InvalidScenarioError(`Unknown input "${field}". Use one of: ${Object.keys(LEVERS).join(', ')}.`);
+  return lever;
+}
+
+/** Scorer input without _meta (computeTransferProbability ignores it, but scenarios shouldn't copy it around). */
+function scoringInput(input) {
+  const { _meta, ...rest } = input ?? {};
+  return rest;
+}
+
+/**
+ * Base input with `changes` applied. A changed usage share or snap count is
+ * re-ranked against the player's position baseline when the base was scored on
+ * percentiles (input._meta.baselines.distribution); without a baseline the
+ * percentile is dropped so the changed raw value is what gets scored. A changed
+ * win rate moves the expectation gap by the same amount.
+ *
+ * @returns {{ input: Object, applied: Object, notes: string[] }} applied: field → { from, to }
+ */
+export function applyChanges(base, changes = {}) {
+  const input = scoringInput(base);
+  const applied = {};
+  const notes = [];
+  const distribution = base?._meta?.baselines?.distribution;
+  for (const [field, raw] of Object.entries(changes ?? {})) {
+    if (raw == null || raw === '') continue;
+    const { min, max } = leverFor(field);
+    const value = Number(raw);
+    if (!Number.isFinite(value) || value < min || value > max) {
+      throw new InvalidScenarioError(`${field} must be a number from ${min} to ${max} (got ${raw}).`);
+    }
+    applied[field] = { from: input[field] ?? null, to: value };
+    input[field] = value;
+    input.provenance = { ...input.provenance, [field]: 'override' };
+  }
+  if (applied.playingTime && !applied.playingTimePercentile && input.playingTimePercentile != null) {
+    if (distribution?.usage?.length) {
+      input.playingTimePercentile = round(percentile(distribution.usage, input.playingTime), 2);
+      input.provenance.playingTimePercentile = 'override';
+      notes.push(`Playing time re-ranked against ${input.positionBaseline ?? 'the position baseline'} (percentile ${input.playingTimePercentile}).`);
+    } else {
+      delete input.playingTimePercentile;
+      notes.push('No position baseline to re-rank playing time; scored on the fixed usage scale.');
+    }
+  }
+  if (applied.snapsPlayed && !applied.snapsPercentile && input.snapsPercentile != null) {
+    if (distribution?.snapsPerGame?.length) {
+      input.snapsPercentile = round(percentile(distribution.snapsPerGame, input.snapsPlayed / (input.gamesPlayed || 12)), 2);
+      input.provenance.snapsPercentile = 'override';
+      notes.push(`Snaps re-ranked against ${input.positionBaseline ?? 'the position baseline'} (percentile ${input.snapsPercentile}).`);
+    } else {
+      delete input.snapsPercentile;
+      notes.push('No position baseline to re-rank snaps; scored on the fixed snap scale.');
+    }
+  }
+  if (applied.teamWinRate && !applied.expectationGap && input.expectationGap != null && applied.teamWinRate.from != null) {
+    input.expectationGap = round(input.expectationGap - (applied.teamWinRate.to - applied.teamWinRate.from), 2);
+    input.provenance.expectationGap = 'override';
+    notes.push(`Expectation gap moved with the win rate (now ${input.expectationGap}).`);
+  }
+  return { input, applied, notes };
+}
+
+function probabilityOf(base, changes, scorerArgs) {
+  const { input } = applyChanges(base, changes);
+  return computeTransferProbability(input, scorerArgs.weights, scorerArgs.options).transferProbability;
+}
+
+/**
+ * Score the base input and a scenario with some inputs changed.
+ *
+ * @param {Object} base - scorer input (e.g. from aggregatePlayerInput, _meta included)
+ * @param {Object} changes - lever → new value, e.g. { playingTime: 0.35, nilScore: 0.8 }
+ * @param {Object} [scorerArgs] - { weights, options } passed to computeTransferProbability
+ * @returns {{ base: Object, scenario: Object, delta: number, applied: Object, factorDeltas: Object, notes: string[] }}
+ *   factorDeltas: factor → { from, to, change } in factor risk, for factors the change moved
+ */
+export function runWhatIf(base, changes, { weights, options } = {}) {
+  const baseResult = computeTransferProbability(scoringInput(base), weights, options);
+  const { input, applied, notes } = applyChanges(base, changes);
+  const scenario = computeTransferProbability(input, weights, options);
+  const factorDeltas = {};
+  for (const [key, v] of Object.entries(scenario.breakdown)) {
+    const from = baseResult.breakdown[key]?.risk ?? null;
+    if (from !== v.risk) factorDeltas[key] = { from, to: v.risk, change: round(v.risk - (from ?? 0), 2) };
+  }
+  const summary = (r) => ({ probability: r.transferProbability, band: r.band, completeness: r.completeness, breakdown: r.breakdown, model: r.model });
+  return {
+    base: summary(baseResult),
+    scenario: summary(scenario),
+    delta: round(scenario.transferProbability - baseResult.transferProbability, 1),
+    applied,
+    factorDeltas,
+    notes,
+  };
+}
+
+/**
+ * Sensitivity table: each lever swept over its range with the rest held fixed.
+ *
+ * @param {Object} base - scorer input
+ * @param {Object} [opts]
+ * @param {string[]} [opts.fields] - levers to sweep (default: all; the percentile levers only when the base was scored on percentiles)
+ * @param {number} [opts.steps] - points per lever
+ * @param {Object} [opts.weights]
+ * @param {Object} [opts.options]
+ * @returns {Object[]} per lever, largest swing first: { field, label, current, min, max, points: [{ value, probability }],
+ *   swing (max − min probability), perUnit (probability points per unit over the range, signed), atCurrent }
+ */
+export function sensitivityTable(base, { fields, steps = DEFAULT_STEPS, weights, options } = {}) {
+  const n = Math.max(2, Math.min(101, Math.floor(steps) || DEFAULT_STEPS));
+  const scorerArgs = { weights, options };
+  const current = scoringInput(base);
+  fields ??= Object.keys(LEVERS).filter((f) => !f.endsWith('Percentile') || current[f] != null);
+  const atCurrent = computeTransferProbability(current, weights, options).transferProbability;
+  const rows = fields.map((field) => {
+    const { label, min, max } = leverFor(field);
+    const points = [];
+    for (let i = 0; i < n; i++) {
+      const value = round(min + ((max - min) * i) / (n - 1));
+      points.push({ value, probability: probabilityOf(base, { [field]: value }, scorerArgs) });
+    }
+    const probs = points.map((p) => p.probability);
+    return {
+      field,
+      label,
+      current: current[field] ?? null,
+      min,
+      max,
+      points,
+      swing: round(Math.max(...probs) - Math.min(...probs), 1),
+      perUnit: round((probs[n - 1] - probs[0]) / (max - min), 2),
+      atCurrent,
+    };
+  });
+  return rows.sort((a, b) => b.swing - a.swing);
+}
+
+/**
+ * Value of one lever that brings the probability to `target` (at or below it by
+ * default) with everything else fixed, closest to the current value (or to the middle
+ * of the range when there is none). Risk isn't monotone in every lever (production
+ * raises one factor and lowers the expectation gap's; a trained model can have either
+ * sign), so the lever's whole step grid is scored rather than bisected.
+ *
+ * @param {Object} base - scorer input
+ * @param {string} field - lever to solve for, e.g. "playingTime"
+ * @param {number} target - probability 0–100
+ * @param {Object} [opts]
+ * @param {'below'|'above'} [opts.goal='below'] - reach probability <= target or >= target
+ * @param {Object} [opts.weights]
+ * @param {Object} [opts.options]
+ * @returns {{ field: string, target: number, goal: string, current: number|null, currentProbability: number,
+ *   reachable: boolean, alreadyMet: boolean, value: number|null, probability: number|null, note: string }}
+ */
+export function solveForTarget(base, field, target, { goal = 'below', weights, options } = {}) {
+  const { label, min, max, step } = leverFor(field);
+  const t = Number(target);
+  if (!Number.isFinite(t) || t < 0 || t > 100) throw new InvalidScenarioError(`Target must be a probability from 0 to 100 (got ${target}).`);
+  const scorerArgs = { weights, options };
+  const meets = (p) => (goal === 'above' ? p >= t : p <= t);
+  const at = (value) => probabilityOf(base, { [field]: value }, scorerArgs);
+  const current = scoringInput(base)[field] ?? null;
+  const currentProbability = computeTransferProbability(scoringInput(base), weights, options).transferProbability;
+  const result = { field, target: t, goal, current, currentProbability };
+
+  if (meets(currentProbability)) {
+    return { ...result, reachable: true, alreadyMet: true, value: current, probability: currentProbability, note: `Already ${goal} ${t}%.` };
+  }
+  const grid = [];
+  for (let k = 0; min + k * step < max; k++) grid.push(round(min + k * step));
+  grid.push(max);
+  const points = grid.map((value) => ({ value, probability: at(value) }));
+  const meeting = points.filter((p) => meets(p.probability));
+  if (!meeting.length) {
+    const probs = points.map((p) => p.probability);
+    const best = goal === 'above' ? Math.max(...probs) : Math.min(...probs);
+    return {
+      ...result, reachable: false, alreadyMet: false, value: null, probability: null,
+      note: `${label} alone can't bring the probability ${goal} ${t}% (best ${best}% over ${min}–${max}).`,
+    };
+  }
+  const from = current ?? (min + max) / 2;
+  const { value, probability } = meeting.reduce((a, b) => (Math.abs(b.value - from) < Math.abs(a.value - from) ? b : a));
+  return {
+    ...result, reachable: true, alreadyMet: false, value, probability,
+    note: `${label} ${current != null ? `from ${round(current)} ` : ''}to ${value} brings the probability to ${probability}% (${goal} ${t}%).`,
+  };
+}
+
+/**
+ * Lever ranges with the base input's current values, for building sliders.
+ * @returns {Object[]} { field, label, min, max, step, better, current }
+ */
+export function describeLevers(base) {
+  const input = scoringInput(base);
+  return Object.entries(LEVERS).map(([field, lever]) => ({ field, ...lever, current: input[field] ?? null }));
+}
+
+/**
+ * Full what-if request: the scenario, plus an optional sensitivity table and
+ * solved targets. Shared by POST /api/score/what-if and the CLI.
+ *
+ * @param {Object} base - scorer input
+ * @param {Object} [request]
+ * @param {Object} [request.changes] - lever → value
+ * @param {boolean|Object} [request.sensitivity] - true, or { fields, steps }
+ * @param {Object|Object[]} [request.solve] - { field, target, goal? } or a list of them
+ * @param {Object} [request.weights] - scorer weights (e.g. from a profile)
+ * @param {Object} [request.options] - scorer options
+ * @returns {Object} runWhatIf output plus levers, and sensitivity / solutions when asked for
+ */
+export function analyzeScenario(base, { changes = {}, sensitivity, solve, weights, options } = {}) {
+  if (changes != null && (typeof changes !== 'object' || Array.isArray(changes))) {
+    throw new InvalidScenarioError('changes must be an object of input → value.');
+  }
+  const out = { ...runWhatIf(base, changes ?? {}, { weights, options }), levers: describeLevers(base) };
+  if (sensitivity) out.sensitivity = sensitivityTable(base, { ...(typeof sensitivity === 'object' ? sensitivity : {}), weights, options });
+  if (solve) {
+    out.solutions = (Array.isArray(solve) ? solve : [solve]).map((s) => {
+      if (!s?.field) throw new InvalidScenarioError('Each solve entry needs a field and a target.');
+      return solveForTarget(base, s.field, s.target, { goal: s.goal === 'above' ? 'above' : 'below', weights, options });
+    });
+  }
+  return out;
+}
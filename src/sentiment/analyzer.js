@@ -0,0 +1,127 @@
+/**
+ * Offline transfer-signal analyzer for player quotes and posts. Matches the
+ * football lexicon (lexicon.js), flips phrases preceded by a negator
+ * ("no plans to transfer"), and maps the total to a 0–1 socialSentiment score
+ * (1 = signals leaving, 0.5 = no signal, 0 = signals staying).
+ */
+
+import { LEXICON, NEGATORS, NEGATION_WINDOW } from './lexicon.js';
+
+/** Total signal weight at which the score is ~0.88 (or ~0.12 for staying). */
+const SCALE = 3;
+
+/** A negated phrase counts for less than a stated one. */
+const NEGATED_FACTOR = 0.75;
+
+const PHRASES = LEXICON
+  .map(([phrase, weight, category]) => ({ phrase, weight, category, tokens: tokenize(phrase) }))
+  .sort((a, b) => b.tokens.length - a.tokens.length);
+
+function tokenize(text) {
+  return String(text)
+    .toLowerCase()
+    .replace(/[’‘`']/g, '')
+    .replace(/[^a-z0-9*]+/g, ' ')
+    .trim()
+    .split(' ')
+    .filter(Boolean);
+}
+
+function sentences(text) {
+  return String(text).split(/[.!?\n;]+/).map(clauses).filter((s) => s.tokens.length);
+}
+
+/**
+ * A sentence's tokens plus, for each token, the index where its clause starts.
+ * Phrases may span clauses; negation doesn't ("No regrets, entering the portal").
+ */
+function clauses(sentence) {
+  const tokens = [];
+  const clauseStart = [];
+  for (const part of sentence.split(/[,:()\u2013\u2014]+|\s-+\s/)) {
+    const start = tokens.length;
+    for (const t of tokenize(part)) {
+      tokens.push(t);
+      clauseStart.push(start);
+    }
+  }
+  return { tokens, clauseStart };
+}
+
+/** Most words a `*` in a phrase may stand for ("removed * from his bio" → "removed Ohio State from his bio"). */
+const WILDCARD_MAX_WORDS = 3;
+
+/** End index (exclusive) of `pattern` matched at tokens[i], or -1. */
+function matchAt(tokens, i, pattern, p = 0) {
+  if (p === pattern.length) return i;
+  if (pattern[p] === '*') {
+    for (let n = 1; n <= WILDCARD_MAX_WORDS && i + n <= tokens.length; n++) {
+      const end = matchAt(tokens, i + n, pattern, p + 1);
+      if (end !== -1) return end;
+    }
+    return -1;
+  }
+  return tokens[i] === pattern[p] ? matchAt(tokens, i + 1, pattern, p + 1) : -1;
+}
+
+/**
+ * Lexicon matches in one text. Longer phrases win; each word counts once.
+ * @returns {Object[]} { phrase, text, weight, category, negated }
+ */
+function findMatches(text) {
+  const matches = [];
+  for (const { tokens, clauseStart } of sentences(text)) {
+    const used = new Array(tokens.length).fill(false);
+    for (const entry of PHRASES) {
+      for (let i = 0; i < tokens.length; i++) {
+        const end = matchAt(tokens, i, entry.tokens);
+        if (end === -1 || used.slice(i, end).some(Boolean)) continue;
+        used.fill(true, i, end);
+        // A negator already inside another phrase ("not going anywhere") doesn't flip this one.
+        const start = Math.max(clauseStart[i], i - NEGATION_WINDOW);
+        const negated = tokens.slice(start, i).some((t, k) => !used[start + k] && NEGATORS.has(t));
+        matches.push({
+          phrase: entry.phrase,
+          text: tokens.slice(i, end).join(' '),
+          weight: negated ? -entry.weight * NEGATED_FACTOR : entry.weight,
+          category: entry.category,
+          negated,
+        });
+      }
+    }
+  }
+  return matches;
+}
+
+/**
+ * Score quotes / posts for transfer signals.
+ *
+ * @param {string|string[]} input - one text or several (each quote or post)
+ * @returns {{ score: number, signal: number, matches: Object[], texts: number }}
+ *   score is 0–1 and can be passed as socialSentiment; signal is the summed weight;
+ *   matches are the phrases that drove it (strongest first), with textIndex
+ */
+export function analyzeSentiment(input) {
+  const texts = (Array.isArray(input) ? input : [input]).filter((t) => t != null && String(t).trim());
+  const matches = texts.flatMap((text, textIndex) => findMatches(text).map((m) => ({ ...m, textIndex })));
+  const signal = matches.reduce((sum, m) => sum + m.weight, 0);
+  const score = 0.5 + 0.5 * Math.tanh(signal / SCALE);
+  matches.sort((a, b) => Math.abs(b.weight) - Math.abs(a.weight));
+  return {
+    score: Math.round(score * 100) / 100,
+    signal: Math.round(signal * 100) / 100,
+    matches,
+    texts: texts.length,
+  };
+}
+
+/**
+ * Short "phrase (+w), ..." summary of the strongest matches, for notes and CLI output.
+ * @param {Object[]} matches - from analyzeSentiment
+ */
+export function summarizeMatches(matches, limit = 5) {
+  return matches
+    .slice(0, limit)
+    .map((m) => `"${m.text}"${m.negated ? ' (negated)' : ''} ${m.weight > 0 ? '+' : ''}${Math.round(m.weight * 100) / 100}`)
+    .join(', ');
+}
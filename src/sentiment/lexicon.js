@@ -0,0 +1,115 @@
+/**
+ * Football transfer-signal lexicon. Positive weights point toward leaving
+ * (portal, farewell, frustration, social-media scrubbing); negative weights
+ * point toward staying. `*` matches one to three words.
+ *
+ * [phrase, weight, category]
+ */
+
+export const LEXICON = [
+  // Portal / transfer announcements
+  ['entering the transfer portal', 3, 'portal'],
+  ['enter the transfer portal', 3, 'portal'],
+  ['entered the transfer portal', 3, 'portal'],
+  ['entering the portal', 3, 'portal'],
+  ['enter the portal', 3, 'portal'],
+  ['entered the portal', 3, 'portal'],
+  ['in the portal', 2, 'portal'],
+  ['decided to transfer', 3, 'portal'],
+  ['decision to transfer', 3, 'portal'],
+  ['plan to transfer', 2.5, 'portal'],
+  ['grad transfer', 2, 'portal'],
+  ['graduate transfer', 2, 'portal'],
+  ['years of eligibility remaining', 2, 'portal'],
+  ['year of eligibility remaining', 2, 'portal'],
+  ['do not contact', 1.5, 'portal'],
+  ['portal', 1, 'portal'],
+  ['transfer', 1, 'portal'],
+
+  // Farewell language
+  ['new chapter', 2, 'farewell'],
+  ['next chapter', 2, 'farewell'],
+  ['fresh start', 2, 'farewell'],
+  ['new beginning', 1.5, 'farewell'],
+  ['new home', 1.5, 'farewell'],
+  ['time to move on', 2, 'farewell'],
+  ['moving on', 1.5, 'farewell'],
+  ['with a heavy heart', 2, 'farewell'],
+  ['after much thought', 1.5, 'farewell'],
+  ['after much prayer', 1.5, 'farewell'],
+  ['after careful consideration', 1.5, 'farewell'],
+  ['after long consideration', 1.5, 'farewell'],
+  ['best decision for me and my family', 2, 'farewell'],
+  ['grateful to coach', 1.5, 'farewell'],
+  ['thankful to coach', 1.5, 'farewell'],
+  ['thank you coach', 1.5, 'farewell'],
+  ['grateful for my time', 2, 'farewell'],
+  ['thank you for everything', 1.5, 'farewell'],
+  ['forever grateful', 1.5, 'farewell'],
+  ['will always be a part of me', 2, 'farewell'],
+  ['will always have a special place', 2, 'farewell'],
+  ['the last * years', 1, 'farewell'],
+  ['open to all options', 2, 'farewell'],
+  ['exploring my options', 2, 'farewell'],
+  ['keeping my options open', 2, 'farewell'],
+  ['weighing my options', 1.5, 'farewell'],
+
+  // Social media signals
+  ['unfollowed', 1.5, 'social-media'],
+  ['unfollowing', 1.5, 'social-media'],
+  ['unfollow', 1.5, 'social-media'],
+  ['deleted all', 1.5, 'social-media'],
+  ['deleted his posts', 1.5, 'social-media'],
+  ['wiped his instagram', 1.5, 'social-media'],
+  ['scrubbed', 1.5, 'social-media'],
+  ['removed * from his bio', 2, 'social-media'],
+  ['removed the team from his bio', 2, 'social-media'],
+  ['changed his bio', 1, 'social-media'],
+
+  // Frustration with role
+  ['lack of playing time', 2, 'frustration'],
+  ['not getting reps', 2, 'frustration'],
+  ['not getting the ball', 1.5, 'frustration'],
+  ['not being used', 1.5, 'frustration'],
+  ['buried on the depth chart', 2, 'frustration'],
+  ['depth chart', 0.5, 'frustration'],
+  ['disrespected', 1.5, 'frustration'],
+  ['frustrated', 1.5, 'frustration'],
+  ['frustrating', 1, 'frustration'],
+  ['want to compete somewhere', 2, 'frustration'],
+  ['opportunity to play', 1, 'frustration'],
+  ['bigger role', 1, 'frustration'],
+
+  // Staying / loyalty
+  ['not going anywhere', -3, 'loyalty'],
+  ['not entering the portal', -3, 'loyalty'],
+  ['running it back', -2.5, 'loyalty'],
+  ['run it back', -2.5, 'loyalty'],
+  ['im staying', -3, 'loyalty'],
+  ['i am staying', -3, 'loyalty'],
+  ['staying home', -2, 'loyalty'],
+  ['coming back for', -2, 'loyalty'],
+  ['returning for my', -2, 'loyalty'],
+  ['return for my', -2, 'loyalty'],
+  ['unfinished business', -2, 'loyalty'],
+  ['all in', -1.5, 'loyalty'],
+  ['locked in', -1, 'loyalty'],
+  ['love this place', -2, 'loyalty'],
+  ['love my teammates', -1.5, 'loyalty'],
+  ['my brothers', -1, 'loyalty'],
+  ['this is home', -2, 'loyalty'],
+  ['bleed', -1, 'loyalty'],
+  ['cant wait for next season', -2, 'loyalty'],
+  ['excited for next season', -2, 'loyalty'],
+  ['blessed to be a part', -1.5, 'loyalty'],
+  ['grateful to be here', -1.5, 'loyalty'],
+  ['happy here', -2, 'loyalty'],
+  ['staying', -1.5, 'loyalty'],
+];
+
+/** Words that flip a phrase that follows within NEGATION_WINDOW words. */
+export const NEGATORS = new Set([
+  'not', 'no', 'never', 'dont', 'didnt', 'wont', 'isnt', 'aint', 'cant', 'wasnt', 'without', 'nothing', 'nobody', 'neither', 'nor',
+]);
+
+export const NEGATION_WINDOW = 3;
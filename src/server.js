@@ -1,19 +1,67 @@
 /**
  * HTTP server: serves UI and API.
  * GET / → UI; GET /health, GET /?team=... → API; POST /score or /api/score → API.
+ * GET /api/teams/:team/risk → full-roster report; GET /api/leaderboard → conference or national program ranking.
+ * GET/POST /api/players/:id/overrides, PUT/DELETE /api/players/:id/overrides/:overrideId → stored manual inputs.
+ * POST /api/sentiment → score quotes/posts as socialSentiment (optionally store it).
+ * POST /api/score/batch → score a list of players (JSON or CSV body), one result per row.
+ * POST /api/score/what-if → scenario delta, sensitivity table and solved targets.
+ * POST /api/compare → two to six players side by side, factors ranked by difference.
+ * GET/POST /api/watchlist, PUT/DELETE /api/watchlist/:playerId, POST /api/watchlist/refresh → watchlist;
+ * GET /api/players/:id/history → score time series. CFB_REFRESH_MINUTES re-scores the watchlist on a timer.
+ * GET /api/players/:id/destinations → likely landing spots from similar players' past portal moves.
+ * GET/POST /api/profiles, DELETE /api/profiles/:name → weight profiles (`profile` / `weights` on scoring routes).
+ * GET /api/factors → registered scoring factors (built-in and CFB_FACTORS_DIR).
+ * GET /openapi.json → API description. Queries and bodies are checked against src/http/schemas.js;
+ * every error is `{ error, code, status }` (see sendError).
  */
 
 import { createServer } from 'node:http';
 import { readFileSync, existsSync } from 'node:fs';
 import { fileURLToPath } from 'node:url';
 import { dirname, join } from 'node:path';
-import { CFBD_API_KEY } from './config.js';
+import { CFBD_API_KEY, REFRESH_INTERVAL_MINUTES, MIN_COMPLETENESS, INCOMPLETE_MODE } from './config.js';
 import { aggregatePlayerInput } from './data/aggregate.js';
-import { computeTransferProbability } from './scoring/transferProbability.js';
+import { computeTransferProbability, FACTOR_INPUTS } from './scoring/transferProbability.js';
+import { buildTeamRiskReport } from './reports/teamRisk.js';
+import { buildLeaderboard, formatLeaderboard } from './reports/leaderboard.js';
+import { comparePlayers } from './reports/compare.js';
+import { predictDestinations } from './reports/destinations.js';
+import {
+  AmbiguousPlayerError, PlayerNotFoundError, InvalidOverrideError, OverrideNotFoundError, InvalidBatchError, InvalidWatchError, WatchNotFoundError,
+  InvalidScenarioError, InsufficientDataError, InvalidWeightsError, ProfileNotFoundError, InvalidRequestError, MalformedRequestError,
+  TeamsNotFoundError,
+} from './data/errors.js';
+import { CfbdError } from './api/errors.js';
+import { listOverrides, addOverride, updateOverride, removeOverride, latestOverrides } from './data/overrides.js';
+import { analyzeSentiment, summarizeMatches } from './sentiment/analyzer.js';
+import { parseBatchInput, scoreBatch, formatBatch, flattenBatchResults } from './reports/batch.js';
+import { listWatchlist, getWatch, upsertWatch, removeWatch } from './data/watchlist.js';
+import { getHistory } from './data/history.js';
+import { refreshWatchlist, addToWatchlist } from './watch/refresh.js';
+import { analyzeScenario } from './scoring/whatIf.js';
+import { ELIGIBILITY_INPUTS } from './scoring/outcomes.js';
+import { listProfiles, saveProfile, removeProfile, resolveWeights } from './scoring/profiles.js';
+import { listFactors } from './scoring/registry.js';
+import { OPERATIONS, querySchema } from './http/schemas.js';
+import { assertValid, parseQuery, parseJsonBody } from './http/validate.js';
+import { buildOpenApi } from './http/openapi.js';
 
 const __dirname = dirname(fileURLToPath(import.meta.url));
 const PORT = Number(process.env.PORT) || 3000;
 const PUBLIC_DIR = join(__dirname, '..', 'public');
+const FACTOR_FIELDS = new Set([...Object.values(FACTOR_INPUTS).flat(), ...ELIGIBILITY_INPUTS]);
+const LOOKUP_FIELDS = ['playerName', 'team', 'playerId'];
+
+/** Error class → HTTP status; anything else is a 500. */
+const ERROR_STATUS = [
+  [MalformedRequestError, 400],
+  [PlayerNotFoundError, 404], [OverrideNotFoundError, 404], [WatchNotFoundError, 404], [ProfileNotFoundError, 404], [TeamsNotFoundError, 404],
+  [AmbiguousPlayerError, 409],
+  [InvalidRequestError, 422], [InvalidOverrideError, 422], [InvalidBatchError, 422], [InvalidWatchError, 422],
+  [InvalidScenarioError, 422], [InvalidWeightsError, 422], [InsufficientDataError, 422],
+  [CfbdError, 502],
+];
 
 function serveHtml(res, path) {
   const full = join(PUBLIC_DIR, path === '/' ? 'index.html' : path);
@@ -24,13 +72,91 @@ function serveHtml(res, path) {
   return true;
 }
 
+function sendJson(res, status, body) {
+  res.setHeader('Content-Type', 'application/json');
+  res.statusCode = status;
+  res.end(JSON.stringify(body, null, 2));
+}
+
+/** The error envelope every route uses: `{ error, code, status }` plus any details. */
+function sendErrorBody(res, status, code, message, details = {}) {
+  res.setHeader('Content-Type', 'application/json');
+  res.statusCode = status;
+  res.end(JSON.stringify({ error: message, code, status, ...details }));
+}
+
+/**
+ * 400 for a malformed body, 404 for an unknown player, override, watchlist entry,
+ * profile or conference, 409 with candidates for an ambiguous player, 422 with field errors
+ * for an invalid request (or too little data in refuse mode), 502 when CFBD fails.
+ * Anything else is logged and returned as a generic 500.
+ */
+function sendError(res, e) {
+  const status = ERROR_STATUS.find(([type]) => e instanceof type)?.[1];
+  if (!status) {
+    console.error(e);
+    sendErrorBody(res, 500, 'internal_error', 'Internal server error.');
+    return;
+  }
+  const code = e instanceof CfbdError ? `cfbd_${e.code.replace(/^cfbd_/, '')}` : e.code;
+  if (e.retryAfterMs) res.setHeader('Retry-After', String(Math.ceil(e.retryAfterMs / 1000)));
+  sendErrorBody(res, status, code, e.message, { errors: e.errors, candidates: e.candidates, completeness: e.completeness });
+}
+
+/** Query parameters for a route, typed and checked against its schema. */
+function checkQuery(operation, url) {
+  return parseQuery(querySchema(operation), url.searchParams);
+}
+
+/** Query (typed) and JSON body for a route, both checked against its schemas. */
+async function checkRequest(operation, req, url) {
+  const query = checkQuery(operation, url);
+  const body = operation.body ? assertValid(operation.body, parseJsonBody(await readBody(req))) : undefined;
+  return { query, body };
+}
+
+/** 422 unless at least one of `fields` is set; for checks a per-field schema can't express. */
+function requireOneOf(values, fields, message) {
+  if (fields.some((f) => values[f] != null && String(values[f]).trim() !== '')) return;
+  const missing = fields.length > 1 ? `one of ${fields.join(', ')} is required` : 'is required';
+  throw new InvalidRequestError(message, { errors: fields.map((field) => ({ field, message: missing })) });
+}
+
+/** Completeness check options, defaulting to CFB_MIN_COMPLETENESS / CFB_INCOMPLETE_MODE. */
+function completenessOptions({ minCompleteness, onIncomplete }) {
+  return { minCompleteness: minCompleteness ?? MIN_COMPLETENESS, onIncomplete: onIncomplete ?? INCOMPLETE_MODE };
+}
+
+/** Quote/post texts from a body's `text` (string) or `texts` (array). */
+function bodyTexts(json, textKey = 'text', textsKey = 'texts') {
+  const texts = Array.isArray(json?.[textsKey]) ? json[textsKey] : [];
+  return json?.[textKey] != null ? [json[textKey], ...texts] : texts;
+}
+
+async function readBody(req) {
+  let body = '';
+  for await (const chunk of req) body += chunk;
+  return body;
+}
+
 async function handleRequest(req, res) {
   const url = new URL(req.url || '/', `http://${req.headers.host}`);
+  const methodNotAllowed = () => sendErrorBody(res, 405, 'method_not_allowed', `${req.method} not supported on ${url.pathname}`);
 
   if (req.method === 'GET' && url.pathname === '/health') {
-    res.setHeader('Content-Type', 'application/json');
-    res.statusCode = 200;
-    res.end(JSON.stringify({ status: 'ok', service: 'cfb-loyalty-index' }));
+    sendJson(res, 200, { status: 'ok', service: 'cfb-loyalty-index' });
+    return;
+  }
+
+  if (req.method === 'GET' && url.pathname === '/openapi.json') {
+    sendJson(res, 200, buildOpenApi());
+    return;
+  }
+
+  if (req.method === 'GET' && url.pathname === '/api/factors') {
+    checkQuery(OPERATIONS.listFactors, url);
+    const factors = listFactors().map(({ name, label, weight, description, inputs, builtIn }) => ({ name, label, weight, description, inputs, builtIn }));
+    sendJson(res, 200, { factors });
     return;
   }
 
@@ -39,67 +165,301 @@ async function handleRequest(req, res) {
   }
 
   if (req.method === 'GET' && url.pathname === '/' && url.searchParams.has('team')) {
-    res.setHeader('Content-Type', 'application/json');
-    const year = url.searchParams.get('year') || new Date().getFullYear();
-    const team = url.searchParams.get('team');
-    try {
-      const input = await aggregatePlayerInput({ year: Number(year), team, playerName: url.searchParams.get('player') || undefined });
-      const result = computeTransferProbability(input);
+    const query = checkQuery(OPERATIONS.scorePlayerQuery, url);
+    const { weights, profile } = resolveWeights({ profile: query.profile });
+    const input = await aggregatePlayerInput({
+      year: query.year ?? new Date().getFullYear(),
+      team: query.team,
+      playerName: query.player,
+      playerId: query.playerId,
+      position: query.position,
+      hometown: query.hometown,
+    });
+    const result = computeTransferProbability(input, weights, { ...completenessOptions(query), profile });
+    sendJson(res, 200, { input: { ...input, _meta: input._meta }, ...result });
+    return;
+  }
+
+  const teamRiskMatch = req.method === 'GET' && url.pathname.match(/^\/api\/teams\/([^/]+)\/risk$/);
+  if (teamRiskMatch) {
+    const query = checkQuery(OPERATIONS.teamRisk, url);
+    const report = await buildTeamRiskReport({
+      year: query.year ?? new Date().getFullYear(),
+      team: decodeURIComponent(teamRiskMatch[1]),
+      thresholds: query.thresholds ? query.thresholds.split(',').map(Number) : undefined,
+      ...resolveWeights({ profile: query.profile }),
+    });
+    sendJson(res, 200, report);
+    return;
+  }
+
+  if (req.method === 'GET' && url.pathname === '/api/leaderboard') {
+    const query = checkQuery(OPERATIONS.leaderboard, url);
+    const board = await buildLeaderboard({
+      year: query.year ?? new Date().getFullYear(),
+      conference: query.conference,
+      highRisk: query.highRisk,
+      sort: query.sort,
+      ...resolveWeights({ profile: query.profile }),
+    });
+    if (query.format === 'csv') {
+      res.setHeader('Content-Type', 'text/csv; charset=utf-8');
       res.statusCode = 200;
-      res.end(JSON.stringify({ input: { ...input, _meta: input._meta }, ...result }, null, 2));
+      res.end(formatLeaderboard(board, 'csv'));
+    } else {
+      sendJson(res, 200, board);
+    }
+    return;
+  }
+
+  const overridesMatch = url.pathname.match(/^\/api\/players\/([^/]+)\/overrides(?:\/([^/]+))?$/);
+  if (overridesMatch) {
+    const playerId = decodeURIComponent(overridesMatch[1]);
+    const overrideId = overridesMatch[2] ? decodeURIComponent(overridesMatch[2]) : null;
+    if (req.method === 'GET' && !overrideId) {
+      checkQuery(OPERATIONS.listOverrides, url);
+      sendJson(res, 200, { playerId, overrides: listOverrides(playerId), latest: latestOverrides(playerId).values });
       return;
-    } catch (e) {
-      res.statusCode = 500;
-      res.end(JSON.stringify({ error: e.message }));
+    }
+    if (req.method === 'POST' && !overrideId) {
+      const { body } = await checkRequest(OPERATIONS.addOverride, req, url);
+      sendJson(res, 201, addOverride(playerId, body));
+      return;
+    }
+    if ((req.method === 'PUT' || req.method === 'PATCH') && overrideId) {
+      const { body } = await checkRequest(OPERATIONS.updateOverride, req, url);
+      sendJson(res, 200, updateOverride(playerId, overrideId, body));
       return;
     }
+    if (req.method === 'DELETE' && overrideId) {
+      checkQuery(OPERATIONS.removeOverride, url);
+      removeOverride(playerId, overrideId);
+      res.statusCode = 204;
+      res.end();
+      return;
+    }
+    methodNotAllowed();
+    return;
   }
 
-  const isScorePost = req.method === 'POST' && (url.pathname === '/score' || url.pathname === '/api/score');
-  if (isScorePost) {
-    res.setHeader('Content-Type', 'application/json');
-    let body = '';
-    for await (const chunk of req) body += chunk;
-    let json;
-    try {
-      json = JSON.parse(body || '{}');
-    } catch {
-      res.statusCode = 400;
-      res.end(JSON.stringify({ error: 'Invalid JSON body' }));
+  const historyMatch = req.method === 'GET' && url.pathname.match(/^\/api\/players\/([^/]+)\/history$/);
+  if (historyMatch) {
+    const query = checkQuery(OPERATIONS.history, url);
+    const history = getHistory(decodeURIComponent(historyMatch[1]), { since: query.since, limit: query.limit });
+    const series = history.snapshots.map((s) => ({ at: s.at, probability: s.probability }));
+    sendJson(res, 200, { ...history, series });
+    return;
+  }
+
+  const destinationsMatch = req.method === 'GET' && url.pathname.match(/^\/api\/players\/([^/]+)\/destinations$/);
+  if (destinationsMatch) {
+    const query = checkQuery(OPERATIONS.destinations, url);
+    const playerId = decodeURIComponent(destinationsMatch[1]);
+    // A watched player can be looked up by id alone.
+    const watch = query.team ? null : getWatch(playerId);
+    const team = query.team ?? watch?.team;
+    requireOneOf({ team, playerName: query.playerName }, ['team', 'playerName'], `Query needs team or playerName (player ${playerId} is not on the watchlist).`);
+    const report = await predictDestinations({
+      year: query.year ?? watch?.year ?? new Date().getFullYear(),
+      team,
+      playerId,
+      playerName: query.playerName,
+      position: query.position,
+      hometown: query.hometown,
+      seasons: query.seasons,
+      limit: query.limit,
+      ...resolveWeights({ profile: query.profile }),
+    });
+    sendJson(res, 200, report);
+    return;
+  }
+
+  const profileMatch = url.pathname.match(/^\/api\/profiles(?:\/([^/]+))?$/);
+  if (profileMatch) {
+    const name = profileMatch[1] ? decodeURIComponent(profileMatch[1]) : null;
+    if (req.method === 'GET' && !name) {
+      checkQuery(OPERATIONS.listProfiles, url);
+      sendJson(res, 200, { profiles: listProfiles() });
       return;
     }
-    const { year, team, playerName, distanceFromHighSchoolMiles, nilScore, socialSentiment, ...rest } = json;
-    const input = { year, team, playerName, distanceFromHighSchoolMiles, nilScore, socialSentiment, ...rest };
-    if (year != null) input.year = Number(year);
-    const hasLookup = (input.team && String(input.team).trim()) || (input.playerName && String(input.playerName).trim());
-    const hasRawScore = input.playingTime != null || input.teamWinRate != null || input.recruitingRank != null;
-    if (!hasLookup && hasRawScore) {
-      const result = computeTransferProbability(input);
-      res.statusCode = 200;
-      res.end(JSON.stringify(result, null, 2));
+    if (req.method === 'POST' && !name) {
+      const { body } = await checkRequest(OPERATIONS.saveProfile, req, url);
+      const { profile, created } = saveProfile(body);
+      sendJson(res, created ? 201 : 200, profile);
       return;
     }
-    try {
-      const aggregated = await aggregatePlayerInput(input);
-      const merged = { ...aggregated, ...input };
-      delete merged._meta;
-      const result = computeTransferProbability(merged);
-      res.statusCode = 200;
-      res.end(JSON.stringify({ input: { ...merged, _meta: aggregated._meta }, ...result }, null, 2));
+    if (req.method === 'DELETE' && name) {
+      checkQuery(OPERATIONS.removeProfile, url);
+      removeProfile(name);
+      res.statusCode = 204;
+      res.end();
       return;
-    } catch (e) {
-      res.statusCode = 500;
-      res.end(JSON.stringify({ error: e.message }));
+    }
+    methodNotAllowed();
+    return;
+  }
+
+  const watchMatch = url.pathname.match(/^\/api\/watchlist(?:\/([^/]+))?$/);
+  if (watchMatch) {
+    const playerId = watchMatch[1] ? decodeURIComponent(watchMatch[1]) : null;
+    if (req.method === 'GET' && !playerId) {
+      checkQuery(OPERATIONS.listWatchlist, url);
+      const players = listWatchlist().map((w) => ({ ...w, last: getHistory(w.playerId, { limit: 1 }).snapshots[0] ?? null }));
+      sendJson(res, 200, { players });
+      return;
+    }
+    if (req.method === 'POST' && playerId === 'refresh') {
+      const { query, body } = await checkRequest(OPERATIONS.refreshWatchlist, req, url);
+      sendJson(res, 200, await refreshWatchlist({ year: body.year ?? query.year }));
       return;
     }
+    if (req.method === 'POST' && !playerId) {
+      const { body } = await checkRequest(OPERATIONS.addWatch, req, url);
+      requireOneOf(body, ['playerName', 'playerId'], 'Body needs playerName (with optional team) or playerId.');
+      sendJson(res, 201, await addToWatchlist(body));
+      return;
+    }
+    if ((req.method === 'PUT' || req.method === 'PATCH') && playerId) {
+      const { body: { thresholds, moveBy, note, year } } = await checkRequest(OPERATIONS.updateWatch, req, url);
+      if (!getWatch(playerId)) throw new WatchNotFoundError(`Player ${playerId} is not on the watchlist.`);
+      sendJson(res, 200, upsertWatch({ playerId, thresholds, moveBy, note, year }));
+      return;
+    }
+    if (req.method === 'DELETE' && playerId) {
+      checkQuery(OPERATIONS.removeWatch, url);
+      removeWatch(playerId);
+      res.statusCode = 204;
+      res.end();
+      return;
+    }
+    methodNotAllowed();
+    return;
   }
 
-  res.setHeader('Content-Type', 'application/json');
-  res.statusCode = 404;
-  res.end(JSON.stringify({ error: 'Not found. Try GET / for UI, GET /?team=... or POST /api/score for API.' }));
+  if (req.method === 'POST' && url.pathname === '/api/sentiment') {
+    const { body: json } = await checkRequest(OPERATIONS.sentiment, req, url);
+    requireOneOf(json, ['text', 'texts'], 'Body needs text (string) or texts (array of strings).');
+    if (json.save) requireOneOf(json, ['playerId'], 'save needs a playerId to store the score under.');
+    const result = analyzeSentiment(bodyTexts(json));
+    let stored = null;
+    if (json.save) {
+      stored = addOverride(json.playerId, {
+        socialSentiment: result.score,
+        source: json.source ?? 'sentiment-analyzer',
+        note: json.note ?? (summarizeMatches(result.matches) || 'no transfer-signal phrases'),
+        author: json.author,
+        playerName: json.playerName,
+        team: json.team,
+      });
+    }
+    sendJson(res, stored ? 201 : 200, { socialSentiment: result.score, ...result, stored });
+    return;
+  }
+
+  if (req.method === 'POST' && url.pathname === '/api/score/batch') {
+    const query = checkQuery(OPERATIONS.batch, url);
+    const body = await readBody(req);
+    let rows;
+    let options = {};
+    if (/csv/i.test(req.headers['content-type'] ?? '')) {
+      rows = parseBatchInput(body, 'csv');
+    } else {
+      const json = assertValid(OPERATIONS.batch.body, parseJsonBody(body));
+      rows = Array.isArray(json) ? json : json.players;
+      if (!Array.isArray(json)) options = json;
+    }
+    const scoring = completenessOptions({
+      minCompleteness: query.minCompleteness ?? options.minCompleteness,
+      onIncomplete: query.onIncomplete ?? options.onIncomplete,
+    });
+    const weights = resolveWeights({ profile: query.profile ?? options.profile, weights: options.weights });
+    const batch = await scoreBatch(rows, { year: query.year ?? options.year, ...scoring, ...weights });
+    if ((query.format ?? options.format) === 'csv') {
+      res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+      res.statusCode = 200;
+      res.end(formatBatch(batch, 'csv'));
+    } else {
+      sendJson(res, 200, { summary: batch.summary, rows: flattenBatchResults(batch.results), _meta: batch._meta });
+    }
+    return;
+  }
+
+  if (req.method === 'POST' && url.pathname === '/api/score/what-if') {
+    // Either a scorer input already in hand (e.g. from a POST /api/score response) or a player lookup.
+    const { input, changes, sensitivity, solve, profile: profileName, weights: customWeights, ...lookup } = (await checkRequest(OPERATIONS.whatIf, req, url)).body;
+    if (!input) requireOneOf(lookup, LOOKUP_FIELDS, 'Body needs input (a scorer input) or a player lookup (playerName, team or playerId).');
+    const { weights, profile } = resolveWeights({ profile: profileName, weights: customWeights });
+    const base = input ?? await aggregatePlayerInput(lookup);
+    const scenario = analyzeScenario(base, { changes, sensitivity, solve, weights, options: { profile } });
+    sendJson(res, 200, { ...scenario, ...(input ? {} : { input: base }) });
+    return;
+  }
+
+  if (req.method === 'POST' && url.pathname === '/api/compare') {
+    const { players, year, profile, weights, ...options } = (await checkRequest(OPERATIONS.compare, req, url)).body;
+    const comparison = await comparePlayers(players, { year, ...completenessOptions(options), ...resolveWeights({ profile, weights }) });
+    sendJson(res, 200, comparison);
+    return;
+  }
+
+  const isScorePost = req.method === 'POST' && (url.pathname === '/score' || url.pathname === '/api/score');
+  if (isScorePost) {
+    const { body: json } = await checkRequest(OPERATIONS.scorePlayer, req, url);
+    const { socialText, socialTexts, minCompleteness, onIncomplete, profile: profileName, weights: customWeights, ...input } = json;
+    const resolved = resolveWeights({ profile: profileName, weights: customWeights });
+    const options = { ...completenessOptions({ minCompleteness, onIncomplete }), profile: resolved.profile };
+    const texts = bodyTexts(json, 'socialText', 'socialTexts');
+    const sentiment = input.socialSentiment == null && texts.length ? analyzeSentiment(texts) : null;
+    if (sentiment) input.socialSentiment = sentiment.score;
+    const hasLookup = LOOKUP_FIELDS.some((f) => input[f] != null && String(input[f]).trim() !== '');
+    const hasRawScore = input.playingTime != null || input.teamWinRate != null || input.recruitingRank != null;
+    if (!hasLookup && hasRawScore) {
+      if (sentiment) input.provenance = { socialSentiment: 'estimated' };
+      const result = computeTransferProbability(input, resolved.weights, options);
+      sendJson(res, 200, sentiment ? { ...result, sentiment } : result);
+      return;
+    }
+    requireOneOf(input, LOOKUP_FIELDS, 'Body needs a player lookup (playerName, team or playerId) or raw scorer inputs (playingTime, teamWinRate, recruitingRank, ...).');
+    const aggregated = await aggregatePlayerInput(input);
+    const merged = { ...aggregated, ...input };
+    delete merged._meta;
+    // Values in the body are overrides, except a sentiment score computed from quotes.
+    merged.provenance = { ...aggregated.provenance };
+    for (const field of Object.keys(input)) {
+      if (FACTOR_FIELDS.has(field)) merged.provenance[field] = 'override';
+    }
+    if (sentiment) merged.provenance.socialSentiment = 'estimated';
+    // A class year or redshirt in the body re-derives eligibility left unless that is given too.
+    if ((input.classYear != null || input.redshirted != null) && input.eligibilityRemaining == null) {
+      for (const field of ['redshirted', 'eligibilityRemaining', 'draftEligible', 'eligibilityNote']) if (input[field] == null) delete merged[field];
+    }
+    const result = computeTransferProbability(merged, resolved.weights, options);
+    sendJson(res, 200, { input: { ...merged, _meta: { ...aggregated._meta, sentiment } }, ...result });
+    return;
+  }
+
+  sendErrorBody(res, 404, 'route_not_found', 'Not found. Try GET / for the UI, GET /openapi.json for the API description.');
 }
 
-const server = createServer(handleRequest);
+/** Re-score the watchlist every REFRESH_INTERVAL_MINUTES; a run still in progress skips the next tick. */
+function startRefreshTimer() {
+  let running = false;
+  const timer = setInterval(async () => {
+    if (running) return;
+    running = true;
+    try {
+      const { results, alerts } = await refreshWatchlist();
+      console.log(`[refresh] ${new Date().toISOString()} ${results.length} watched player(s), ${alerts.length} alert(s)`);
+    } catch (e) {
+      console.error(`[refresh] failed: ${e.message}`);
+    } finally {
+      running = false;
+    }
+  }, REFRESH_INTERVAL_MINUTES * 60 * 1000);
+  timer.unref();
+}
+
+const server = createServer((req, res) => handleRequest(req, res).catch((e) => sendError(res, e)));
 server.listen(PORT, () => {
   console.log(`CFB Loyalty Index at http://localhost:${PORT}/`);
   if (CFBD_API_KEY) {
@@ -110,4 +470,19 @@ server.listen(PORT, () => {
   console.log('  GET /             – UI');
   console.log('  GET /?team=...    – score from API');
   console.log('  POST /api/score  – score with JSON body');
+  console.log('  GET /api/teams/:team/risk – full-roster report');
+  console.log('  GET /api/leaderboard?conference=SEC – program retention leaderboard');
+  console.log('  POST /api/sentiment – score quotes/posts as socialSentiment');
+  console.log('  POST /api/score/batch – score a JSON array or CSV of players');
+  console.log('  POST /api/score/what-if – scenarios, sensitivity, solve for a target');
+  console.log('  POST /api/compare – compare two to six players side by side');
+  console.log('  /api/watchlist, GET /api/players/:id/history – watchlist and score history');
+  console.log('  GET /api/players/:id/destinations – likely transfer destinations');
+  console.log('  GET/POST /api/profiles – weight profiles');
+  console.log('  GET /api/factors – registered scoring factors');
+  console.log('  GET /openapi.json – API description');
+  if (REFRESH_INTERVAL_MINUTES > 0) {
+    startRefreshTimer();
+    console.log(`  Watchlist refresh every ${REFRESH_INTERVAL_MINUTES} min`);
+  }
 });
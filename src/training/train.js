@@ -0,0 +1,74 @@
+/**
+ * Model training: builds a labeled dataset from past seasons (factor risks for
+ * season N vs. portal entry for season N+1), fits a logistic model and writes
+ * a versioned model file the scorer loads in place of DEFAULT_WEIGHTS.
+ */
+
+import { buildLabeledScores } from '../reports/backtest.js';
+import { computeTransferProbability, DEFAULT_WEIGHTS } from '../scoring/transferProbability.js';
+import { fitLogistic, predictLogistic, newModelVersion, saveModel } from '../scoring/model.js';
+import { auc, brierScore } from '../scoring/metrics.js';
+
+/**
+ * Labeled samples for the given seasons: one per rostered player, features are
+ * the factor risks from the scorer (always computed with default weights).
+ *
+ * @param {Object} opts
+ * @param {number[]} opts.years
+ * @param {string} [opts.team]
+ * @param {string} [opts.conference]
+ * @returns {Promise<{ samples: Object[], warnings: string[] }>}
+ */
+export async function buildTrainingSet({ years, team, conference }) {
+  const samples = [];
+  const warnings = [];
+  for (const year of years) {
+    const { rows, warnings: w } = await buildLabeledScores({ year, team, conference });
+    warnings.push(...w.map((msg) => `${year} ${msg}`));
+    for (const row of rows) {
+      const { factors } = computeTransferProbability(row.input, {}, { model: false, outcomes: false });
+      samples.push({ features: factors, label: row.enteredPortal ? 1 : 0, year, team: row.team, playerName: row.playerName });
+    }
+  }
+  return { samples, warnings };
+}
+
+/**
+ * Build the dataset, fit the model and (unless dryRun) save it as the active model.
+ *
+ * @param {Object} opts
+ * @param {number[]} opts.years - seasons to train on (each labeled by the following year's portal)
+ * @param {string} [opts.team]
+ * @param {string} [opts.conference]
+ * @param {boolean} [opts.dryRun] - fit and report without writing the model file
+ * @returns {Promise<{ model: Object, paths: Object|null, warnings: string[] }>}
+ */
+export async function trainModel({ years, team, conference, dryRun = false }) {
+  if (!Array.isArray(years) || years.length === 0) {
+    throw new Error('Provide at least one training season (e.g. --years=2021,2022).');
+  }
+  const { samples, warnings } = await buildTrainingSet({ years, team, conference });
+  const positives = samples.filter((s) => s.label).length;
+  if (positives === 0 || positives === samples.length) {
+    throw new Error(`Training set needs both outcomes (got ${samples.length} samples, ${positives} transfers).`);
+  }
+
+  const featureNames = Object.keys(DEFAULT_WEIGHTS);
+  const { intercept, coefficients } = fitLogistic(samples, featureNames);
+  const fitted = { intercept, coefficients };
+  const predictions = samples.map((s) => predictLogistic(fitted, s.features));
+  const outcomes = samples.map((s) => s.label);
+
+  const model = {
+    version: newModelVersion(),
+    type: 'logistic',
+    createdAt: new Date().toISOString(),
+    trainedOn: { years, team: team ?? null, conference: conference ?? null, samples: samples.length, positives },
+    intercept,
+    coefficients,
+    trainingMetrics: { auc: auc(predictions, outcomes), brier: brierScore(predictions, outcomes) },
+  };
+
+  const paths = dryRun ? null : saveModel(model);
+  return { model, paths, warnings };
+}
@@ -0,0 +1,83 @@
+/**
+ * Change alerts for watched players: a probability crossing one of the entry's
+ * thresholds, or moving by at least `moveBy` points since the last snapshot.
+ * Delivered to stdout, a JSON-lines log file and/or a webhook.
+ */
+
+import { appendFileSync, mkdirSync } from 'fs';
+import { dirname } from 'path';
+import { ALERT_LOG_PATH, ALERT_WEBHOOK_URL } from '../config.js';
+
+/**
+ * Alerts between the previous and current snapshot of one player.
+ *
+ * @param {Object|null} previous - last snapshot (none → no alerts)
+ * @param {Object} current - new snapshot
+ * @param {Object} watch - watchlist entry ({ playerId, playerName, team, thresholds, moveBy })
+ * @returns {Object[]} { type: 'crossed_above'|'crossed_below'|'moved', playerId, playerName, team, from, to, change, threshold?, at, message }
+ */
+export function detectAlerts(previous, current, watch) {
+  if (!previous || previous.probability == null || current.probability == null) return [];
+  const from = previous.probability;
+  const to = current.probability;
+  const change = Math.round((to - from) * 10) / 10;
+  const who = `${watch.playerName ?? watch.playerId}${watch.team ? ` (${watch.team})` : ''}`;
+  const base = { playerId: watch.playerId, playerName: watch.playerName ?? null, team: watch.team ?? null, from, to, change, at: current.at };
+  const alerts = [];
+  for (const threshold of watch.thresholds ?? []) {
+    if (from < threshold && to >= threshold) {
+      alerts.push({ ...base, type: 'crossed_above', threshold, message: `${who} rose above ${threshold}%: ${from}% → ${to}%` });
+    } else if (from >= threshold && to < threshold) {
+      alerts.push({ ...base, type: 'crossed_below', threshold, message: `${who} fell below ${threshold}%: ${from}% → ${to}%` });
+    }
+  }
+  if (watch.moveBy > 0 && Math.abs(change) >= watch.moveBy) {
+    alerts.push({ ...base, type: 'moved', message: `${who} moved ${change > 0 ? '+' : ''}${change} points: ${from}% → ${to}%` });
+  }
+  return alerts;
+}
+
+/**
+ * Send alerts to every configured channel. A failing channel is reported in
+ * the result, not thrown, so one bad webhook doesn't stop a refresh.
+ *
+ * @param {Object[]} alerts
+ * @param {Object} [channels]
+ * @param {boolean} [channels.stdout=true]
+ * @param {string} [channels.logPath] - JSON lines file (default CFB_ALERT_LOG)
+ * @param {string} [channels.webhookUrl] - POSTed { alerts } as JSON (default CFB_ALERT_WEBHOOK)
+ * @returns {Promise<{ delivered: string[], failed: Object[] }>} channel names, and { channel, message } per failure
+ */
+export async function deliverAlerts(alerts, { stdout = true, logPath = ALERT_LOG_PATH, webhookUrl = ALERT_WEBHOOK_URL } = {}) {
+  const delivered = [];
+  const failed = [];
+  if (alerts.length === 0) return { delivered, failed };
+
+  if (stdout) {
+    for (const a of alerts) console.log(`[alert] ${a.at} ${a.message}`);
+    delivered.push('stdout');
+  }
+  if (logPath) {
+    try {
+      mkdirSync(dirname(logPath), { recursive: true });
+      appendFileSync(logPath, alerts.map((a) => JSON.stringify(a)).join('\n') + '\n');
+      delivered.push('log');
+    } catch (e) {
+      failed.push({ channel: 'log', message: e.message });
+    }
+  }
+  if (webhookUrl) {
+    try {
+      const res = await fetch(webhookUrl, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ service: 'cfb-loyalty-index', alerts }),
+      });
+      if (!res.ok) throw new Error(`webhook responded ${res.status}`);
+      delivered.push('webhook');
+    } catch (e) {
+      failed.push({ channel: 'webhook', message: e.message });
+    }
+  }
+  return { delivered, failed };
+}
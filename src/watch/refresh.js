@@ -0,0 +1,96 @@
+/**
+ * Watchlist refresh: re-score every watched player, snapshot each result into
+ * the score history, and raise alerts against the previous snapshot.
+ */
+
+import { aggregatePlayerInput } from '../data/aggregate.js';
+import { trackCacheUsage } from '../api/cache.js';
+import { computeTransferProbability } from '../scoring/transferProbability.js';
+import { listWatchlist, upsertWatch } from '../data/watchlist.js';
+import { toSnapshot, recordSnapshot, lastSnapshot } from '../data/history.js';
+import { detectAlerts, deliverAlerts } from './alerts.js';
+
+/**
+ * Score one watched player and record the snapshot.
+ *
+ * @param {Object} watch - watchlist entry
+ * @param {Object} [opts]
+ * @param {number} [opts.year] - season when the entry has none
+ * @param {string} [opts.source] - snapshot source label
+ * @param {Map} [opts.teamContexts] - shared team-season data
+ * @returns {Promise<{ snapshot: Object, previous: Object|null, alerts: Object[], input: Object, result: Object }>}
+ */
+async function snapshotPlayer(watch, { year = new Date().getFullYear(), source = 'refresh', teamContexts } = {}) {
+  const input = await aggregatePlayerInput({
+    year: watch.year ?? year,
+    team: watch.team ?? undefined,
+    playerName: watch.playerName ?? undefined,
+    playerId: watch.playerId,
+    position: watch.position ?? undefined,
+  }, { teamContexts });
+  const { _meta, ...scoringInput } = input;
+  const result = computeTransferProbability(scoringInput);
+  const previous = lastSnapshot(watch.playerId);
+  const snapshot = recordSnapshot(watch.playerId, toSnapshot(input, result, source), { playerName: _meta.playerName, team: _meta.team });
+  return { snapshot, previous, alerts: detectAlerts(previous, snapshot, watch), input, result };
+}
+
+/**
+ * Re-score the whole watchlist. A player who can't be scored gets an error
+ * entry and no snapshot; the rest continue.
+ *
+ * @param {Object} [opts]
+ * @param {number} [opts.year] - season for entries without one (default: current)
+ * @param {Object} [opts.channels] - deliverAlerts channels
+ * @returns {Promise<{ at: string, results: Object[], alerts: Object[], delivery: Object, _meta: Object }>}
+ */
+export async function refreshWatchlist({ year = new Date().getFullYear(), channels } = {}) {
+  const at = new Date().toISOString();
+  const teamContexts = new Map();
+  const { value: results, cache } = await trackCacheUsage(async () => {
+    const out = [];
+    for (const watch of listWatchlist()) {
+      try {
+        const { snapshot, previous, alerts } = await snapshotPlayer(watch, { year, teamContexts });
+        out.push({ playerId: watch.playerId, playerName: watch.playerName, team: watch.team, ok: true, probability: snapshot.probability, previous: previous?.probability ?? null, alerts });
+      } catch (e) {
+        out.push({ playerId: watch.playerId, playerName: watch.playerName, team: watch.team, ok: false, error: { message: e.message, code: e.code ?? null } });
+      }
+    }
+    return out;
+  });
+  const alerts = results.flatMap((r) => r.alerts ?? []);
+  const delivery = await deliverAlerts(alerts, channels);
+  return { at, results, alerts, delivery, _meta: { cache: { hits: cache.hits, misses: cache.misses, offline: cache.offline } } };
+}
+
+/**
+ * Put a player on the watchlist: resolve them (name/team/id), store the entry
+ * with the resolved id and team, and record a first snapshot as the baseline.
+ *
+ * @param {Object} opts - playerName / playerId / team / year / position / hometown, thresholds, moveBy, note
+ * @returns {Promise<{ watch: Object, snapshot: Object }>}
+ */
+export async function addToWatchlist(opts) {
+  const input = await aggregatePlayerInput({
+    year: opts.year ?? new Date().getFullYear(),
+    team: opts.team,
+    playerName: opts.playerName,
+    playerId: opts.playerId,
+    position: opts.position,
+    hometown: opts.hometown,
+  });
+  const { _meta, ...scoringInput } = input;
+  const watch = upsertWatch({
+    playerId: _meta.playerId ?? opts.playerId,
+    playerName: _meta.playerName,
+    team: _meta.team,
+    position: _meta.position,
+    thresholds: opts.thresholds,
+    moveBy: opts.moveBy,
+    note: opts.note,
+  });
+  const result = computeTransferProbability(scoringInput);
+  const snapshot = recordSnapshot(watch.playerId, toSnapshot(input, result, 'watch-add'), { playerName: watch.playerName, team: watch.team });
+  return { watch, snapshot };
+}